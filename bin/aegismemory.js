@@ -1,15 +1,17 @@
 #!/usr/bin/env node
 
-import { readFileSync } from 'fs';
+import { readFileSync, renameSync } from 'fs';
 import { loadConfig } from '../lib/config.js';
 import { createLogger } from '../lib/logger.js';
 import { State } from '../lib/state.js';
 import { Queue } from '../lib/queue.js';
+import { KeyStore } from '../lib/keyStore.js';
 import { VaultApi } from '../lib/vaultApi.js';
 import { IpfsFetcher } from '../lib/ipfsFetch.js';
-import { AegisAnchor } from '../lib/anchor.js';
+import { AegisAnchor, formatLamports } from '../lib/anchor.js';
 import { decryptPayload, sha256 } from '../lib/cryptoBox.js';
 import { verifyMemoryDocument } from '../lib/verify.js';
+import { lineagePositions } from '../lib/branches.js';
 import { canonicalStringify } from '../lib/util.js';
 import { metrics } from '../lib/metrics.js';
 
@@ -25,7 +27,18 @@ const commands = {
   export: exportMemory,
   view: viewMemory,
   'replay-queue': replayQueue,
+  drain: drainCommand,
+  queue: queueCommand,
+  reindex,
   anchor: manualAnchor,
+  anchors: anchorsCommand,
+  keys: keysCommand,
+  forget: forgetMemory,
+  recover: recoverState,
+  restore: restoreState,
+  branch: branchCommand,
+  log: logCommand,
+  diff: diffCommand,
   // Cross-agent memory commands
   share: shareMemory,
   import: importMemory,
@@ -65,67 +78,87 @@ async function main() {
 /**
  * Status command
  */
-async function status() {
+async function status(args = []) {
   const { config, logger, state, queue } = await init();
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  
+  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  const result = await aegisMemory.getStatus({ checkHealth: !args.includes('--offline') });
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
   
   console.log('\n=== AegisMemory Status ===\n');
-  console.log(`Wallet: ${config.walletPubkey}`);
+  console.log(`Wallet: ${result.wallet}`);
   
-  // Check Solana balance
-  try {
-    const { execSync } = await import('child_process');
-    const balance = execSync(`solana balance ${config.walletPubkey} --url ${config.anchorRpcUrl}`, { encoding: 'utf8' }).trim();
-    console.log(`Balance: ${balance}`);
-  } catch (error) {
-    console.log(`Balance: Unable to check (solana CLI not available)`);
+  // Anchor wallet balance (fetched over RPC, not with the solana CLI)
+  if (!result.anchor.enabled) {
+    console.log('Balance: n/a (anchoring disabled)');
+  } else if (result.anchor.balanceLamports === null) {
+    console.log('Balance: unknown');
+  } else {
+    console.log(`Balance: ${formatLamports(result.anchor.balanceLamports)}`);
   }
   
-  console.log(`Agent ID: ${config.agentId}`);
+  console.log(`Agent ID: ${result.agentId}`);
   console.log(`Vault URL: ${config.baseUrl}`);
-  console.log(`Anchor Enabled: ${config.anchorEnabled}`);
+  console.log(`Anchor Enabled: ${result.anchor.enabled}`);
   console.log(`Anchor RPC: ${config.anchorRpcUrl}`);
+  console.log(`Last Anchored: ${result.anchor.lastAnchoredDate || 'never'}`);
+  
+  if (result.anchor.enabled) {
+    const { spend, budget } = result.anchor;
+    console.log(`Anchor Frequency: ${result.anchor.frequency}${result.anchor.degraded ? ` (degraded from ${config.anchorFrequency})` : ''}${result.anchor.paused ? ', paused' : ''}`);
+    console.log(`Anchor Spend: ${formatLamports(spend.today)} today${budget.daily ? ` of ${formatLamports(budget.daily)}` : ''}, ${formatLamports(spend.month)} this month${budget.monthly ? ` of ${formatLamports(budget.monthly)}` : ''}`);
+  }
+  
+  for (const warning of result.warnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+  
   console.log(`\nQueue:`);
-  console.log(`  Total Jobs: ${queue.size()}`);
-  console.log(`  Pending: ${queue.pendingCount()}`);
+  console.log(`  Total Jobs: ${result.queue.total}`);
+  console.log(`  Pending: ${result.queue.pending}`);
+  console.log(`  Processing: ${result.queue.processing}`);
+  console.log(`  Waiting (retry backoff): ${result.queue.waiting}`);
+  console.log(`  Failed: ${result.queue.failed}`);
   
   console.log(`\nState:`);
-  const agents = state.getAllAgents();
-  let totalCIDs = 0;
-  let totalAnchored = 0;
-  
-  if (agents.length === 0) {
+  if (result.agents.length === 0) {
     console.log('  No agents tracked yet');
   } else {
-    for (const agentKey of agents) {
-      const [wallet, agentId] = agentKey.split(':');
-      const agentState = state.getAgent(wallet, agentId);
-      console.log(`  ${agentId}:`);
-      console.log(`    Last CID: ${agentState.lastCid || 'none'}`);
-      console.log(`    Last SHA256: ${agentState.lastPlaintextSha256?.slice(0, 16) || 'none'}...`);
-      console.log(`    Last Anchored: ${agentState.lastAnchoredDate || 'never'}`);
-      
-      // Count CIDs from branches
-      if (agentState.branches && agentState.branches.main && agentState.branches.main.cids) {
-        totalCIDs += agentState.branches.main.cids.length;
-      }
-      if (agentState.lastAnchoredDate && agentState.lastAnchoredDate !== 'never') {
-        totalAnchored++;
-      }
+    for (const agent of result.agents) {
+      console.log(`  ${agent.agentId}:`);
+      console.log(`    Last CID: ${agent.lastCid || 'none'}`);
+      console.log(`    Last SHA256: ${agent.lastPlaintextSha256?.slice(0, 16) || 'none'}...`);
+      console.log(`    Last Anchored: ${agent.lastAnchoredDate || 'never'}`);
+    }
+  }
+  
+  console.log(`\nLocal Indexes:`);
+  console.log(`  Vector index: ${result.vectorIndex.size ?? `unavailable (${result.vectorIndex.error})`} embeddings`);
+  console.log(`  Ephemeral: ${result.ephemeral.active ?? '?'} active, ${result.ephemeral.expired ?? '?'} expired`);
+  
+  if (result.health) {
+    console.log(`\nHealth: ${result.health.ok ? '✓' : '✗'}`);
+    for (const gateway of result.health.gateways) {
+      console.log(`  ${gateway.ok ? '✓' : '✗'} Gateway ${gateway.url} (${gateway.ok ? `${gateway.latencyMs}ms` : gateway.error})`);
+    }
+    for (const rpc of result.health.rpc) {
+      console.log(`  ${rpc.ok ? '✓' : '✗'} RPC ${rpc.url} (${rpc.ok ? `slot ${rpc.slot}, ${rpc.latencyMs}ms` : rpc.error})`);
     }
   }
   
   console.log(`\nMetrics:`);
   const allMetrics = metrics.getAll();
-  if (totalCIDs > 0 || totalAnchored > 0) {
-    console.log(`  📊 ${totalCIDs} CIDs, ${totalAnchored} anchored`);
-  }
   if (Object.keys(allMetrics.counters).length > 0) {
     console.log('  Counters:');
     for (const [key, value] of Object.entries(allMetrics.counters)) {
       console.log(`    ${key}: ${value}`);
     }
-  }
-  if (totalCIDs === 0 && Object.keys(allMetrics.counters).length === 0) {
+  } else {
     console.log('  No metrics yet');
   }
   
@@ -138,7 +171,7 @@ async function status() {
 async function recall(args) {
   const limit = parseInt(args.find(a => a.startsWith('--limit='))?.split('=')[1]) || 10;
   
-  const { config, logger, state } = await init();
+  const { config, logger, state, keyStore } = await init();
   
   console.log(`\nRecalling last ${limit} memories...\n`);
   
@@ -177,7 +210,8 @@ async function recall(args) {
     const plaintext = await decryptPayload(
       encryptedPayload,
       config.walletSecretKeyBase58,
-      'IPFS_ENCRYPTION_KEY_V1'
+      config.cacheKeyTtlMs,
+      { keyStore }
     );
     
     // Parse based on format
@@ -231,7 +265,7 @@ async function verify(args) {
     process.exit(1);
   }
   
-  const { config, logger, state } = await init();
+  const { config, logger, state, keyStore } = await init();
   
   console.log(`\nVerifying CID: ${cid}\n`);
   
@@ -241,11 +275,22 @@ async function verify(args) {
   const encryptedText = await ipfsFetcher.fetch(cid);
   const encryptedPayload = JSON.parse(encryptedText);
   
+  // A CID recorded in a branch lineage must still be bound to the chain position it was uploaded at
+  const expected = { wallet: config.walletPubkey };
+  for (const key of state.getAllAgents().filter(k => k.startsWith(`${config.walletPubkey}:`))) {
+    const agentId = key.slice(config.walletPubkey.length + 1);
+    const positions = lineagePositions(state.getAgent(config.walletPubkey, agentId));
+    if (positions.has(cid)) {
+      Object.assign(expected, { agent_id: agentId, prev_plaintext_sha256: positions.get(cid) });
+    }
+  }
+  
   // Get previous document if available
   const plaintext = await decryptPayload(
     encryptedPayload,
     config.walletSecretKeyBase58,
-    config.cacheKeyTtlMs
+    config.cacheKeyTtlMs,
+    { keyStore, context: expected }
   );
   
   // Parse based on format (TOON or JSON)
@@ -259,33 +304,44 @@ async function verify(args) {
     doc = JSON.parse(plaintext);
   }
   
-  let previousDoc = null;
-  if (doc.prev_cid) {
+  // Previous document, or every parent of a merge document
+  const { parentLinks } = await import('../lib/chain.js');
+  const parents = [];
+  for (const { cid: parentCid } of parentLinks(doc)) {
     try {
-      const prevEncryptedText = await ipfsFetcher.fetch(doc.prev_cid);
+      const prevEncryptedText = await ipfsFetcher.fetch(parentCid);
       const prevEncryptedPayload = JSON.parse(prevEncryptedText);
+      // The previous link must come from the same wallet and agent
       const prevPlaintext = await decryptPayload(
         prevEncryptedPayload,
         config.walletSecretKeyBase58,
-        config.cacheKeyTtlMs
+        config.cacheKeyTtlMs,
+        { keyStore, context: { wallet: doc.wallet, agent_id: doc.agent_id } }
       );
       
       // Parse previous doc based on format
+      let parentDoc;
       if (prevPlaintext.startsWith('@aegismemory')) {
         const { fromTOON } = await import('../lib/toon.js');
-        previousDoc = fromTOON(prevPlaintext);
+        parentDoc = fromTOON(prevPlaintext);
       } else {
-        previousDoc = JSON.parse(prevPlaintext);
+        parentDoc = JSON.parse(prevPlaintext);
       }
-      previousDoc.cid = doc.prev_cid;
+      parentDoc.cid = parentCid;
+      parents.push(parentDoc);
     } catch (error) {
-      console.warn(`Warning: Could not fetch previous CID: ${error.message}`);
+      if (error.message.startsWith('Tampering detected')) {
+        console.error(`✗ Previous CID ${parentCid}: ${error.message}\n`);
+        process.exit(1);
+      }
+      console.warn(`Warning: Could not fetch previous CID ${parentCid}: ${error.message}`);
     }
   }
+  const previousDoc = Array.isArray(doc.prev_cids) ? parents : parents[0] || null;
   
-  // Initialize anchor module if needed
+  // Initialize anchor module if needed (anchors made earlier verify with anchoring off too)
   let anchorModule = null;
-  if (checkRpc && config.anchorEnabled) {
+  if (checkRpc) {
     anchorModule = new AegisAnchor(config, logger, metrics, state);
   }
   
@@ -296,7 +352,13 @@ async function verify(args) {
     config.walletSecretKeyBase58,
     previousDoc,
     anchorModule,
-    config.cacheKeyTtlMs
+    config.cacheKeyTtlMs,
+    {
+      keyStore,
+      context: expected,
+      anchorProof: anchorModule?.getProof(doc.wallet, doc.agent_id, cid),
+      anchorReceipt: anchorModule?.getReceipt(doc.wallet, doc.agent_id, cid)
+    }
   );
   
   console.log('=== Verification Results ===\n');
@@ -311,6 +373,12 @@ async function verify(args) {
   if (results.hash.sha256) {
     console.log(`  SHA256: ${results.hash.sha256}`);
   }
+  if (results.hash.errors?.length > 0) {
+    results.hash.errors.forEach(e => console.log(`  - ${e}`));
+  }
+  if (results.hash.note) {
+    console.log(`  Note: ${results.hash.note}`);
+  }
   
   console.log(`\nChain: ${results.chain.valid ? '✓' : '✗'}`);
   if (results.chain.errors?.length > 0) {
@@ -325,6 +393,9 @@ async function verify(args) {
     console.log(`  Signature: ${results.anchor.signature}`);
     console.log(`  Slot: ${results.anchor.slot || 'N/A'}`);
   }
+  if (results.anchor.root) {
+    console.log(`  Merkle root: ${results.anchor.root}`);
+  }
   if (results.anchor.errors?.length > 0) {
     results.anchor.errors.forEach(e => console.log(`  - ${e}`));
   }
@@ -367,7 +438,7 @@ async function exportMemory(args) {
     process.exit(1);
   }
   
-  const { config, logger } = await init();
+  const { config, logger, keyStore } = await init();
   
   console.log(`\nExporting CID: ${cid}\n`);
   
@@ -378,7 +449,8 @@ async function exportMemory(args) {
   const plaintext = await decryptPayload(
     encryptedPayload,
     config.walletSecretKeyBase58,
-    config.cacheKeyTtlMs
+    config.cacheKeyTtlMs,
+    { keyStore }
   );
   
   if (outFile) {
@@ -409,7 +481,7 @@ async function viewMemory(args) {
     process.exit(1);
   }
   
-  const { config, logger } = await init();
+  const { config, logger, keyStore } = await init();
   
   console.log(`\nFetching memory: ${cid}\n`);
   
@@ -420,7 +492,8 @@ async function viewMemory(args) {
   const plaintext = await decryptPayload(
     encryptedPayload,
     config.walletSecretKeyBase58,
-    config.cacheKeyTtlMs
+    config.cacheKeyTtlMs,
+    { keyStore }
   );
   
   // Parse based on format
@@ -664,44 +737,683 @@ function generateChatHTML(doc, cid) {
 </html>`;
 }
 
+/**
+ * Queue worker with every module's job handlers registered
+ */
+async function createWorker({ config, logger, state, queue }) {
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  const { KeyRotation } = await import('../lib/keyRotation.js');
+  const { StateSnapshots } = await import('../lib/snapshots.js');
+  const { QueueWorker } = await import('../lib/worker.js');
+  new AegisMemory(config, logger, metrics, state, queue).registerJobHandlers(queue);
+  new KeyRotation(config, logger, metrics, state, queue).registerJobHandlers(queue);
+  new StateSnapshots(config, logger, metrics, state, queue).registerJobHandlers(queue);
+  
+  return new QueueWorker(config, logger, metrics, queue);
+}
+
 /**
  * Replay queue command
  */
 async function replayQueue() {
-  const { config, logger, state, queue } = await init();
+  const ctx = await init();
+  const { queue } = ctx;
   
   console.log(`\nReplaying queue (${queue.size()} jobs)...\n`);
   
-  const { AegisMemory } = await import('../lib/aegisMemory.js');
-  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  const worker = await createWorker(ctx);
   
   let processed = 0;
   let failed = 0;
   
-  while (queue.pendingCount() > 0) {
-    const job = queue.getNext();
-    if (!job) break;
+  await worker.drain({
+    onComplete: (job) => {
+      processed++;
+      console.log(`✓ Processed job ${job.id} (${job.type})`);
+    },
+    onFail: (job, error) => {
+      failed++;
+      console.error(`✗ Failed job ${job.id}: ${error.message}`);
+    }
+  });
+  
+  console.log(`\nDone: ${processed} processed, ${failed} failed`);
+}
+
+/**
+ * Drain command: process the queue until it is empty, waiting out retry
+ * backoffs and jobs leased by the plugin. Jobs scheduled ahead (end-of-day
+ * batch anchors) are left queued. Ctrl-C stops taking jobs and waits for
+ * the running ones.
+ */
+async function drainCommand(args) {
+  const ctx = await init();
+  const { config, state, queue } = ctx;
+  const timeoutMs = parseInt(getArg(args, '--timeout')) || null;
+  const deadline = timeoutMs ? Date.now() + timeoutMs : Infinity;
+  
+  const worker = await createWorker(ctx);
+  
+  let processed = 0;
+  let failed = 0;
+  let interrupted = false;
+  
+  process.once('SIGINT', () => {
+    interrupted = true;
+    console.log(`\n⏹  Stopping, waiting for ${worker.running.size} running job(s) (Ctrl-C again to abort)...`);
+    process.once('SIGINT', () => process.exit(130));
+    worker.stop();
+  });
+  
+  console.log(`\nDraining queue (${queue.size()} jobs)...\n`);
+  
+  while (!interrupted && queue.size() > queue.scheduledCount() && Date.now() < deadline) {
+    await worker.drain({
+      onComplete: (job) => {
+        processed++;
+        console.log(`✓ ${job.type.padEnd(14)} ${job.id}`);
+      },
+      onFail: (job, error) => {
+        failed++;
+        console.error(`✗ ${job.type.padEnd(14)} ${job.id}: ${error.message}`);
+      }
+    });
     
-    queue.markProcessing(job.id);
+    if (interrupted || queue.size() === queue.scheduledCount()) break;
     
-    try {
-      if (job.type === 'UPLOAD_MEMORY') {
-        await aegisMemory.processUploadJob(job);
-      } else if (job.type === 'ANCHOR_MEMORY') {
-        await aegisMemory.processAnchorJob(job);
+    // Remaining jobs wait on a retry backoff or are leased by another process
+    const stats = queue.getStats();
+    const nextRetry = Math.min(...queue.jobs.map(j => (j.nextRetryAt ? new Date(j.nextRetryAt).getTime() : Infinity)));
+    const waitMs = Math.max(100, Math.min(nextRetry - Date.now(), config.workerIntervalMs, deadline - Date.now()));
+    process.stdout.write(`  … ${stats.waiting} waiting to retry, ${stats.processing} running elsewhere\r`);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+  
+  queue.close();
+  state.close();
+  
+  const left = queue.size();
+  const scheduled = queue.scheduledCount();
+  const dead = queue.getStats().failed;
+  console.log(`\nDone: ${processed} processed, ${failed} failed attempt(s), ${left} left in queue` +
+    `${scheduled > 0 ? ` (${scheduled} scheduled for later)` : ''}, ${dead} dead-lettered`);
+  
+  if (interrupted) {
+    process.exit(130);
+  }
+  if (left > 0) {
+    console.error(`Timed out after ${timeoutMs}ms`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Queue command: inspect jobs and manage the dead-letter queue
+ */
+async function queueCommand(args) {
+  const { queue } = await init();
+  
+  const [subcommand, ...rest] = args;
+  const ids = rest.filter((a, i) => !a.startsWith('--') && !rest[i - 1]?.match(/^--(type|agent|error)$/));
+  const filter = {
+    type: getArg(args, '--type'),
+    agentId: getArg(args, '--agent'),
+    error: getArg(args, '--error')
+  };
+  const json = args.includes('--json');
+  
+  // Positional job IDs (or unique prefixes) of dead-lettered jobs
+  const deadIds = () => ids.map(id => {
+    const found = queue.find(id);
+    if (!found?.dead) {
+      throw new Error(found ? `Job ${found.job.id} is not dead-lettered` : `No job ${id}`);
+    }
+    return found.job.id;
+  });
+  
+  if (subcommand === 'list') {
+    const jobs = queue.list({ ...filter, status: args.includes('--dead') ? 'dead' : undefined });
+    
+    if (json) {
+      console.log(JSON.stringify(jobs, null, 2));
+      return;
+    }
+    if (jobs.length === 0) {
+      console.log('\nNo matching jobs.\n');
+      return;
+    }
+    
+    console.log();
+    for (const job of jobs) {
+      console.log(`${job.id}  ${job.type.padEnd(14)} ${job.status.padEnd(10)} ${job.agentId || '-'}  ${job.attempts}/${job.maxRetries}`);
+      if (job.lastError) {
+        console.log(`    ${job.lastError}`);
       }
-      
+    }
+    console.log(`\n${jobs.length} job(s)\n`);
+  } else if (subcommand === 'show' && ids.length === 1) {
+    const job = queue.show(ids[0]);
+    if (!job) {
+      throw new Error(`No job ${ids[0]}`);
+    }
+    
+    if (json) {
+      console.log(JSON.stringify(job, null, 2));
+      return;
+    }
+    
+    console.log(`\nJob ${job.id} (${job.type})`);
+    console.log(`  Status:   ${job.status}`);
+    console.log(`  Agent:    ${job.agentId || '-'}`);
+    console.log(`  Attempts: ${job.attempts}/${job.maxRetries}`);
+    console.log(`  Created:  ${job.createdAt}`);
+    if (job.failedAt) {
+      console.log(`  Failed:   ${job.failedAt}`);
+    }
+    if (job.runAt) {
+      console.log(`  Run at:   ${job.runAt}`);
+    }
+    if (job.nextRetryAt) {
+      console.log(`  Retry at: ${job.nextRetryAt}`);
+    }
+    if (job.status === 'processing') {
+      console.log(`  Lease:    ${job.lease.owner} until ${job.lease.expiresAt}`);
+    }
+    console.log(`  Payload:  ${JSON.stringify(job.payload)}`);
+    console.log('\n  Errors:');
+    if (job.errors.length === 0) {
+      console.log(`    ${job.lastError || 'none'}`);
+    }
+    for (const error of job.errors) {
+      console.log(`    #${error.attempt} ${error.at}  ${error.error}`);
+    }
+    console.log();
+  } else if (subcommand === 'retry' && (ids.length > 0 || args.includes('--all'))) {
+    const jobIds = ids.length > 0 ? deadIds() : queue.listDead(filter).map(j => j.id);
+    const requeued = queue.retryDead(jobIds);
+    
+    const kept = queue.listDead().filter(j => jobIds.includes(j.id)).length;
+    const duplicates = jobIds.length - requeued.length - kept;
+    
+    console.log(`\n✓ Requeued ${requeued.length} job(s)` +
+      (duplicates > 0 ? `, dropped ${duplicates} already queued again` : '') +
+      (kept > 0 ? `, kept ${kept} whose memory document was discarded (drop them with 'queue drop')` : ''));
+    console.log("Run 'aegismemory replay-queue' or let the plugin worker pick them up.\n");
+  } else if (subcommand === 'drop' && ids.length > 0) {
+    const dropped = queue.dropDead(deadIds());
+    console.log(`\n✓ Dropped ${dropped} dead-lettered job(s)\n`);
+  } else if (subcommand === 'purge') {
+    const dropped = queue.dropDead(queue.listDead(filter).map(j => j.id));
+    console.log(`\n✓ Purged ${dropped} dead-lettered job(s)\n`);
+  } else {
+    console.error('Usage: aegismemory queue list [--dead] [--type TYPE] [--agent ID] [--error TEXT] [--json]');
+    console.error('       aegismemory queue show <job-id> [--json]');
+    console.error('       aegismemory queue retry <job-id...> | --all [--type TYPE] [--agent ID] [--error TEXT]');
+    console.error('       aegismemory queue drop <job-id...>');
+    console.error('       aegismemory queue purge [--type TYPE] [--agent ID] [--error TEXT]');
+    process.exit(1);
+  }
+}
+
+/**
+ * Reindex command (backfill the vector index from chain history)
+ */
+async function reindex(args) {
+  const { config, logger, state, queue } = await init();
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  
+  const agentId = getArg(args, '--agent');
+  const force = args.includes('--force');
+  
+  console.log(`\n🔍 Reindexing ${agentId ? `agent ${agentId}` : 'all agents'}${force ? ' (force)' : ''}...\n`);
+  
+  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  const results = await aegisMemory.reindex({ agentId, force });
+  
+  if (results.length === 0) {
+    console.log('No chains found in state.');
+    return;
+  }
+  
+  let failed = 0;
+  for (const result of results) {
+    console.log(`${result.agentId}: ${result.indexed} indexed, ${result.skipped} already indexed, ${result.removed} forgotten removed, ${result.failed} failed`);
+    failed += result.failed;
+  }
+  
+  console.log();
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Keys command (rotate)
+ */
+async function keysCommand(args) {
+  const { config, logger, state, queue } = await init();
+  const { KeyRotation, ROTATE_JOB_TYPE } = await import('../lib/keyRotation.js');
+  
+  const subcommand = args[0];
+  const to = getArg(args, '--to');
+  const agentId = getArg(args, '--agent');
+  
+  if (subcommand !== 'rotate' || !to) {
+    console.error('Usage: aegismemory keys rotate --to NEW_DERIVATION_MSG [--agent ID]');
+    process.exit(1);
+  }
+  
+  const current = state.getDerivationMsg() || config.derivationMsg;
+  if (to === current) {
+    console.error(`❌ Memories are already encrypted under "${to}"`);
+    process.exit(1);
+  }
+  
+  console.log(`\n🔑 Rotating keys: "${current}" -> "${to}"\n`);
+  console.log('⚠️  Stop the bot first, new memories written during rotation abort the job.\n');
+  
+  const rotation = new KeyRotation(config, logger, metrics, state, queue);
+  const planned = rotation.plan(to, { agentId });
+  
+  // Resume jobs from an interrupted run as well as the ones just planned
+  const jobs = queue.jobs.filter(j => j.type === ROTATE_JOB_TYPE && j.payload.toDerivationMsg === to);
+  if (planned.length === 0 && jobs.length === 0) {
+    console.log('No memory chains to rotate.\n');
+  }
+  
+  let failed = 0;
+  
+  for (const job of jobs) {
+    if (!queue.markProcessing(job.id)) {
+      failed++;
+      console.error(`✗ ${job.payload.agentId}: being processed by another aegismemory process`);
+      continue;
+    }
+    
+    try {
+      const result = await rotation.processRotateJob(job);
       queue.complete(job.id);
-      processed++;
-      console.log(`✓ Processed job ${job.id} (${job.type})`);
+      console.log(`✓ ${result.agentId}: ${result.documents} document(s), new head ${result.head}`);
+      console.log(`  Rotation marker: ${result.markerCid}`);
     } catch (error) {
       queue.fail(job.id, error);
       failed++;
-      console.error(`✗ Failed job ${job.id}: ${error.message}`);
+      console.error(`✗ ${job.payload.agentId}: ${error.message}`);
     }
   }
   
-  console.log(`\nDone: ${processed} processed, ${failed} failed`);
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} chain(s) not rotated. Progress is saved, re-run the same command to resume.\n`);
+    process.exit(1);
+  }
+  
+  console.log('\n✅ Rotation complete\n');
+  
+  // Partial (--agent) rotations leave the other chains on the old key
+  if (agentId) {
+    console.log('Other agents still use the old key. Run without --agent to switch new memories over.\n');
+    return;
+  }
+  
+  state.setDerivationMsg(to);
+  console.log('New memories use the rotated key. Also update your environment:');
+  console.log(`   export AEGISMEMORY_DERIVATION_MSG="${to}"\n`);
+}
+
+/**
+ * Forget command
+ */
+async function forgetMemory(args) {
+  const { config, logger, state, queue } = await init();
+  
+  const cid = getArg(args, '--cid');
+  const agentId = getArg(args, '--agent');
+  const reason = getArg(args, '--reason');
+  
+  if (!cid) {
+    console.error('Usage: aegismemory forget --cid <cid> [--agent ID] [--reason TEXT]');
+    process.exit(1);
+  }
+  
+  console.log(`\n🗑️  Forgetting memory: ${cid}\n`);
+  
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  
+  const result = await aegisMemory.forget(cid, { agentId, reason });
+  
+  if (result.shredded) {
+    console.log('✅ Data key destroyed, the memory can no longer be decrypted');
+  } else {
+    console.log('⚠️  Memory NOT forgotten: it was saved without a shred key (before shred keys were the default, or with AEGISMEMORY_SHREDDABLE=false)');
+    console.log('   It is tombstoned and hidden from recall, but its ciphertext stays readable with the wallet key');
+  }
+  
+  console.log(`\nTombstone: ${result.cid}\n`);
+}
+
+/**
+ * Recover command (rebuild state.json from the vault)
+ */
+async function recoverState(args) {
+  const config = loadConfig();
+  const logger = createLogger({
+    name: 'aegismemory-cli',
+    level: process.env.LOG_LEVEL || 'warn',
+    json: false
+  });
+  const { StateRecovery } = await import('../lib/recovery.js');
+  
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
+  const heads = (getArg(args, '--head') || '').split(',').filter(Boolean);
+  
+  // A corrupted state file stops every other command; recover may move it aside
+  let state;
+  try {
+    state = new State(config.statePath, logger);
+  } catch (error) {
+    if (!force || dryRun) {
+      console.error(`❌ ${error.message}`);
+      console.error('   Re-run with --force to move it aside and rebuild it from the vault.');
+      process.exit(1);
+    }
+    
+    const aside = `${config.statePath}.corrupted-${Date.now()}`;
+    renameSync(config.statePath, aside);
+    console.log(`⚠️  Moved corrupted state to ${aside}`);
+    state = new State(config.statePath, logger);
+  }
+  
+  console.log(`\n🛟 Recovering state for wallet ${config.walletPubkey}\n`);
+  
+  const recovery = new StateRecovery(config, logger, metrics, state);
+  const result = await recovery.scan({ heads });
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    for (const agent of result.agents) {
+      console.log(`Agent ${agent.agentId}: ${agent.documents} document(s)`);
+      
+      for (const [name, branch] of Object.entries(agent.state.branches)) {
+        console.log(`  ${name.padEnd(16)} head ${branch.lastCid || 'none'} (${branch.cids.length} memories)`);
+      }
+      for (const fork of agent.forks) {
+        console.log(`  ⚠️  Branch ${fork.branch} has ${fork.heads.length} heads, using ${fork.chosen}:`);
+        fork.heads.forEach(cid => console.log(`       ${cid}`));
+      }
+      for (const orphan of agent.orphans) {
+        console.log(`  ⚠️  Orphan ${orphan.cid} links to missing ${orphan.missing.join(', ')}`);
+      }
+      for (const brk of agent.breaks) {
+        console.log(`  ⚠️  Broken link at ${brk.cid}: ${brk.errors.join('; ')}`);
+      }
+      console.log();
+    }
+    
+    for (const profile of result.profiles) {
+      console.log(`Cyberdyne profile ${profile.telegramId}: v${profile.state.metadata.version} ${profile.state.lastCid}`);
+      if (profile.forks.length > 0) {
+        console.log(`  ⚠️  Forked versions: ${profile.forks.join(', ')}`);
+      }
+    }
+    
+    if (result.unreadable.length > 0) {
+      console.log(`\n${result.unreadable.length} object(s) could not be decrypted (shredded or foreign key):`);
+      result.unreadable.forEach(u => console.log(`  ${u.cid}  ${u.filename}  ${u.error}`));
+    }
+    if (result.derivationMsg) {
+      console.log(`\nChain heads are encrypted under rotated key "${result.derivationMsg}"`);
+    }
+    console.log();
+  }
+  
+  if (result.agents.length === 0 && result.profiles.length === 0) {
+    console.log('Nothing to recover.\n');
+    return;
+  }
+  
+  if (result.agents.some(a => a.forks.length > 0 || a.orphans.length > 0)) {
+    console.log('Review the forks/orphans above; pass --head <cid>[,<cid>] to choose different heads.\n');
+  }
+  
+  if (dryRun) {
+    console.log('Dry run, state.json not written.\n');
+    return;
+  }
+  
+  try {
+    const written = recovery.apply(result, { force });
+    console.log(`✅ Recovered ${written.length} agent(s) into ${config.statePath}`);
+    console.log('   Anchor dates are not stored in the vault; the next daily anchor runs as usual.\n');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Restore command (state.json and permissions.json from a vault snapshot)
+ */
+async function restoreState(args) {
+  const { config, logger, state, queue } = await init();
+  const { StateSnapshots } = await import('../lib/snapshots.js');
+  
+  const snapshots = new StateSnapshots(config, logger, metrics, state, queue);
+  
+  if (args.includes('--list')) {
+    const files = await snapshots.list();
+    const head = state.getSnapshot()?.lastCid;
+    
+    console.log(`\n📸 State snapshots (${files.length})\n`);
+    for (const file of files) {
+      console.log(`${file.cid === head ? '*' : ' '} ${file.timestamp || 'unknown'}  ${file.cid}`);
+    }
+    console.log();
+    return;
+  }
+  
+  const cid = getArg(args, '--snapshot');
+  if (!cid) {
+    console.error('Usage: aegismemory restore --snapshot <cid|latest> [--no-backup]');
+    console.error('       aegismemory restore --list');
+    process.exit(1);
+  }
+  
+  // Snapshot the current state first, so the restore can itself be rolled back
+  if (state.getAllAgents().length > 0 && !args.includes('--no-backup')) {
+    const backup = await snapshots.snapshot();
+    console.log(`\n📸 Current state ${backup.skipped ? 'already backed up' : 'backed up'}: ${backup.cid}`);
+  }
+  
+  const result = await snapshots.restore(cid);
+  
+  console.log(`\n✅ Restored snapshot ${result.cid} (${result.timestamp})`);
+  console.log(`   ${result.agents} agent(s), ${result.permissions} permission(s)`);
+  console.log('   Restart the bot so it reloads the permission registry.\n');
+}
+
+/**
+ * Branch command (list/create/switch/merge/delete)
+ */
+async function branchCommand(args) {
+  const { config, logger, state, queue } = await init();
+  const { BranchManager } = await import('../lib/branches.js');
+  
+  const subcommand = args[0] || 'list';
+  const name = args[1] && !args[1].startsWith('--') ? args[1] : null;
+  const wallet = config.walletPubkey;
+  const agentId = getArg(args, '--agent') || config.agentId;
+  const branches = new BranchManager(state, logger);
+  
+  const usage = () => {
+    console.error('Usage: aegismemory branch list [--agent ID]');
+    console.error('       aegismemory branch create <name> [--from BRANCH] [--agent ID]');
+    console.error('       aegismemory branch switch <name> [--agent ID]');
+    console.error('       aegismemory branch merge <source> [--into BRANCH] [--agent ID]');
+    console.error('       aegismemory branch delete <name> [--force] [--agent ID]');
+    process.exit(1);
+  };
+  
+  try {
+    switch (subcommand) {
+      case 'list': {
+        const list = await branches.list(wallet, agentId);
+        console.log(`\nBranches for agent ${agentId}:\n`);
+        for (const branch of list) {
+          console.log(`${branch.isCurrent ? '*' : ' '} ${branch.name} (${branch.memoryCount} memories, head: ${branch.lastCid || 'none'})`);
+        }
+        console.log();
+        break;
+      }
+      case 'create': {
+        if (!name) usage();
+        const result = await branches.create(wallet, agentId, name, getArg(args, '--from'));
+        console.log(`\n✅ Created branch '${result.name}' from '${result.createdFrom}' (${result.memoryCount} memories)\n`);
+        break;
+      }
+      case 'switch': {
+        if (!name) usage();
+        const result = await branches.switch(wallet, agentId, name);
+        console.log(`\n✅ Switched to branch '${result.branch}' (head: ${result.lastCid || 'none'})\n`);
+        break;
+      }
+      case 'merge': {
+        if (!name) usage();
+        const { AegisMemory } = await import('../lib/aegisMemory.js');
+        const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+        const result = await aegisMemory.mergeBranch(name, getArg(args, '--into'), { agentId });
+        console.log(`\n✅ Merged '${result.sourceBranch}' into '${result.targetBranch}' (${result.memoriesAdded} memories added)`);
+        console.log(`   Merge document: ${result.mergeCid}\n`);
+        break;
+      }
+      case 'delete': {
+        if (!name) usage();
+        await branches.delete(wallet, agentId, name, args.includes('--force'));
+        console.log(`\n✅ Deleted branch '${name}'\n`);
+        break;
+      }
+      default:
+        usage();
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print one history entry (git log style)
+ */
+function printHistoryEntry(entry, oneline) {
+  if (entry.error) {
+    console.log(oneline ? `? ${entry.cid} (unreadable: ${entry.error})` : `memory ${entry.cid}\nError:  ${entry.error}\n`);
+    return;
+  }
+  
+  const labels = [
+    entry.merge && 'merge',
+    entry.tombstone && 'tombstone',
+    entry.forgotten && 'forgotten'
+  ].filter(Boolean);
+  const summary = entry.summary || (entry.forgotten ? '[forgotten]' : '(no summary)');
+  const tags = entry.tags.length > 0 ? ` #${entry.tags.join(' #')}` : '';
+  
+  if (oneline) {
+    console.log(`${entry.date || '????-??-??'}  ${entry.cid}  [${entry.anchor || 'unknown'}]  ${summary}${tags}`);
+    return;
+  }
+  
+  console.log(`memory ${entry.cid}${labels.length > 0 ? ` (${labels.join(', ')})` : ''}`);
+  if (entry.prev_cids.length > 1) {
+    console.log(`Parents: ${entry.prev_cids.join(' ')}`);
+  }
+  console.log(`Date:    ${entry.timestamp || entry.date || 'unknown'}`);
+  if (entry.branch) {
+    console.log(`Branch:  ${entry.branch}`);
+  }
+  if (!entry.forgotten) {
+    console.log(`Anchor:  ${entry.anchor}`);
+  }
+  if (entry.tags.length > 0) {
+    console.log(`Tags:    ${entry.tags.join(', ')}`);
+  }
+  console.log(`\n    ${summary}\n`);
+}
+
+/**
+ * Log command (memory history of a branch)
+ */
+async function logCommand(args) {
+  const { config, logger, state, queue } = await init();
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  
+  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  const limit = parseInt(getArg(args, '--limit')) || undefined;
+  
+  const result = await aegisMemory.log({
+    branch: getArg(args, '--branch'),
+    agentId: getArg(args, '--agent'),
+    limit
+  });
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  
+  console.log(`\nBranch ${result.branch} (head: ${result.head || 'none'})\n`);
+  
+  if (result.entries.length === 0) {
+    console.log('No memories on this branch yet.\n');
+    return;
+  }
+  
+  for (const entry of result.entries) {
+    printHistoryEntry(entry, args.includes('--oneline'));
+  }
+  console.log();
+}
+
+/**
+ * Diff command (memories unique to each branch since their fork point)
+ */
+async function diffCommand(args) {
+  const [branchA, branchB] = args.filter(a => !a.startsWith('--') && a !== getArg(args, '--agent'));
+  
+  if (!branchA || !branchB) {
+    console.error('Usage: aegismemory diff <branchA> <branchB> [--agent ID] [--oneline] [--json]');
+    process.exit(1);
+  }
+  
+  const { config, logger, state, queue } = await init();
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  
+  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  
+  let result;
+  try {
+    result = await aegisMemory.diff(branchA, branchB, { agentId: getArg(args, '--agent') });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  
+  console.log(`\nFork point: ${result.forkCid || 'none (no shared history)'}\n`);
+  
+  for (const side of [result.left, result.right]) {
+    console.log(`=== Only in ${side.branch} (${side.entries.length}) ===\n`);
+    for (const entry of side.entries) {
+      printHistoryEntry(entry, args.includes('--oneline'));
+    }
+    console.log();
+  }
 }
 
 /**
@@ -723,7 +1435,7 @@ async function manualAnchor(args) {
     process.exit(1);
   }
   
-  const { config, logger, state } = await init();
+  const { config, logger, state, keyStore } = await init();
   
   if (!config.anchorEnabled) {
     console.error('Anchoring is not enabled in config');
@@ -739,7 +1451,8 @@ async function manualAnchor(args) {
   const plaintext = await decryptPayload(
     encryptedPayload,
     config.walletSecretKeyBase58,
-    config.cacheKeyTtlMs
+    config.cacheKeyTtlMs,
+    { keyStore }
   );
   
   // Handle both JSON and TOON formats
@@ -774,6 +1487,59 @@ async function manualAnchor(args) {
   console.log(`  ${payload}\n`);
 }
 
+async function anchorsCommand(args) {
+  const { config, logger, state, queue } = await init();
+  const { AegisMemory } = await import('../lib/aegisMemory.js');
+  
+  const enqueue = args.includes('--enqueue');
+  
+  if (args[0] !== 'scan') {
+    console.error('Usage: aegismemory anchors scan [--limit N] [--enqueue] [--json]');
+    process.exit(1);
+  }
+  
+  if (enqueue && !config.anchorEnabled) {
+    console.error('Anchoring is not enabled in config, cannot queue anchor jobs');
+    process.exit(1);
+  }
+  
+  const aegisMemory = new AegisMemory(config, logger, metrics, state, queue);
+  const result = await aegisMemory.scanAnchors({
+    limit: parseInt(getArg(args, '--limit')) || undefined,
+    enqueue
+  });
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  
+  console.log(`\n⚓ Anchor wallet ${result.address}: ${result.scanned} transaction(s), ${result.anchors.length} anchor memo(s)\n`);
+  
+  for (const agent of result.agents) {
+    console.log(`Agent ${agent.agentId}: ${agent.anchored} anchored, ${agent.covered} covered, ${agent.missing.length} missing`);
+    for (const gap of agent.gaps) {
+      console.log(`  ⚠️  Branch ${gap.branch} head ${gap.cid} is not anchored`);
+    }
+  }
+  
+  if (result.foreign.length > 0) {
+    console.log(`\nForeign anchors (${result.foreign.length}):`);
+    for (const anchor of result.foreign) {
+      console.log(`  ${anchor.signature} ${anchor.payload}`);
+      console.log(`    ${anchor.reason}`);
+    }
+  }
+  
+  const gaps = result.agents.reduce((n, agent) => n + agent.gaps.length, 0);
+  if (result.enqueued.length > 0) {
+    console.log(`\n✓ Queued ${result.enqueued.length} ANCHOR_MEMORY job(s), run 'aegismemory replay-queue' to submit them`);
+  } else if (gaps > 0) {
+    console.log(`\nRe-run with --enqueue to queue anchor jobs for ${gaps} unanchored head(s)`);
+  }
+  console.log();
+}
+
 /**
  * Help command
  */
@@ -784,7 +1550,9 @@ AegisMemory CLI - Production encrypted memory storage
 Usage: aegismemory <command> [options]
 
 Commands:
-  status              Show AegisMemory status (queue, state, metrics)
+  status              Show AegisMemory status (queue, state, indexes, health)
+    --offline         Skip gateway/RPC health checks
+    --json            Output as JSON
   recall              Recall recent memories
     --limit=N         Number of memories to recall (default: 10)
   
@@ -809,13 +1577,74 @@ Commands:
   
   replay-queue        Replay all pending queue jobs
   
+  drain               Process the queue until it is empty (waits out retries)
+    --timeout <ms>    Give up after this long
+  
+  queue list          List queued and dead-lettered jobs
+    --dead            Only jobs that used up their retries
+    --type <type>     Filter by job type (e.g. UPLOAD_MEMORY)
+    --agent <id>      Filter by agent
+    --error <text>    Filter by error message
+    --json            Output as JSON
+  queue show <id>     Show a job with its error history
+  queue retry <id>    Requeue dead-lettered jobs (--all with filters for every match)
+  queue drop <id>     Delete dead-lettered jobs
+  queue purge         Delete every dead-lettered job matching the filters
+  
+  reindex             Backfill the semantic search index from chain history
+    --agent ID        Only reindex this agent (default: all agents)
+    --force           Re-embed memories that are already indexed
+  
   anchor              Manually anchor a memory
     --cid <cid>       CID to anchor (required)
+  
+  anchors scan        Compare on-chain anchor memos with the local chains
+    --limit N         Number of wallet transactions to scan (default: all)
+    --enqueue         Queue ANCHOR_MEMORY jobs for branch heads with missing anchors
+    --json            Output as JSON
+  
+  forget              Forget a memory (crypto-shredding + tombstone)
+    --cid <cid>       CID to forget (required)
+    --agent <id>      Chain to append the tombstone to (default: memory's agent)
+    --reason <text>   Reason recorded in the tombstone (optional)
+  
+  recover             Rebuild state.json from the vault (chain heads, branches, profiles)
+    --dry-run         Report what would be recovered without writing state
+    --head <cid,...>  Use these CIDs as heads where a branch has forked
+    --force           Replace existing heads / move a corrupted state.json aside
+    --json            Output as JSON
+  
+  restore             Restore state.json and permissions.json from an encrypted vault snapshot
+    --snapshot <cid>  Snapshot CID, or 'latest'
+    --list            List snapshots (* marks the head of the snapshot chain)
+    --no-backup       Do not snapshot the current state before restoring
+  
+  branch list         List memory branches (* marks the current branch)
+  branch create <n>   Fork a branch from the current one (--from BRANCH to pick another)
+  branch switch <n>   Make <n> the branch new memories are saved to and recalled from
+  branch merge <n>    Merge branch <n> into the current one (--into BRANCH to pick another)
+  branch delete <n>   Delete a branch (--force to delete the current branch)
+    --agent <id>      Agent whose branches to manage (default: configured agent)
+  
+  log                 Show memory history of a branch, newest first
+    --branch <name>   Branch to show (default: current branch)
+    --limit N         Number of memories to show (default: all)
+    --oneline         One line per memory
+    --json            Output as JSON
+  
+  diff <a> <b>        Show memories unique to each branch since their fork point
+    --oneline         One line per memory
+    --json            Output as JSON
+  
+  keys rotate         Re-encrypt all memory chains under a new derivation message
+    --to <msg>        New derivation message (required)
+    --agent <id>      Only rotate this agent's chain (optional)
+                      Resumable: re-run the same command after a failure
 
 Cross-Agent Memory Commands:
   share               Share a memory with another agent
     --cid <cid>       CID to share (required)
-    --agent <wallet>  Recipient's wallet address (optional)
+    --agent <wallet>  Recipient's wallet (token is bound to it, optional)
     --simple          Generate simple token (requires pre-granted permission)
     --grant           Also grant persistent permission to recipient
   
@@ -898,7 +1727,7 @@ Examples:
   
   # Cross-agent memory sharing
   aegismemory share --cid QmXYZ... --agent WALLET_ADDRESS
-  aegismemory import --token "aegis://QmXYZ.../WALLET/KEY"
+  aegismemory import --token "aegis://v2/QmXYZ.../SENDER/RECIPIENT/KEY"
   aegismemory grant --agent WALLET_ADDRESS
   aegismemory query --from WALLET_ADDRESS --search "X1 network" --limit 5
   aegismemory permissions
@@ -935,7 +1764,7 @@ async function search(args) {
   const minScore = parseFloat(args.find(a => a.startsWith('--min-score='))?.split('=')[1]) || 0.5;
   const jsonOutput = args.includes('--json');
 
-  const { config, logger } = await init();
+  const { config, logger, keyStore } = await init();
 
   // Initialize semantic search components
   const { EmbeddingGenerator } = await import('../lib/embeddings.js');
@@ -951,8 +1780,8 @@ async function search(args) {
   const vectorDB = new VectorDB(config, logger);
   await vectorDB.init();
 
-  const ipfsFetch = new IpfsFetcher(config, logger);
-  const semanticSearch = new SemanticSearch(config, embeddings, vectorDB, ipfsFetch, logger);
+  const ipfsFetch = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
+  const semanticSearch = new SemanticSearch(config, embeddings, vectorDB, ipfsFetch, logger, keyStore);
 
   // Perform search
   console.log(`Searching for: "${query}"\n`);
@@ -1408,8 +2237,9 @@ async function cyberDyneExport(args) {
  * Share a memory with another agent
  */
 async function shareMemory(args) {
-  const { config, logger } = await init();
+  const { config, logger, state, keyStore } = await init();
   const { generateShareToken, generateSimpleShareToken } = await import('../lib/shareToken.js');
+  const { createContentKeyPayload, unwrapDataKey, deriveKey } = await import('../lib/cryptoBox.js');
   const { PermissionRegistry } = await import('../lib/permissions.js');
   
   const cid = getArg(args, '--cid');
@@ -1434,17 +2264,50 @@ async function shareMemory(args) {
     console.log('⚠️  Recipient must have permission to access your memories.');
     console.log('   Use: aegismemory grant --agent WALLET_ADDRESS\n');
   } else {
-    // Full token with encrypted key
-    token = await generateShareToken(cid, config.walletPubkey, config.walletSecretKeyBase58, agent);
+    const ipfsFetcher = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
+    const encryptedPayload = JSON.parse(await ipfsFetcher.fetch(cid));
+    
+    let sharedCid = cid;
+    let contentKey;
+    
+    if (encryptedPayload.version === 2) {
+      // Per-memory data key: the token unlocks only this memory
+      contentKey = await unwrapDataKey(encryptedPayload, config.walletSecretKeyBase58, config.cacheKeyTtlMs, { keyStore });
+    } else {
+      // Legacy v1 memory: re-encrypt a copy under a fresh content key
+      const plaintext = await decryptPayload(
+        encryptedPayload,
+        config.walletSecretKeyBase58,
+        config.cacheKeyTtlMs,
+        { keyStore }
+      );
+      
+      const copy = createContentKeyPayload(plaintext, config.walletPubkey);
+      const vaultApi = new VaultApi(config.baseUrl, logger, metrics);
+      const result = await vaultApi.add(
+        copy.payload,
+        `shared/${agent}/${cid}.json`,
+        config.walletPubkey,
+        plaintext,
+        config.maxRetries
+      );
+      
+      sharedCid = result.cid;
+      contentKey = copy.contentKey;
+    }
+    
+    // Full token with content key wrapped for the recipient
+    token = await generateShareToken(sharedCid, config.walletPubkey, config.walletSecretKeyBase58, agent, contentKey);
     console.log('✅ Share token generated:\n');
     console.log(`   ${token}\n`);
     console.log(`📋 Share this token with: ${agent}`);
-    console.log('   They can import it using: aegismemory import --token "..."\n');
+    console.log('   Only that wallet can unwrap it. They can import it using: aegismemory import --token "..."\n');
     
-    // Optionally grant permission
+    // Optionally grant permission (read key only, never the wallet secret)
     if (args.includes('--grant')) {
       const permissions = new PermissionRegistry(config, logger);
-      await permissions.grant(agent, config.walletSecretKeyBase58);
+      const vaultKey = await deriveKey(config.walletSecretKeyBase58, state.getDerivationMsg() || config.derivationMsg, config.cacheKeyTtlMs);
+      await permissions.grant(agent, vaultKey.toString('base64'));
       console.log(`✅ Also granted persistent permission to ${agent}\n`);
     }
   }
@@ -1455,7 +2318,7 @@ async function shareMemory(args) {
  */
 async function importMemory(args) {
   const { config, logger } = await init();
-  const { parseShareToken, decryptShareToken, parseSimpleShareToken } = await import('../lib/shareToken.js');
+  const { getShareTokenType, decryptShareToken, parseSimpleShareToken } = await import('../lib/shareToken.js');
   const { CrossAgentMemory } = await import('../lib/crossAgentMemory.js');
   const { PermissionRegistry } = await import('../lib/permissions.js');
   
@@ -1466,52 +2329,57 @@ async function importMemory(args) {
   
   if (!token && (!cid || !from)) {
     console.error('❌ Required: --token "aegis://..." OR (--cid + --from)');
-    console.error('Usage: aegismemory import --token "aegis://QmXYZ.../WALLET/KEY"');
+    console.error('Usage: aegismemory import --token "aegis://v2/QmXYZ.../SENDER/RECIPIENT/KEY"');
     console.error('   OR: aegismemory import --cid QmXYZ... --from WALLET_ADDRESS');
     process.exit(1);
   }
   
-  let importCid, sourceWallet, sharedKey;
+  let importCid, sourceWallet, sharedKey, keyType;
+  
+  const permissions = new PermissionRegistry(config, logger);
+  await permissions.init();
   
   if (token) {
     console.log(`\n📥 Importing from share token...\n`);
     
-    // Parse token
+    let tokenType;
     try {
-      const parsed = parseShareToken(token);
+      tokenType = getShareTokenType(token);
+    } catch (error) {
+      console.error(`❌ Invalid token format: ${error.message}`);
+      process.exit(1);
+    }
+    
+    if (tokenType === 'simple') {
+      const parsed = parseSimpleShareToken(token);
       importCid = parsed.cid;
       sourceWallet = parsed.wallet;
       
-      // Decrypt the shared key
-      sharedKey = await decryptShareToken(token, config.walletSecretKeyBase58);
+      // Need to get shared key from permissions
+      sharedKey = await permissions.getSharedKey(sourceWallet);
+      keyType = await permissions.getKeyType(sourceWallet);
       
-      console.log(`Source:  ${sourceWallet}`);
-      console.log(`CID:     ${importCid}\n`);
-    } catch (error) {
-      // Try simple token format
+      if (!sharedKey) {
+        console.error(`❌ No permission found for ${sourceWallet}`);
+        console.error('   Ask them to grant you access first.');
+        process.exit(1);
+      }
+    } else {
+      // Unwrap the per-memory content key (rejects legacy v1 tokens)
       try {
-        const parsed = parseSimpleShareToken(token);
-        importCid = parsed.cid;
-        sourceWallet = parsed.wallet;
-        
-        // Need to get shared key from permissions
-        const permissions = new PermissionRegistry(config, logger);
-        await permissions.init();
-        sharedKey = await permissions.getSharedKey(sourceWallet);
-        
-        if (!sharedKey) {
-          console.error(`❌ No permission found for ${sourceWallet}`);
-          console.error('   Ask them to grant you access first.');
-          process.exit(1);
-        }
-        
-        console.log(`Source:  ${sourceWallet}`);
-        console.log(`CID:     ${importCid}\n`);
-      } catch (err) {
-        console.error(`❌ Invalid token format: ${error.message}`);
+        const unwrapped = await decryptShareToken(token, config.walletSecretKeyBase58, config.walletPubkey);
+        importCid = unwrapped.cid;
+        sourceWallet = unwrapped.wallet;
+        sharedKey = unwrapped.contentKey;
+        keyType = 'content';
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
         process.exit(1);
       }
     }
+    
+    console.log(`Source:  ${sourceWallet}`);
+    console.log(`CID:     ${importCid}\n`);
   } else {
     // Manual CID + wallet
     importCid = cid;
@@ -1522,9 +2390,8 @@ async function importMemory(args) {
     console.log(`CID:     ${importCid}\n`);
     
     // Get shared key from permissions
-    const permissions = new PermissionRegistry(config, logger);
-    await permissions.init();
     sharedKey = await permissions.getSharedKey(sourceWallet);
+    keyType = await permissions.getKeyType(sourceWallet);
     
     if (!sharedKey) {
       console.error(`❌ No permission found for ${sourceWallet}`);
@@ -1534,21 +2401,20 @@ async function importMemory(args) {
   }
   
   // Import the memory
-  const permissions = new PermissionRegistry(config, logger);
-  await permissions.init();
-  
   const crossAgent = new CrossAgentMemory(config, permissions, null, null, logger);
-  const memory = await crossAgent.importMemory(importCid, sourceWallet, sharedKey, { saveLocally: save });
+  const memory = await crossAgent.importMemory(importCid, sourceWallet, sharedKey, { keyType, saveLocally: save });
   
   console.log('✅ Memory imported successfully!\n');
   console.log(`Schema:      ${memory.schema || 'N/A'}`);
   console.log(`Timestamp:   ${memory.timestamp || memory.created_at || 'N/A'}`);
-  console.log(`Messages:    ${memory.messages?.length || 'N/A'}`);
+  console.log(`Messages:    ${memory.content?.messages?.length || memory.messages?.length || 'N/A'}`);
   console.log(`Source:      ${memory.source_agent}`);
   console.log(`Imported:    ${memory.imported_at}\n`);
   
-  if (save) {
+  if (save && keyType !== 'content') {
     console.log('💾 Permission saved for future queries.\n');
+  } else if (save) {
+    console.log('ℹ️  Share tokens unlock a single memory, no permission saved.\n');
   }
 }
 
@@ -1556,7 +2422,7 @@ async function importMemory(args) {
  * Grant permission to another agent
  */
 async function grantPermission(args) {
-  const { config, logger } = await init();
+  const { config, logger, state } = await init();
   const { PermissionRegistry } = await import('../lib/permissions.js');
   
   const agent = getArg(args, '--agent') || getArg(args, '--to');
@@ -1572,7 +2438,10 @@ async function grantPermission(args) {
   const permissions = new PermissionRegistry(config, logger);
   await permissions.init();
   
-  const result = await permissions.grant(agent, config.walletSecretKeyBase58);
+  // Share the vault read key only, never the wallet secret
+  const { deriveKey } = await import('../lib/cryptoBox.js');
+  const vaultKey = await deriveKey(config.walletSecretKeyBase58, state.getDerivationMsg() || config.derivationMsg, config.cacheKeyTtlMs);
+  const result = await permissions.grant(agent, vaultKey.toString('base64'));
   
   console.log('✅ Permission granted!\n');
   console.log(`Grantee:     ${result.grantee}`);
@@ -1798,8 +2667,9 @@ async function init() {
   });
   const state = new State(config.statePath, logger);
   const queue = new Queue(config.queuePath, logger);
+  const keyStore = new KeyStore(config.keyStorePath, logger);
   
-  return { config, logger, state, queue };
+  return { config, logger, state, queue, keyStore };
 }
 
 main().catch(error => {
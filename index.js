@@ -10,8 +10,12 @@ import { State } from "./lib/state.js";
 import { Queue } from "./lib/queue.js";
 import { EmbeddingGenerator } from "./lib/embeddings.js";
 import { VectorDB } from "./lib/vectorDB.js";
-import { homedir } from "os";
-import { join } from "path";
+import { StateSnapshots } from "./lib/snapshots.js";
+import { KeyRotation } from "./lib/keyRotation.js";
+import { QueueWorker } from "./lib/worker.js";
+
+// Shutdown of the current registration, for dispose()
+let activeShutdown = null;
 
 export default {
   id: "aegismemory",
@@ -96,6 +100,13 @@ export default {
     required: ["walletPubkey"]
   },
   
+  /**
+   * Stop the queue workers and wait for running jobs (see shutdownTimeoutMs)
+   */
+  async dispose() {
+    await activeShutdown?.();
+  },
+  
   register(api) {
     const logger = createLogger({ namespace: "aegismemory" });
     
@@ -119,16 +130,13 @@ export default {
     // Load configuration (synchronous)
     const config = loadConfig(api.pluginConfig || api.config || {}, process.env);
     
-    // Initialize state and queue
-    const dataDir = join(homedir(), ".openclaw", "aegismemory");
-    const statePath = join(dataDir, "state.json");
-    const queuePath = join(dataDir, "queue.jsonl");
-    
-    const state = new State(statePath, logger);
-    const queue = new Queue(queuePath, logger);
+    // Initialize state and queue (same files as the CLI, which shares the state lock)
+    const state = new State(config.statePath, logger);
+    const queue = new Queue(config.queuePath, logger);
     
     // Initialize AegisMemory
     const aegis = new AegisMemory(config, logger, metrics, state, queue);
+    const snapshots = new StateSnapshots(config, logger, metrics, state, queue);
     
     logger.info("AegisMemory initialized", {
       agentId: config.agentId,
@@ -136,46 +144,48 @@ export default {
       anchorEnabled: config.anchorEnabled
     });
     
-    // Start queue processor
-    const processQueue = async () => {
-      const job = queue.getNext();
-      if (!job) {
-        // Check queue status periodically
-        const stats = queue.getStats();
-        if (stats.pending > 0 || stats.processing > 0) {
-          logger.debug("📊 Queue status", stats);
+    // Job handlers: each module registers the job types it processes
+    aegis.registerJobHandlers(queue);
+    snapshots.registerJobHandlers(queue);
+    new KeyRotation(config, logger, metrics, state, queue).registerJobHandlers(queue);
+    
+    // Start queue workers (every workerIntervalMs, up to workerConcurrency jobs at once)
+    const worker = new QueueWorker(config, logger, metrics, queue);
+    worker.start({
+      // Back up state to the vault every snapshotIntervalMs
+      onTick: () => snapshots.schedule()
+    });
+    
+    // Graceful shutdown: flush batched turns, stop taking jobs, give running uploads
+    // and anchors up to shutdownTimeoutMs to finish, then compact the queue and release locks
+    let stopping = null;
+    const shutdown = () => {
+      stopping ||= (async () => {
+        // Buffered turns go to the durable queue first, so a restart keeps them
+        const batches = await aegis.captureBuffer.flushAll();
+        if (batches.flushed + batches.failed > 0) {
+          logger.info("Flushed buffered turns", batches);
         }
-        return;
-      }
-      
-      try {
-        queue.markProcessing(job.id);
-        logger.info("⚙️ Processing job", { id: job.id, type: job.type });
         
-        if (job.type === "UPLOAD_MEMORY") {
-          await aegis.processUploadJob(job);
-          queue.complete(job.id);
-          logger.info("✅ Job completed", { id: job.id, type: "UPLOAD_MEMORY" });
-        } else if (job.type === "ANCHOR_MEMORY") {
-          await aegis.processAnchorJob(job);
-          queue.complete(job.id);
-          logger.info("✅ Job completed", { id: job.id, type: "ANCHOR_MEMORY" });
+        logger.info("🛑 Stopping queue workers", { running: worker.running.size, timeoutMs: config.shutdownTimeoutMs });
+        
+        const { finished, abandoned } = await worker.stop({ timeoutMs: config.shutdownTimeoutMs });
+        if (abandoned.length > 0) {
+          logger.warn("Jobs still running at shutdown deadline, left leased for the next start", { jobs: abandoned });
         }
-      } catch (error) {
-        logger.error("❌ Job failed", { id: job.id, error: error.message, stack: error.stack });
-        queue.fail(job.id, error.message, 5000);
-      }
+        
+        queue.close();
+        state.close();
+        logger.info("AegisMemory stopped", { finished: finished.length, abandoned: abandoned.length });
+      })();
+      return stopping;
     };
-    
-    // Run queue processor every 5 seconds
-    logger.info("🔄 Starting queue processor (5s interval)");
-    const queueInterval = setInterval(processQueue, 5000);
-    
-    // Process immediately on startup
-    processQueue().catch(err => logger.error("Queue processor startup error", { error: err.message }));
+    activeShutdown = shutdown;
     
     // Register lifecycle hooks using api.on() (OpenClaw 2026.2.9+)
     
+    api.on("gateway_stop", shutdown);
+    
     logger.info("🔗 Registering before_agent_start hook", { recallEnabled: config.recallEnabled });
     
     // Hook: Before agent starts - recall previous memories
@@ -206,7 +216,7 @@ export default {
         );
         
         const memories = await Promise.race([
-          aegis.recall(ctx),
+          aegis.recall({ agentId: ctx?.agentId, branch: ctx?.branch, query: event.prompt }),
           timeoutPromise
         ]);
         
@@ -258,6 +268,7 @@ export default {
         const saveCtx = {
           agentId: ctx?.agentId || config.agentId,
           sessionId: ctx?.sessionKey || ctx?.sessionId,
+          branch: ctx?.branch,
           messages: event.messages,
           timestamp: new Date().toISOString()
         };
@@ -288,25 +299,45 @@ export default {
       return [
         {
           name: "aegismemory_recall",
-          description: "Recall previous encrypted memories from X1 Vault. Returns decrypted conversation history.",
+          description: "Recall previous encrypted memories from X1 Vault. With a query, returns the most relevant memories (semantic search blended with recency); otherwise the most recent ones.",
           parameters: {
             type: "object",
             properties: {
+              query: {
+                type: "string",
+                description: "What to look for, in natural language"
+              },
               limit: {
                 type: "number",
                 description: "Maximum number of memories to recall",
-                default: config.memoryLimit
+                default: config.memoryLimitNumber
+              },
+              since: {
+                type: "string",
+                description: "Only recall memories from this date on (ISO 8601, e.g. 2026-02-01)"
+              },
+              tags: {
+                type: "array",
+                items: { type: "string" },
+                description: "Only recall memories with at least one of these tags"
               }
             }
           },
-          async execute(params) {
+          async execute(params = {}) {
             try {
               logger.info("Tool: aegismemory_recall", params);
-              const memories = await aegis.recall(params.limit);
+              const result = await aegis.recall({
+                query: params.query,
+                limit: params.limit,
+                since: params.since,
+                tags: params.tags
+              });
+              const memories = result?.memories || [];
               return {
                 success: true,
                 count: memories.length,
-                memories
+                memories,
+                context: result?.prependContext || ""
               };
             } catch (error) {
               logger.error("Tool failed: aegismemory_recall", { error: error.message });
@@ -317,6 +348,81 @@ export default {
             }
           }
         },
+        {
+          name: "aegismemory_branch",
+          description: "Manage memory branches. New memories are saved to, and recalled from, the current branch.",
+          parameters: {
+            type: "object",
+            properties: {
+              action: {
+                type: "string",
+                enum: ["list", "create", "switch", "merge", "delete"],
+                description: "Branch operation"
+              },
+              name: {
+                type: "string",
+                description: "Branch to create, switch to, merge from or delete"
+              },
+              from: {
+                type: "string",
+                description: "Branch to fork from when creating (default: current)"
+              },
+              into: {
+                type: "string",
+                description: "Branch to merge into (default: current)"
+              },
+              force: {
+                type: "boolean",
+                description: "Allow deleting the current branch"
+              }
+            },
+            required: ["action"]
+          },
+          async execute(params) {
+            try {
+              logger.info("Tool: aegismemory_branch", params);
+              const wallet = config.walletPubkey;
+              const agentId = ctx?.agentId || config.agentId;
+              const { branches } = aegis;
+              
+              if (params.action !== "list" && !params.name) {
+                throw new Error(`Branch name is required for ${params.action}`);
+              }
+              
+              let result;
+              switch (params.action) {
+                case "list":
+                  result = { branches: await branches.list(wallet, agentId) };
+                  break;
+                case "create":
+                  result = await branches.create(wallet, agentId, params.name, params.from);
+                  break;
+                case "switch":
+                  result = await branches.switch(wallet, agentId, params.name);
+                  break;
+                case "merge":
+                  result = await aegis.mergeBranch(params.name, params.into, { agentId });
+                  break;
+                case "delete":
+                  result = await branches.delete(wallet, agentId, params.name, params.force);
+                  break;
+                default:
+                  throw new Error(`Unknown branch action: ${params.action}`);
+              }
+              
+              return {
+                success: true,
+                ...result
+              };
+            } catch (error) {
+              logger.error("Tool failed: aegismemory_branch", { error: error.message });
+              return {
+                success: false,
+                error: error.message
+              };
+            }
+          }
+        },
         {
           name: "aegismemory_status",
           description: "Get AegisMemory status and statistics",
@@ -340,9 +446,71 @@ export default {
               };
             }
           }
+        },
+        {
+          name: "aegismemory_queue",
+          description: "Inspect AegisMemory background jobs (uploads, anchors, indexing), including dead-lettered jobs that used up their retries and the errors that stopped them",
+          parameters: {
+            type: "object",
+            properties: {
+              jobId: {
+                type: "string",
+                description: "Show one job (ID or unique prefix) with its error history"
+              },
+              status: {
+                type: "string",
+                enum: ["pending", "waiting", "processing", "dead"],
+                description: "Only jobs with this status"
+              },
+              type: {
+                type: "string",
+                description: "Only jobs of this type (e.g. UPLOAD_MEMORY)"
+              },
+              agentId: {
+                type: "string",
+                description: "Only jobs of this agent"
+              },
+              error: {
+                type: "string",
+                description: "Only jobs whose errors contain this text"
+              }
+            }
+          },
+          async execute(params = {}) {
+            try {
+              logger.info("Tool: aegismemory_queue", params);
+              
+              if (params.jobId) {
+                const job = queue.show(params.jobId);
+                if (!job) {
+                  throw new Error(`No job ${params.jobId}`);
+                }
+                return { success: true, job };
+              }
+              
+              const jobs = queue.list({
+                status: params.status,
+                type: params.type,
+                agentId: params.agentId,
+                error: params.error
+              });
+              return {
+                success: true,
+                stats: queue.getStats(),
+                count: jobs.length,
+                jobs
+              };
+            } catch (error) {
+              logger.error("Tool failed: aegismemory_queue", { error: error.message });
+              return {
+                success: false,
+                error: error.message
+              };
+            }
+          }
         }
       ];
-    }, { names: ["aegismemory_recall", "aegismemory_status"] });
+    }, { names: ["aegismemory_recall", "aegismemory_branch", "aegismemory_status", "aegismemory_queue"] });
     
     // Register Cyberdyne Profile tools
     logger.info("🎯 Registering Cyberdyne Profile tools");
@@ -1,11 +1,19 @@
 import { VaultApi } from './vaultApi.js';
 import { IpfsFetcher } from './ipfsFetch.js';
-import { createEncryptedPayload, decryptPayload, sha256 } from './cryptoBox.js';
+import { createEncryptedPayload, decryptPayload, getShredKeyId, signWithWallet, sha256 } from './cryptoBox.js';
 import { canonicalStringify, parallelLimit } from './util.js';
-import { captureMemory } from './capture.js';
+import { captureMemory, mergeCaptures } from './capture.js';
+import { CaptureBuffer } from './captureBuffer.js';
 import { formatMemories } from './format.js';
 import { AegisAnchor } from './anchor.js';
+import { RpcClient } from './rpc.js';
+import { VectorDB } from './vectorDB.js';
+import { EphemeralMemory } from './ephemeral.js';
 import { toTOON, fromTOON, calculateSavings } from './toon.js';
+import { KeyStore } from './keyStore.js';
+import { calculateCompression } from './compression.js';
+import { TOMBSTONE_SCHEMA, MERGE_SCHEMA, isTombstone, isMerge, parentLinks, forgottenStub } from './chain.js';
+import { BranchManager, lineagePositions } from './branches.js';
 
 /**
  * AegisMemory core orchestration
@@ -20,6 +28,12 @@ export class AegisMemory {
     
     this.vaultApi = new VaultApi(config.baseUrl, logger, metrics);
     this.ipfsFetcher = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
+    this.keyStore = new KeyStore(config.keyStorePath, logger);
+    this.branches = new BranchManager(state, logger);
+    this.captureBuffer = new CaptureBuffer(config, logger, metrics, (batch) => this._enqueueMemory({
+      ...batch,
+      content: mergeCaptures(batch.captures)
+    }));
     
     if (config.anchorEnabled) {
       this.anchor = new AegisAnchor(config, logger, metrics, state);
@@ -27,9 +41,17 @@ export class AegisMemory {
   }
 
   /**
-   * Recall memories (for before_agent_start)
+   * Recall memories (for before_agent_start and the aegismemory_recall tool)
+   * With a query, memories are ranked by semantic relevance blended with
+   * recency; without one, the newest memories come first.
+   * @param {Object} ctx
+   * @param {string} ctx.query - Text to rank memories against (e.g. the user prompt)
+   * @param {number} ctx.limit - Maximum number of memories (default: memoryLimitNumber)
+   * @param {string} ctx.since - Only memories at or after this date/timestamp
+   * @param {string[]} ctx.tags - Only memories carrying at least one of these tags
+   * @param {string} ctx.branch - Branch whose lineage to recall (default: current branch)
    */
-  async recall(ctx) {
+  async recall(ctx = {}) {
     if (!this.config.recallEnabled) {
       this.logger.debug('Recall disabled');
       return null;
@@ -38,81 +60,127 @@ export class AegisMemory {
     const startTime = Date.now();
     const wallet = this.config.walletPubkey;
     const agentId = ctx.agentId || this.config.agentId;
+    const limit = ctx.limit || this.config.memoryLimitNumber;
+    const query = typeof ctx.query === 'string' && ctx.query.trim() ? ctx.query.trim() : null;
+    const since = ctx.since ? new Date(ctx.since) : null;
+    const tags = ctx.tags?.length ? ctx.tags.map(t => t.toLowerCase()) : null;
+    const branch = this.branches.getBranch(wallet, agentId, ctx.branch);
+    const lineage = new Set((branch.data.cids || []).map(c => c.cid));
+    // The vault listing holds every agent of the wallet, unknown CIDs are only checked against the wallet
+    const expected = this._expectedContext(wallet, agentId, { wallet });
+    
+    if (since && isNaN(since)) {
+      throw new Error(`Invalid since date: ${ctx.since}`);
+    }
     
     try {
-      this.logger.info('Recalling memories', { wallet, agentId, limit: this.config.memoryLimitNumber });
+      this.logger.info('Recalling memories', { wallet, agentId, branch: branch.name, limit, query: Boolean(query), since: ctx.since, tags });
       
       // Get list of memory files
       const files = await this.vaultApi.listFiles(wallet);
       
-      // Filter by prefix and sort by date (newest first)
+      // Filter by prefix and date, sort by date (newest first)
       const memoryFiles = files
         .filter(f => f.filename?.startsWith(this.config.memoryPrefix))
-        .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0))
-        .slice(0, this.config.memoryLimitNumber);
+        .filter(f => !since || !f.timestamp || new Date(f.timestamp) >= since)
+        .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
       
       if (memoryFiles.length === 0) {
         this.logger.info('No memories found');
         return null;
       }
       
+      // Candidates: the newest memories plus the most relevant ones
+      // (tags live inside the encrypted document, so widen the window when filtering on them)
+      const relevance = query ? await this._searchRelevant(query, limit) : new Map();
+      const recentCount = tags ? limit * 3 : limit;
+      const candidates = memoryFiles.filter((f, i) => i < recentCount || relevance.has(f.cid));
+      
       // Fetch and decrypt in parallel
       const memories = await parallelLimit(
-        memoryFiles,
+        candidates,
         this.config.fetchConcurrency,
         async (file) => {
           try {
             const encryptedJson = await this.ipfsFetcher.fetch(file.cid);
             const encryptedPayload = JSON.parse(encryptedJson);
+            
+            const shredKeyId = getShredKeyId(encryptedPayload);
+            if (shredKeyId && this.keyStore.isDestroyed(shredKeyId)) {
+              return { cid: file.cid, forgotten: true };
+            }
+            
             const plaintext = await decryptPayload(
               encryptedPayload,
               this.config.walletSecretKeyBase58,
-              this.config.cacheKeyTtlMs
+              this.config.cacheKeyTtlMs,
+              { keyStore: this.keyStore, context: expected(file.cid) }
             );
             
-            // Parse based on format
+            // Parse based on content (tombstones are always JSON)
             let doc;
-            if (this.config.memoryFormat === 'toon') {
+            if (plaintext.startsWith('@aegismemory')) {
               doc = fromTOON(plaintext);
             } else {
               doc = JSON.parse(plaintext);
             }
             
             doc.cid = file.cid; // Add CID for reference
+            doc.timestamp = doc.timestamp || file.timestamp;
             return doc;
           } catch (error) {
-            this.logger.error('Failed to fetch/decrypt memory', { 
-              cid: file.cid, 
-              error: error.message 
-            });
-            this.metrics.inc('recall.decrypt_error');
-            return null;
+            return { cid: file.cid, error };
           }
         }
       );
       
-      // Filter out nulls
-      const validMemories = memories.filter(m => m !== null);
+      // Forgotten memories are unreadable on purpose, not decrypt errors
+      const forgottenCids = new Set(
+        memories.filter(m => isTombstone(m)).map(m => m.forgotten.cid)
+      );
+      
+      for (const m of memories) {
+        if (m.error && !forgottenCids.has(m.cid)) {
+          this.logger.error('Failed to fetch/decrypt memory', { 
+            cid: m.cid, 
+            error: m.error.message 
+          });
+          this.metrics.inc('recall.decrypt_error');
+        }
+      }
+      
+      // Memories saved before branches existed belong to every lineage
+      const validMemories = memories.filter(m => 
+        !m.error && !m.forgotten && !isTombstone(m) && !isMerge(m) && !forgottenCids.has(m.cid)
+      ).filter(m =>
+        !m.branch || lineage.has(m.cid)
+      ).filter(m =>
+        (!since || new Date(m.timestamp || m.date) >= since) &&
+        (!tags || (m.content?.tags || []).some(t => tags.includes(String(t).toLowerCase())))
+      );
       
       if (validMemories.length === 0) {
         this.logger.warn('No valid memories after decryption');
         return null;
       }
       
-      // Format for context
-      const formattedContext = formatMemories(validMemories, this.config.maxPrependChars);
+      const ranked = this._rankMemories(validMemories, relevance).slice(0, limit);
+      
+      // Format for context (best first, until maxPrependChars is used up)
+      const formattedContext = formatMemories(ranked, this.config.maxPrependChars);
       
       this.metrics.inc('recall.success');
       this.metrics.recordTime('recall.duration', Date.now() - startTime);
       
       this.logger.info('Recall complete', { 
-        memoriesFound: validMemories.length,
+        memoriesFound: ranked.length,
+        relevant: ranked.filter(m => m.relevance_score > 0).length,
         contextLength: formattedContext.length 
       });
       
       return {
         prependContext: formattedContext,
-        memories: validMemories
+        memories: ranked
       };
     } catch (error) {
       this.metrics.inc('recall.error');
@@ -121,8 +189,83 @@ export class AegisMemory {
     }
   }
 
+  /**
+   * Score memories against the query with semantic search
+   * Falls back to recency only if the index is empty or search fails.
+   * @returns {Promise<Map<string, number>>} CID -> relevance score (0-1)
+   */
+  async _searchRelevant(query, limit) {
+    try {
+      const semanticSearch = await this._getSemanticSearch();
+      if (await semanticSearch.vectorDB.count() === 0) {
+        return new Map();
+      }
+      
+      const results = await semanticSearch.search(query, {
+        limit,
+        minScore: this.config.recallMinScore,
+        decrypt: false
+      });
+      
+      return new Map(results.map(r => [r.cid, r.relevance_score]));
+    } catch (error) {
+      this.metrics.inc('recall.search_error');
+      this.logger.warn('Semantic search failed, recalling by recency', { error: error.message });
+      return new Map();
+    }
+  }
+
+  /**
+   * Get semantic search (lazy, the embedding model is only loaded on first embed)
+   * @returns {Promise<SemanticSearch>}
+   */
+  async _getSemanticSearch() {
+    if (this.semanticSearch) {
+      return this.semanticSearch;
+    }
+    
+    const vectorDB = new VectorDB(this.config, this.logger);
+    const { EmbeddingGenerator } = await import('./embeddings.js');
+    const { SemanticSearch } = await import('./search.js');
+    
+    this.semanticSearch = new SemanticSearch(
+      this.config,
+      new EmbeddingGenerator(this.logger),
+      vectorDB,
+      this.ipfsFetcher,
+      this.logger,
+      this.keyStore
+    );
+    
+    return this.semanticSearch;
+  }
+
+  /**
+   * Rank memories by relevance blended with recency (best first)
+   * Recency decays exponentially with recallHalfLifeDays.
+   */
+  _rankMemories(memories, relevance) {
+    const now = Date.now();
+    const halfLifeMs = this.config.recallHalfLifeDays * 24 * 60 * 60 * 1000;
+    const weight = relevance.size > 0 ? this.config.recallRelevanceWeight : 0;
+    
+    return memories
+      .map(memory => {
+        const age = Math.max(0, now - new Date(memory.timestamp || memory.date || 0));
+        const recency = Math.pow(0.5, age / halfLifeMs);
+        const relevanceScore = relevance.get(memory.cid) || 0;
+        
+        memory.relevance_score = relevanceScore;
+        memory.recall_score = weight * relevanceScore + (1 - weight) * recency;
+        return memory;
+      })
+      .sort((a, b) => b.recall_score - a.recall_score);
+  }
+
   /**
    * Save memory (for agent_end)
+   * With uploadBatchWindowMs set, the turn is buffered and saved together
+   * with the session's other turns in that window (see CaptureBuffer).
    */
   async save(ctx) {
     if (!this.config.addEnabled) {
@@ -132,78 +275,203 @@ export class AegisMemory {
     
     const wallet = this.config.walletPubkey;
     const agentId = ctx.agentId || this.config.agentId;
-    const date = new Date().toISOString().split('T')[0];
+    const sessionId = ctx.sessionId || null;
     
     try {
-      this.logger.info('Saving memory', { wallet, agentId, date });
+      // Active branch (or the session's override) decides where the memory links in
+      const branch = this.branches.getBranch(wallet, agentId, ctx.branch);
       
       // Capture memory content
       const content = captureMemory(ctx, this.config.captureStrategy, this.config.maxMessageChars);
       
-      // Get previous CID and sha256
-      const prevCid = this.state.getLastCid(wallet, agentId);
-      const prevSha256 = this.state.getAgent(wallet, agentId).lastPlaintextSha256;
-      
-      // Build memory document
-      const doc = {
-        schema: 'aegismemory.v1',
-        agent_id: agentId,
-        wallet: wallet,
-        timestamp: new Date().toISOString(),
-        date: date,
-        session_id: ctx.sessionId || null,
-        prev_cid: prevCid,
-        prev_plaintext_sha256: prevSha256,
-        plaintext_sha256: null, // Will be computed
-        content: content,
-        anchor: {
-          enabled: this.config.anchorEnabled,
-          program: this.config.anchorProgram,
-          signature: null,
-          slot: null,
-          blockTime: null
-        }
-      };
-      
-      // Compute plaintext_sha256
-      // Always use canonical JSON for hash (consistent regardless of storage format)
-      const canonical = canonicalStringify(doc);
-      doc.plaintext_sha256 = sha256(canonical);
-      
-      // Log size savings if using TOON
-      if (this.config.memoryFormat === 'toon') {
-        const savings = calculateSavings(doc);
-        this.logger.debug('TOON format savings', savings);
+      if (this.captureBuffer.enabled()) {
+        await this.captureBuffer.add({ agentId, sessionId, branch: branch.name }, content);
+        this.metrics.inc('save.buffered');
+        return;
       }
       
-      // Enqueue upload job
-      const jobKey = `${wallet}:${agentId}:${date}:${doc.plaintext_sha256}`;
+      this._enqueueMemory({ agentId, sessionId, branch: branch.name, content });
+    } catch (error) {
+      this.metrics.inc('save.error');
+      this.logger.error('Save failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the next memory document on a branch and enqueue its upload
+   * @private
+   */
+  _enqueueMemory({ agentId, sessionId, branch: branchName, content }) {
+    const wallet = this.config.walletPubkey;
+    const date = new Date().toISOString().split('T')[0];
+    const branch = this.branches.getBranch(wallet, agentId, branchName);
+    
+    this.logger.info('Saving memory', { wallet, agentId, branch: branch.name, date, turns: content.metadata?.turnCount || 1 });
+    
+    // Get previous CID and sha256 from the branch head
+    const prevCid = branch.data.lastCid || null;
+    const prevSha256 = branch.data.lastPlaintextSha256 || null;
+    
+    // Build memory document
+    const doc = {
+      schema: 'aegismemory.v1',
+      agent_id: agentId,
+      wallet: wallet,
+      timestamp: new Date().toISOString(),
+      date: date,
+      session_id: sessionId,
+      branch: branch.name,
+      prev_cid: prevCid,
+      prev_plaintext_sha256: prevSha256,
+      plaintext_sha256: null, // Will be computed
+      content: content,
+      anchor: {
+        enabled: this.config.anchorEnabled,
+        program: this.config.anchorProgram,
+        signature: null,
+        slot: null,
+        blockTime: null
+      }
+    };
+    
+    // Compute plaintext_sha256
+    // Always use canonical JSON for hash (consistent regardless of storage format)
+    const canonical = canonicalStringify(doc);
+    doc.plaintext_sha256 = sha256(canonical);
+    
+    // Log size savings if using TOON
+    if (this.config.memoryFormat === 'toon') {
+      const savings = calculateSavings(doc);
+      this.logger.debug('TOON format savings', savings);
+    }
+    
+    // Enqueue upload job
+    const jobKey = `${wallet}:${agentId}:${date}:${doc.plaintext_sha256}`;
+    
+    const job = this.queue.enqueue('UPLOAD_MEMORY', {
+      key: jobKey,
+      doc,
+      wallet,
+      agentId,
+      branch: branch.name,
+      date
+    }, { key: jobKey, maxRetries: this.config.maxRetries });
+    
+    this.logger.info('Memory save job enqueued', { jobKey });
+    
+    this.metrics.inc('save.enqueued');
+    return job;
+  }
+
+  /**
+   * Get status (chain heads, queue, anchoring, local indexes, endpoint health)
+   * Shared by the aegismemory_status tool and the CLI status command
+   * @param {Object} options
+   * @param {boolean} options.checkHealth - Probe gateways and RPC endpoints (default: true)
+   */
+  async getStatus(options = {}) {
+    const { checkHealth = true } = options;
+    
+    const agents = this.state.getAllAgents().map(agentKey => {
+      const [wallet, ...rest] = agentKey.split(':');
+      const agentId = rest.join(':');
+      const agentState = this.state.getAgent(wallet, agentId);
       
-      this.queue.enqueue('UPLOAD_MEMORY', {
-        key: jobKey,
-        doc,
+      return {
         wallet,
         agentId,
-        date
-      }, { key: jobKey, maxRetries: this.config.maxRetries });
+        lastCid: agentState.lastCid || null,
+        lastPlaintextSha256: agentState.lastPlaintextSha256 || null,
+        lastAnchoredDate: agentState.lastAnchoredDate || null
+      };
+    });
+    
+    const anchoredDates = agents.map(a => a.lastAnchoredDate).filter(Boolean).sort();
+    
+    const status = {
+      wallet: this.config.walletPubkey,
+      agentId: this.config.agentId,
+      agents,
+      queue: { ...this.queue.getStats(), bufferedTurns: this.captureBuffer.stats().turns },
+      anchor: {
+        enabled: this.config.anchorEnabled,
+        lastAnchoredDate: anchoredDates[anchoredDates.length - 1] || null
+      },
+      vectorIndex: null,
+      ephemeral: null,
+      health: null,
+      warnings: []
+    };
+    
+    // Wallet balance and spend against the anchor budgets
+    if (this.config.anchorEnabled) {
+      if (checkHealth) {
+        await this.anchor.refreshBalance(true);
+      }
+      const { frequency, degraded, paused, balance, spend, budget, warnings } = this.anchor.anchorPolicy();
+      Object.assign(status.anchor, { frequency, degraded, paused, balanceLamports: balance, spend, budget });
+      status.warnings.push(...warnings);
+      if (checkHealth && balance === null) {
+        status.warnings.push('Anchor wallet balance unavailable (RPC unreachable)');
+      }
+    }
+    
+    // Local indexes are optional, report errors instead of failing the whole status
+    try {
+      status.vectorIndex = { size: await new VectorDB(this.config, this.logger).count() };
+    } catch (error) {
+      status.vectorIndex = { size: null, error: error.message };
+    }
+    
+    try {
+      const { total, active, expired } = await new EphemeralMemory(this.config, this.logger).getStats();
+      status.ephemeral = { total, active, expired };
+    } catch (error) {
+      status.ephemeral = { total: null, active: null, expired: null, error: error.message };
+    }
+    
+    if (checkHealth) {
+      const rpcClient = this.anchor?.rpcClient ||
+        new RpcClient(this.config.anchorRpcFallbackUrls || [this.config.anchorRpcUrl], this.logger, this.metrics);
       
-      this.logger.info('Memory save job enqueued', { jobKey });
+      const [gateways, rpc] = await Promise.all([
+        this.ipfsFetcher.checkHealth(this.config.anchorTimeoutMs),
+        rpcClient.checkHealth(this.config.anchorTimeoutMs)
+      ]);
       
-      this.metrics.inc('save.enqueued');
-    } catch (error) {
-      this.metrics.inc('save.error');
-      this.logger.error('Save failed', { error: error.message });
-      throw error;
+      status.health = {
+        gateways,
+        rpc,
+        ok: gateways.some(g => g.ok) && (!this.config.anchorEnabled || rpc.some(r => r.ok))
+      };
     }
+    
+    return status;
+  }
+
+  /**
+   * Register handlers for the memory job types on the queue
+   * Uploads run one at a time and each resolves its parent when it runs
+   * (processUploadJob), so each memory chains onto the previous head.
+   */
+  registerJobHandlers(queue = this.queue) {
+    queue.registerHandler('UPLOAD_MEMORY', job => this.processUploadJob(job), { priority: 30 });
+    queue.registerHandler('ANCHOR_MEMORY', job => this.processAnchorJob(job), { priority: 20 });
+    queue.registerHandler('ANCHOR_BATCH', job => this.processAnchorBatchJob(job), { priority: 20 });
+    queue.registerHandler('INDEX_MEMORY', job => this.processIndexJob(job), { priority: 10 });
   }
 
   /**
    * Process upload job
    */
   async processUploadJob(job) {
-    const { doc, wallet, agentId, date } = job.payload;
+    const { wallet, agentId, date } = job.payload;
+    const branch = job.payload.branch || this.branches.defaultBranch;
     
     try {
+      const doc = this._chainOnHead(job, wallet, agentId, branch);
+      
       // Serialize based on format
       let plaintext;
       if (this.config.memoryFormat === 'toon') {
@@ -213,15 +481,27 @@ export class AegisMemory {
         plaintext = canonicalStringify(doc);
       }
       
-      // Create encrypted payload
+      // Create encrypted payload bound to the document's chain slot
+      // (shred key id is stable across upload retries)
       const encryptedPayload = await createEncryptedPayload(
         plaintext,
         wallet,
         this.config.walletSecretKeyBase58,
-        this.config.derivationMsg,
-        this.config.cacheKeyTtlMs
+        this.state.getDerivationMsg() || this.config.derivationMsg,
+        this.config.cacheKeyTtlMs,
+        {
+          context: doc,
+          compression: this.config.compression,
+          ...(this.config.shreddable && { shredKey: this.keyStore.getOrCreate(doc.plaintext_sha256) })
+        }
       );
       
+      if (encryptedPayload.compression) {
+        // Measured on the payload: the ciphertext is the compressed body plus IV (12) and auth tag (16)
+        const compressed = Buffer.from(encryptedPayload.data, 'base64').length - 28;
+        this.logger.debug('Compression savings', calculateCompression(plaintext, encryptedPayload.compression, compressed));
+      }
+      
       // Upload to Vault
       const filename = `${this.config.memoryPrefix}${date}.json`;
       const result = await this.vaultApi.add(
@@ -234,13 +514,27 @@ export class AegisMemory {
       
       const cid = result.cid;
       
-      // Update state
-      this.state.setLastCid(wallet, agentId, cid, doc.plaintext_sha256);
+      // Advance the branch head (and the agent head for the default branch)
+      this.branches.updateBranch(wallet, agentId, cid, doc.plaintext_sha256, branch, doc.prev_plaintext_sha256);
       
-      this.logger.info('Memory uploaded', { cid, wallet, agentId, date });
+      this.logger.info('Memory uploaded', { cid, wallet, agentId, branch, date });
       
-      // Check if anchor is needed
-      if (this.anchor && this.anchor.shouldAnchor(wallet, agentId, date)) {
+      // Check if anchor is needed (a low wallet balance may switch to batch/daily anchoring)
+      if (this.anchor) {
+        await this.anchor.refreshBalance();
+      }
+      if (this.anchor && this.anchor.shouldAnchor(wallet, agentId, date) && this.anchor.anchorPolicy().frequency === 'batch') {
+        // Runs once the day is over (UTC): memories are collected when the job
+        // runs, so the day's later uploads are in the batch too
+        const runAt = new Date(Date.parse(date) + 24 * 60 * 60 * 1000).toISOString();
+        this.logger.info('Enqueueing batch anchor job', { date, runAt });
+        
+        this.queue.enqueue('ANCHOR_BATCH', {
+          date,
+          wallet,
+          agentId
+        }, { key: `anchor-batch:${wallet}:${agentId}:${date}`, maxRetries: this.config.maxRetries, runAt });
+      } else if (this.anchor && this.anchor.shouldAnchor(wallet, agentId, date)) {
         this.logger.info('Enqueueing anchor job', { cid, date });
         
         this.queue.enqueue('ANCHOR_MEMORY', {
@@ -253,6 +547,14 @@ export class AegisMemory {
         }, { maxRetries: this.config.maxRetries });
       }
       
+      if (this.config.indexEnabled) {
+        this.queue.enqueue('INDEX_MEMORY', {
+          cid,
+          wallet,
+          agentId
+        }, { key: `index:${cid}`, maxRetries: this.config.maxRetries });
+      }
+      
       return { success: true, cid };
     } catch (error) {
       this.logger.error('Upload job failed', { error: error.message });
@@ -260,11 +562,676 @@ export class AegisMemory {
     }
   }
 
+  /**
+   * Point a queued memory document at its branch's current head
+   * Memories saved while an earlier upload was still queued were built on
+   * the same head; such a document gets the new parent and is re-hashed, and
+   * the job is updated so a retry uploads the same document.
+   * @private
+   */
+  _chainOnHead(job, wallet, agentId, branchName) {
+    const { doc } = job.payload;
+    const head = this.branches.getBranch(wallet, agentId, branchName).data;
+    const prevCid = head.lastCid || null;
+    if (doc.prev_cid === prevCid) {
+      return doc;
+    }
+    
+    const rebased = { ...doc, prev_cid: prevCid, prev_plaintext_sha256: head.lastPlaintextSha256 || null, plaintext_sha256: null };
+    rebased.plaintext_sha256 = sha256(canonicalStringify(rebased));
+    
+    job.payload.doc = rebased;
+    this.queue.updatePayload(job.id, { doc: rebased });
+    
+    this.logger.debug('Queued memory chained onto the new branch head', { agentId, branch: branchName, prevCid, savedOn: doc.prev_cid });
+    return rebased;
+  }
+
+  /**
+   * Process index job (embed an uploaded memory for semantic search)
+   * The job only names the CID: the document is read back from the vault,
+   * so its plaintext never sits in the queue log.
+   */
+  async processIndexJob(job) {
+    const { cid, agentId } = job.payload;
+    const wallet = job.payload.wallet || this.config.walletPubkey;
+    
+    try {
+      const payload = JSON.parse(await this.ipfsFetcher.fetch(cid));
+      const shredKeyId = getShredKeyId(payload);
+      if (shredKeyId && this.keyStore.isDestroyed(shredKeyId)) {
+        this.logger.info('Memory forgotten before it was indexed', { cid, agentId });
+        return { success: true, cid, skipped: true };
+      }
+      
+      const plaintext = await decryptPayload(
+        payload,
+        this.config.walletSecretKeyBase58,
+        this.config.cacheKeyTtlMs,
+        { keyStore: this.keyStore, context: this._expectedContext(wallet, agentId)(cid) }
+      );
+      const doc = plaintext.startsWith('@aegismemory') ? fromTOON(plaintext) : JSON.parse(plaintext);
+      
+      const semanticSearch = await this._getSemanticSearch();
+      await semanticSearch.index(cid, doc, agentId);
+      
+      this.metrics.inc('index.success');
+      this.logger.info('Memory indexed', { cid, agentId });
+      
+      return { success: true, cid };
+    } catch (error) {
+      this.metrics.inc('index.error');
+      this.logger.error('Index job failed', { cid, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Backfill the vector index from chain history
+   * Walks each agent's chain from its branch heads (both parents of merges), skipping forgotten memories
+   * (and dropping their embeddings) and memories that are already indexed.
+   * @param {Object} options
+   * @param {string} options.agentId - Only reindex this agent (default: all agents in state)
+   * @param {boolean} options.force - Re-embed memories that are already indexed
+   * @returns {Promise<Array>} Per-agent { agentId, indexed, skipped, removed, failed }
+   */
+  async reindex(options = {}) {
+    const wallet = this.config.walletPubkey;
+    const agentIds = options.agentId
+      ? [options.agentId]
+      : this.state.getAllAgents()
+        .filter(key => key.startsWith(`${wallet}:`))
+        .map(key => key.slice(wallet.length + 1));
+    
+    const semanticSearch = await this._getSemanticSearch();
+    const results = [];
+    
+    for (const agentId of agentIds) {
+      const result = { agentId, indexed: 0, skipped: 0, removed: 0, failed: 0 };
+      const forgotten = new Map();
+      const seen = new Set();
+      const expected = this._expectedContext(wallet, agentId);
+      
+      // Every branch head; the agent head is walked first so its tombstones
+      // are known before other branches reach the memories they forget
+      const { branches = {} } = this.state.getAgent(wallet, agentId);
+      const pending = [
+        ...Object.values(branches).map(b => b.lastCid),
+        this.state.getLastCid(wallet, agentId)
+      ].filter(Boolean);
+      
+      while (pending.length > 0) {
+        const cid = pending.pop();
+        if (seen.has(cid)) {
+          continue;
+        }
+        seen.add(cid);
+        
+        // Forgotten memories are unreadable, step over them via their tombstone
+        if (forgotten.has(cid)) {
+          if (await semanticSearch.vectorDB.get(cid)) {
+            await semanticSearch.vectorDB.delete(cid);
+            result.removed++;
+          }
+          pending.push(...[forgotten.get(cid).prev_cid].filter(Boolean));
+          continue;
+        }
+        
+        let doc;
+        try {
+          doc = await this._fetchDocument(cid, expected(cid));
+        } catch (error) {
+          // Without the document its history is unreachable from here
+          this.logger.error('Memory unreadable, skipping its history', { agentId, cid, error: error.message });
+          result.failed++;
+          continue;
+        }
+        
+        if (isTombstone(doc)) {
+          forgotten.set(doc.forgotten.cid, doc.forgotten);
+        } else if (isMerge(doc)) {
+          // Structural, nothing to search for
+        } else if (!options.force && await semanticSearch.vectorDB.get(cid)) {
+          result.skipped++;
+        } else {
+          try {
+            await semanticSearch.index(cid, doc, agentId);
+            result.indexed++;
+          } catch (error) {
+            this.logger.error('Failed to index memory', { agentId, cid, error: error.message });
+            result.failed++;
+          }
+        }
+        
+        pending.push(...parentLinks(doc).map(link => link.cid));
+      }
+      
+      this.logger.info('Reindex complete', result);
+      results.push(result);
+    }
+    
+    return results;
+  }
+
+  /**
+   * Expected bound context of an agent's memories, for decryptPayload()
+   * Memories in the agent's lineages must also sit at the chain position
+   * recorded in State, so a replayed vault object fails to decrypt.
+   * @param {Object} fallback - Context for CIDs outside the lineages (default: wallet and agent)
+   * @returns {Function} cid => context
+   * @private
+   */
+  _expectedContext(wallet, agentId, fallback = { wallet, agent_id: agentId }) {
+    const positions = lineagePositions(this.state.getAgent(wallet, agentId));
+    
+    return cid => positions.has(cid)
+      ? { wallet, agent_id: agentId, prev_plaintext_sha256: positions.get(cid) }
+      : fallback;
+  }
+
+  /**
+   * Fetch, decrypt and parse a memory document
+   * @param {Object} context - Expected bound context
+   * @private
+   */
+  async _fetchDocument(cid, context) {
+    const plaintext = await decryptPayload(
+      JSON.parse(await this.ipfsFetcher.fetch(cid)),
+      this.config.walletSecretKeyBase58,
+      this.config.cacheKeyTtlMs,
+      { keyStore: this.keyStore, context }
+    );
+    
+    return plaintext.startsWith('@aegismemory') ? fromTOON(plaintext) : JSON.parse(plaintext);
+  }
+
+  /**
+   * Memory history of a branch, newest first (like git log)
+   * @param {Object} options
+   * @param {string} options.branch - Branch to walk (default: current branch)
+   * @param {string} options.agentId - Agent (default: configured agent)
+   * @param {number} options.limit - Maximum number of entries (default: all)
+   * @returns {Promise<Object>} { branch, head, entries }
+   */
+  async log(options = {}) {
+    const wallet = this.config.walletPubkey;
+    const agentId = options.agentId || this.config.agentId;
+    const branch = this.branches.getBranch(wallet, agentId, options.branch);
+    
+    const entries = await this._walkHistory([branch.data.lastCid], {
+      wallet,
+      agentId,
+      limit: options.limit
+    });
+    
+    return {
+      branch: branch.name,
+      head: branch.data.lastCid || null,
+      entries
+    };
+  }
+
+  /**
+   * Memories unique to each of two branches since their fork point
+   * @param {string} branchA - First branch
+   * @param {string} branchB - Second branch
+   * @param {Object} options
+   * @param {string} options.agentId - Agent (default: configured agent)
+   * @returns {Promise<Object>} { forkCid, left: { branch, entries }, right: { branch, entries } }
+   */
+  async diff(branchA, branchB, options = {}) {
+    const wallet = this.config.walletPubkey;
+    const agentId = options.agentId || this.config.agentId;
+    const a = this.branches.getBranch(wallet, agentId, branchA);
+    const b = this.branches.getBranch(wallet, agentId, branchB);
+    const forkCid = this.branches.forkPoint(wallet, agentId, branchA, branchB);
+    
+    // Each side stops at the fork point and at anything the other side already has
+    const side = (branch, other) => this._walkHistory([branch.data.lastCid], {
+      wallet,
+      agentId,
+      stopAt: [forkCid, ...(other.data.cids || []).map(c => c.cid)]
+    });
+    
+    return {
+      forkCid,
+      left: { branch: a.name, entries: await side(a, b) },
+      right: { branch: b.name, entries: await side(b, a) }
+    };
+  }
+
+  /**
+   * Walk history from heads through every parent, newest first
+   * Parents are fetched as their children are visited, so the newest
+   * known document is always next (exact order for merged branches).
+   * @param {string[]} heads - CIDs to start from
+   * @param {Object} options - { wallet, agentId, stopAt: CIDs not to visit, limit }
+   * @returns {Promise<Array>} History entries
+   * @private
+   */
+  async _walkHistory(heads, options) {
+    const { wallet, agentId, stopAt = [], limit = Infinity } = options;
+    const lastAnchoredDate = this.state.getLastAnchoredDate(wallet, agentId);
+    const agent = this.state.getAgent(wallet, agentId);
+    const anchored = { ...agent.anchorProofs, ...agent.anchorReceipts }; // CID -> batch proof or receipt
+    const seen = new Set(stopAt.filter(Boolean));
+    const expected = this._expectedContext(wallet, agentId);
+    const tombstones = new Map(); // forgotten CID -> tombstone
+    const frontier = [];
+    
+    const visit = async (cid) => {
+      if (!cid || seen.has(cid)) {
+        return;
+      }
+      seen.add(cid);
+      
+      if (tombstones.has(cid)) {
+        frontier.push(forgottenStub(tombstones.get(cid)));
+        return;
+      }
+      
+      try {
+        const doc = await this._fetchDocument(cid, expected(cid));
+        doc.cid = cid;
+        if (isTombstone(doc)) {
+          tombstones.set(doc.forgotten.cid, doc);
+        }
+        frontier.push(doc);
+      } catch (error) {
+        // Unreadable (e.g. shredded before its tombstone was reached), its history stays hidden
+        frontier.push({ cid, error: error.message });
+      }
+    };
+    
+    for (const head of heads) {
+      await visit(head);
+    }
+    
+    const entries = [];
+    while (frontier.length > 0 && entries.length < limit) {
+      frontier.sort((x, y) => new Date(y.timestamp || 0) - new Date(x.timestamp || 0));
+      const doc = frontier.shift();
+      
+      entries.push(this._historyEntry(doc, lastAnchoredDate, anchored));
+      
+      for (const link of doc.error ? [] : parentLinks(doc)) {
+        await visit(link.cid);
+      }
+    }
+    
+    return entries;
+  }
+
+  /**
+   * Summarize a document for log/diff output
+   * @private
+   */
+  _historyEntry(doc, lastAnchoredDate, anchored = {}) {
+    if (doc.error) {
+      return { cid: doc.cid, error: doc.error };
+    }
+    
+    const firstMessage = doc.content?.messages?.[0]?.content;
+    let summary = doc.content?.summary || (firstMessage ? firstMessage.slice(0, 80) : null);
+    if (isTombstone(doc)) {
+      summary = `Forgot ${doc.forgotten.cid}${doc.reason ? ` (${doc.reason})` : ''}`;
+    }
+    
+    // Memories are immutable, so anchoring is known from State: a batch anchor
+    // stores an inclusion proof per memory, a memo anchor a receipt, and a daily
+    // anchor covers its day and, through the hash chain, everything before it
+    let anchor = 'off';
+    if (doc.anchor?.signature || anchored[doc.cid]) {
+      anchor = 'anchored';
+    } else if (this.config.anchorFrequency !== 'batch' && lastAnchoredDate && doc.date && doc.date <= lastAnchoredDate) {
+      anchor = 'covered';
+    } else if (doc.anchor?.enabled) {
+      anchor = 'pending';
+    }
+    
+    return {
+      cid: doc.cid,
+      timestamp: doc.timestamp || null,
+      date: doc.date || doc.timestamp?.split('T')[0] || null,
+      branch: doc.branch || null,
+      summary,
+      tags: doc.content?.tags || [],
+      anchor,
+      prev_cids: parentLinks(doc).map(link => link.cid),
+      merge: isMerge(doc),
+      tombstone: isTombstone(doc),
+      forgotten: doc.forgotten === true
+    };
+  }
+
+  /**
+   * Merge a branch by uploading a merge document whose parents are both heads
+   * @param {string} sourceBranch - Branch to merge from
+   * @param {string} targetBranch - Branch to merge into (default: current branch)
+   * @param {Object} options
+   * @param {string} options.agentId - Agent whose branches to merge (default: configured agent)
+   * @returns {Object} Merge info, including the merge document CID
+   */
+  async mergeBranch(sourceBranch, targetBranch = null, options = {}) {
+    const wallet = this.config.walletPubkey;
+    const agentId = options.agentId || this.config.agentId;
+    const target = targetBranch || this.branches.getCurrent(wallet, agentId);
+    const plan = this.branches.prepareMerge(wallet, agentId, sourceBranch, target);
+    
+    const now = new Date().toISOString();
+    const doc = {
+      schema: MERGE_SCHEMA,
+      agent_id: agentId,
+      wallet,
+      timestamp: now,
+      date: now.split('T')[0],
+      branch: target,
+      // First parent keeps linear walkers (verify) on the target lineage
+      prev_cid: plan.targetCid,
+      prev_plaintext_sha256: plan.targetSha256,
+      prev_cids: [plan.targetCid, plan.sourceCid],
+      prev_plaintext_sha256s: [plan.targetSha256, plan.sourceSha256],
+      plaintext_sha256: null,
+      merge: {
+        source_branch: sourceBranch,
+        target_branch: target
+      },
+      content: {
+        summary: `Merge branch '${sourceBranch}' into '${target}'`
+      }
+    };
+    
+    doc.plaintext_sha256 = sha256(canonicalStringify(doc));
+    
+    const plaintext = this.config.memoryFormat === 'toon' ? toTOON(doc) : canonicalStringify(doc);
+    const encryptedPayload = await createEncryptedPayload(
+      plaintext,
+      wallet,
+      this.config.walletSecretKeyBase58,
+      this.state.getDerivationMsg() || this.config.derivationMsg,
+      this.config.cacheKeyTtlMs,
+      { context: doc, compression: this.config.compression }
+    );
+    
+    const result = await this.vaultApi.add(
+      encryptedPayload,
+      `${this.config.memoryPrefix}merge-${doc.date}.json`,
+      wallet,
+      plaintext,
+      this.config.maxRetries
+    );
+    
+    const merge = await this.branches.merge(wallet, agentId, sourceBranch, target, {
+      cid: result.cid,
+      sha256: doc.plaintext_sha256,
+      prevSha256: doc.prev_plaintext_sha256
+    });
+    
+    this.metrics.inc('merge.success');
+    
+    return merge;
+  }
+
+  /**
+   * Forget a memory: destroy its shred key and append a signed tombstone to the chain
+   * The tombstone goes on the branch that holds the memory (preferably the one it was saved on).
+   * @param {string} cid - Memory CID
+   * @param {Object} options
+   * @param {string} options.agentId - Chain to append the tombstone to (default: memory's agent)
+   * @param {string} options.reason - Optional reason recorded in the tombstone
+   * Memories saved without a shred key cannot be destroyed: they are only
+   * tombstoned and hidden from recall, and the result reports them readable.
+   * @returns {Object} { cid: tombstone CID, forgottenCid, shredded, readable }
+   */
+  async forget(cid, options = {}) {
+    const wallet = this.config.walletPubkey;
+    
+    const payload = JSON.parse(await this.ipfsFetcher.fetch(cid));
+    const shredKeyId = getShredKeyId(payload);
+    
+    if (shredKeyId && this.keyStore.isDestroyed(shredKeyId)) {
+      throw new Error(`Memory ${cid} was already forgotten`);
+    }
+    
+    // Read link data before the key is gone, the tombstone keeps it for chain validation
+    const plaintext = await decryptPayload(
+      payload,
+      this.config.walletSecretKeyBase58,
+      this.config.cacheKeyTtlMs,
+      { keyStore: this.keyStore, context: { wallet } }
+    );
+    const target = plaintext.startsWith('@aegismemory') ? fromTOON(plaintext) : JSON.parse(plaintext);
+    
+    if (target.wallet !== wallet) {
+      throw new Error(`Memory ${cid} belongs to wallet ${target.wallet}`);
+    }
+    
+    if (isMerge(target)) {
+      throw new Error(`${cid} is a merge document, forget the memories it joins instead`);
+    }
+    
+    const agentId = options.agentId || target.agent_id;
+    const branch = this.branches.getBranch(wallet, agentId, this.branches.findBranch(wallet, agentId, cid, target.branch));
+    const shredded = shredKeyId ? this.keyStore.destroy(shredKeyId) : false;
+    
+    if (!shredded) {
+      this.logger.warn('Memory is not shreddable, ciphertext stays readable with the wallet key', { cid });
+    }
+    
+    const now = new Date().toISOString();
+    const tombstone = {
+      schema: TOMBSTONE_SCHEMA,
+      agent_id: agentId,
+      wallet,
+      timestamp: now,
+      date: now.split('T')[0],
+      branch: branch.name,
+      prev_cid: branch.data.lastCid || null,
+      prev_plaintext_sha256: branch.data.lastPlaintextSha256 || null,
+      plaintext_sha256: null,
+      forgotten: {
+        cid,
+        timestamp: target.timestamp,
+        prev_cid: target.prev_cid || null,
+        plaintext_sha256: target.plaintext_sha256,
+        prev_plaintext_sha256: target.prev_plaintext_sha256 || null
+      },
+      reason: options.reason || null,
+      shredded,
+      signature: null
+    };
+    
+    // Hash covers everything but the hash and signature, the wallet signs the hash
+    tombstone.plaintext_sha256 = sha256(canonicalStringify(tombstone));
+    tombstone.signature = await signWithWallet(tombstone.plaintext_sha256, this.config.walletSecretKeyBase58);
+    
+    const tombstoneText = canonicalStringify(tombstone);
+    const encryptedPayload = await createEncryptedPayload(
+      tombstoneText,
+      wallet,
+      this.config.walletSecretKeyBase58,
+      this.state.getDerivationMsg() || this.config.derivationMsg,
+      this.config.cacheKeyTtlMs,
+      { context: tombstone }
+    );
+    
+    const result = await this.vaultApi.add(
+      encryptedPayload,
+      `${this.config.memoryPrefix}tombstone-${tombstone.date}.json`,
+      wallet,
+      tombstoneText,
+      this.config.maxRetries
+    );
+    
+    // Record it in the branch lineage (and the agent head for the default branch)
+    this.branches.updateBranch(wallet, agentId, result.cid, tombstone.plaintext_sha256, branch.name, tombstone.prev_plaintext_sha256);
+    this.metrics.inc('forget.success');
+    
+    // The embedding is derived from the plaintext, drop it as well
+    try {
+      const vectorDB = this.semanticSearch?.vectorDB || new VectorDB(this.config, this.logger);
+      await vectorDB.delete(cid);
+    } catch (error) {
+      this.logger.warn('Failed to remove embedding of forgotten memory', { cid, error: error.message });
+    }
+    
+    if (shredded) {
+      this.logger.info('Memory forgotten', { cid, tombstone: result.cid, branch: branch.name });
+    } else {
+      this.logger.warn('Memory tombstoned but not forgotten, no shred key to destroy', { cid, tombstone: result.cid, branch: branch.name });
+    }
+    
+    return { cid: result.cid, forgottenCid: cid, shredded, readable: !shredded };
+  }
+
+  /**
+   * Cross-reference the anchor wallet's on-chain memos with the local chains
+   * A memory is anchored if a memo (or a batch root) names it, covered if a
+   * later memory on one of its branches is anchored (the hash chain commits to
+   * it) and missing otherwise. Memos that match nothing local are foreign.
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of signatures to scan (default: all)
+   * @param {number} options.pageSize - Signatures per RPC request (default: 1000)
+   * @param {boolean} options.enqueue - Queue ANCHOR_MEMORY jobs for branch heads that are missing
+   *   (requires anchorEnabled)
+   * @returns {Promise<Object>} { address, scanned, anchors, foreign, agents, enqueued }
+   */
+  async scanAnchors(options = {}) {
+    if (options.enqueue && !this.anchor) {
+      throw new Error('Anchoring is disabled (anchorEnabled), cannot queue anchor jobs');
+    }
+    
+    const wallet = this.config.walletPubkey;
+    const anchorModule = this.anchor || new AegisAnchor(this.config, this.logger, this.metrics, this.state);
+    const { address, scanned, anchors } = await anchorModule.listAnchors({ limit: options.limit, pageSize: options.pageSize });
+    
+    // Every agent of this wallet, with its chains in upload order
+    const agents = this.state.getAllAgents()
+      .filter(key => key.startsWith(`${wallet}:`))
+      .map(key => {
+        const agentId = key.slice(wallet.length + 1);
+        const data = this.state.getAgent(wallet, agentId);
+        const chains = data.branches
+          ? Object.entries(data.branches).map(([name, branch]) => [name, branch.cids || []])
+          : [['main', data.lastCid ? [{ cid: data.lastCid, sha256: data.lastPlaintextSha256 }] : []]];
+        return { agentId, data, chains };
+      });
+    
+    const memories = new Map(); // CID -> { agentId, sha256 }
+    const batches = new Map(); // Merkle root -> agent
+    for (const agent of agents) {
+      for (const [, cids] of agent.chains) {
+        for (const entry of cids) {
+          memories.set(entry.cid, { agentId: agent.agentId, sha256: entry.sha256 });
+        }
+      }
+      for (const root of Object.keys(agent.data.anchorBatches || {})) {
+        batches.set(root, agent);
+      }
+    }
+    
+    const anchored = new Set();
+    const foreign = [];
+    for (const anchor of anchors) {
+      if (anchor.version === 1 && memories.has(anchor.cid)) {
+        const local = memories.get(anchor.cid);
+        anchor.agentId = local.agentId;
+        
+        if (local.sha256 && local.sha256 !== anchor.plaintextSha256) {
+          anchor.reason = 'plaintext_sha256 does not match the local chain';
+        } else {
+          anchored.add(anchor.cid);
+        }
+      } else if (anchor.version === 2 && batches.has(anchor.root)) {
+        const agent = batches.get(anchor.root);
+        anchor.agentId = agent.agentId;
+        
+        for (const [cid, proof] of Object.entries(agent.data.anchorProofs || {})) {
+          if (proof.root === anchor.root) {
+            anchored.add(cid);
+          }
+        }
+      } else {
+        anchor.reason = anchor.version === 1 ? 'Unknown CID'
+          : anchor.version === 2 ? 'Unknown batch root'
+          : 'Unrecognized payload';
+      }
+      
+      anchor.status = anchor.reason ? 'foreign' : 'anchored';
+      if (anchor.reason) {
+        foreign.push(anchor);
+      }
+    }
+    
+    // A memory counts as covered if any branch it is on has a later anchor
+    const rank = { missing: 0, covered: 1, anchored: 2 };
+    const report = agents.map(({ agentId, chains }) => {
+      const status = new Map();
+      
+      for (const [, cids] of chains) {
+        const lastAnchored = cids.findLastIndex(entry => anchored.has(entry.cid));
+        cids.forEach((entry, index) => {
+          const s = anchored.has(entry.cid) ? 'anchored' : index < lastAnchored ? 'covered' : 'missing';
+          if (!status.has(entry.cid) || rank[s] > rank[status.get(entry.cid)]) {
+            status.set(entry.cid, s);
+          }
+        });
+      }
+      
+      const gaps = [];
+      for (const [branch, cids] of chains) {
+        const head = cids[cids.length - 1];
+        if (head && status.get(head.cid) === 'missing' && !gaps.some(g => g.cid === head.cid)) {
+          gaps.push({ branch, cid: head.cid });
+        }
+      }
+      
+      const count = s => [...status.values()].filter(v => v === s).length;
+      return {
+        agentId,
+        anchored: count('anchored'),
+        covered: count('covered'),
+        missing: [...status].filter(([, s]) => s === 'missing').map(([cid]) => cid),
+        gaps
+      };
+    });
+    
+    // One anchor on a missing head covers the rest of its branch through the chain
+    const enqueued = [];
+    if (options.enqueue) {
+      for (const agent of report) {
+        for (const gap of agent.gaps) {
+          const doc = await this._fetchDocument(gap.cid, this._expectedContext(wallet, agent.agentId)(gap.cid));
+          const job = this.queue.enqueue('ANCHOR_MEMORY', {
+            cid: gap.cid,
+            plaintextSha256: doc.plaintext_sha256,
+            prevPlaintextSha256: doc.prev_plaintext_sha256,
+            date: doc.date || doc.timestamp?.split('T')[0],
+            wallet,
+            agentId: agent.agentId
+          }, { key: `anchor:${gap.cid}`, maxRetries: this.config.maxRetries });
+          enqueued.push({ agentId: agent.agentId, branch: gap.branch, cid: gap.cid, jobId: job.id });
+        }
+      }
+    }
+    
+    this.metrics.inc('anchor.scan');
+    this.logger.info('Anchor scan cross-referenced', {
+      anchors: anchors.length,
+      foreign: foreign.length,
+      missing: report.reduce((n, a) => n + a.missing.length, 0),
+      enqueued: enqueued.length
+    });
+    
+    return { address, scanned, anchors, foreign, agents: report, enqueued };
+  }
+
   /**
    * Process anchor job
    */
   async processAnchorJob(job) {
     const { cid, plaintextSha256, prevPlaintextSha256, date, wallet, agentId } = job.payload;
+    this._requireAnchor(job);
     
     try {
       const result = await this.anchor.anchor(
@@ -284,4 +1251,28 @@ export class AegisMemory {
       throw error;
     }
   }
+
+  /**
+   * Process ANCHOR_BATCH job (Merkle root of every unanchored memory)
+   */
+  async processAnchorBatchJob(job) {
+    const { date, wallet, agentId } = job.payload;
+    this._requireAnchor(job);
+    
+    const result = await this.anchor.anchorBatch(wallet, agentId, date);
+    
+    this.logger.info('Batch anchor job complete', { date, root: result.root, leafCount: result.leafCount });
+    
+    return { success: true, ...result };
+  }
+
+  /**
+   * Fail an anchor job queued while anchoring is enabled, picked up by a process where it is not
+   * @private
+   */
+  _requireAnchor(job) {
+    if (!this.anchor) {
+      throw new Error(`Anchoring is disabled (anchorEnabled), cannot run ${job.type} job`);
+    }
+  }
 }
@@ -1,6 +1,10 @@
-import { Transaction, TransactionInstruction, PublicKey } from '@solana/web3.js';
+import { Transaction, TransactionInstruction, PublicKey, ComputeBudgetProgram } from '@solana/web3.js';
 import { RpcClient, MEMO_PROGRAM_ID } from './rpc.js';
 import { sha256 } from './cryptoBox.js';
+import { buildMerkleTree, verifyMerkleProof } from './merkle.js';
+
+const BALANCE_TTL_MS = 60000; // Re-check the anchor wallet balance at most once a minute
+const BASE_FEE_LAMPORTS = 5000; // Per signature, used when the actual fee is unknown
 
 /**
  * AegisAnchor module - on-chain anchoring
@@ -20,21 +24,31 @@ export class AegisAnchor {
       logger,
       metrics
     );
+    
+    this.balance = null; // { lamports, checkedAt } of the anchor wallet
   }
 
   /**
    * Check if anchor is needed
+   * Uses the effective frequency from anchorPolicy(): no anchors once a spend
+   * budget is used up, fewer anchors while the wallet balance is low.
    */
   shouldAnchor(wallet, agentId, date) {
     if (!this.config.anchorEnabled) {
       return false;
     }
     
-    if (this.config.anchorFrequency === 'every_save') {
+    const { frequency, paused } = this.anchorPolicy();
+    if (paused) {
+      return false;
+    }
+    
+    if (frequency === 'every_save') {
       return true;
     }
     
-    if (this.config.anchorFrequency === 'daily') {
+    // Batch mode anchors once a day too, but covers every memory since the last anchor
+    if (frequency === 'daily' || frequency === 'batch') {
       const lastAnchoredDate = this.state.getLastAnchoredDate(wallet, agentId);
       return lastAnchoredDate !== date;
     }
@@ -42,6 +56,82 @@ export class AegisAnchor {
     return false;
   }
 
+  /**
+   * Anchor wallet balance in lamports, cached for a minute
+   * Never throws: on RPC failure the last known balance is kept.
+   * @param {boolean} force - Skip the cache
+   * @returns {Promise<number|null>} Lamports, or null if never fetched
+   */
+  async refreshBalance(force = false) {
+    if (!force && this.balance && Date.now() - this.balance.checkedAt < BALANCE_TTL_MS) {
+      return this.balance.lamports;
+    }
+    
+    try {
+      const lamports = await this.rpcClient.getBalance(this._keypair().publicKey);
+      this.balance = { lamports, checkedAt: Date.now() };
+      
+      if (lamports < this.config.minAnchorBalanceLamports) {
+        this.metrics.inc('anchor.low_balance');
+        this.logger.warn('Anchor wallet balance is low', { lamports, minimum: this.config.minAnchorBalanceLamports });
+      }
+    } catch (error) {
+      this.logger.warn('Balance check failed', { error: error.message });
+    }
+    
+    return this.balance?.lamports ?? null;
+  }
+
+  /**
+   * Spend budgets and balance threshold applied to anchoring
+   * A balance below minAnchorBalanceLamports degrades every_save to
+   * anchorDegradedFrequency; a used-up daily or monthly budget pauses anchoring
+   * until the period ends (memories saved meanwhile are covered by the next anchor).
+   * @returns {Object} { frequency, degraded, paused, balance, spend: { today, month }, budget: { daily, monthly }, warnings }
+   */
+  anchorPolicy(now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+    const spend = {
+      today: this.state.getAnchorSpend(today),
+      month: this.state.getAnchorSpend(today.slice(0, 7))
+    };
+    const budget = {
+      daily: this.config.anchorDailyBudgetLamports || null,
+      monthly: this.config.anchorMonthlyBudgetLamports || null
+    };
+    const balance = this.balance?.lamports ?? null;
+    const warnings = [];
+    let frequency = this.config.anchorFrequency;
+    let paused = false;
+    
+    if (budget.daily && spend.today >= budget.daily) {
+      paused = true;
+      warnings.push(`Daily anchor budget used up (${spend.today}/${budget.daily} lamports), anchoring paused until tomorrow (UTC)`);
+    }
+    if (budget.monthly && spend.month >= budget.monthly) {
+      paused = true;
+      warnings.push(`Monthly anchor budget used up (${spend.month}/${budget.monthly} lamports), anchoring paused until next month`);
+    }
+    
+    if (balance !== null && balance < this.config.minAnchorBalanceLamports) {
+      if (frequency === 'every_save') {
+        frequency = this.config.anchorDegradedFrequency || 'batch';
+      }
+      warnings.push(`Anchor wallet balance ${formatLamports(balance)} is below ${formatLamports(this.config.minAnchorBalanceLamports)}` +
+        (frequency !== this.config.anchorFrequency ? `, anchoring ${frequency} instead of every save` : ''));
+    }
+    
+    return {
+      frequency,
+      degraded: frequency !== this.config.anchorFrequency,
+      paused,
+      balance,
+      spend,
+      budget,
+      warnings
+    };
+  }
+
   /**
    * Build anchor payload
    */
@@ -59,6 +149,14 @@ export class AegisAnchor {
     return parts.join('|');
   }
 
+  /**
+   * Build batch anchor payload
+   */
+  buildBatchPayload(date, root, leafCount) {
+    // Format: "AegisMemory|v2|YYYY-MM-DD|merkleRoot|leafCount"
+    return ['AegisMemory', 'v2', date, root, leafCount].join('|');
+  }
+
   /**
    * Submit anchor transaction
    */
@@ -71,72 +169,312 @@ export class AegisAnchor {
       
       this.logger.info('Submitting anchor', { cid, date, payloadLength: payload.length });
       
-      // Get wallet keypair
-      const walletSecretKey = this.config.anchorWalletSecretKeyBase58 || this.config.walletSecretKeyBase58;
-      const keypair = this.rpcClient.keypairFromBase58(walletSecretKey);
-      
-      // Get recent blockhash
-      const { blockhash } = await this.rpcClient.getRecentBlockhash();
+      const result = await this._submitMemo(payload);
       
-      // Create memo instruction
-      const memoInstruction = new TransactionInstruction({
-        keys: [],
-        programId: new PublicKey(MEMO_PROGRAM_ID),
-        data: Buffer.from(payload, 'utf8')
+      this.logger.info('Anchor submitted successfully', { 
+        cid, 
+        signature: result.signature, 
+        slot: result.slot,
+        fee: result.fee
       });
       
-      // Build transaction
-      const transaction = new Transaction({
-        recentBlockhash: blockhash,
-        feePayer: keypair.publicKey
-      });
+      this.metrics.inc('anchor.success');
+      this.metrics.recordTime('anchor.duration', Date.now() - startTime);
       
-      transaction.add(memoInstruction);
+      // Memories are immutable, so the receipt is kept in State (keyed by CID)
+      this.state.transaction(() => {
+        const agent = this.state.getAgent(wallet, agentId);
+        this.state.setAgent(wallet, agentId, {
+          anchorReceipts: {
+            ...agent.anchorReceipts,
+            [cid]: { date, payload, ...result }
+          },
+          lastAnchoredDate: date
+        });
+      });
       
-      // Add priority fee if configured
-      if (this.config.priorityFeeMicrolamports) {
-        // Note: Priority fees require compute budget program
-        // For simplicity, we'll skip this in the basic implementation
-        this.logger.debug('Priority fees not implemented in this version');
+      return { ...result, payload };
+    } catch (error) {
+      this.metrics.inc('anchor.error');
+      this.logger.error('Anchor failed', { cid, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Memories of an agent not covered by a batch anchor yet (every branch, oldest first)
+   * @returns {Array} [{ cid, timestamp, sha256 }]
+   */
+  unanchoredMemories(wallet, agentId) {
+    const agent = this.state.getAgent(wallet, agentId);
+    const proofs = agent.anchorProofs || {};
+    const byCid = new Map();
+    
+    for (const branch of Object.values(agent.branches || {})) {
+      for (const entry of branch.cids || []) {
+        if (entry.sha256 && !proofs[entry.cid]) {
+          byCid.set(entry.cid, entry);
+        }
       }
+    }
+    
+    return [...byCid.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Anchor the Merkle root of every unanchored memory in one memo transaction
+   * Each memory's inclusion proof is stored in State (anchorProofs, keyed by CID),
+   * the batch itself in anchorBatches (keyed by root).
+   * @returns {Promise<Object>} { root, leafCount, signature, slot, blockTime } or { skipped: true }
+   */
+  async anchorBatch(wallet, agentId, date) {
+    const startTime = Date.now();
+    const memories = this.unanchoredMemories(wallet, agentId);
+    
+    if (memories.length === 0) {
+      this.logger.info('No unanchored memories, skipping batch anchor', { agentId, date });
+      return { skipped: true, leafCount: 0 };
+    }
+    
+    try {
+      const { root, proofs } = buildMerkleTree(memories.map(m => m.sha256));
+      const payload = this.buildBatchPayload(date, root, memories.length);
       
-      // Send and confirm
-      const signature = await this.rpcClient.sendAndConfirmTransaction(
-        transaction,
-        [keypair],
-        this.config.confirmCommitment,
-        this.config.anchorTimeoutMs
-      );
-      
-      // Get transaction details
-      const txDetails = await this.rpcClient.getTransaction(signature);
+      this.logger.info('Submitting batch anchor', { agentId, date, root, leafCount: memories.length });
       
-      const result = {
-        signature,
-        slot: txDetails?.slot || null,
-        blockTime: txDetails?.blockTime || null
-      };
+      const result = await this._submitMemo(payload);
       
-      this.logger.info('Anchor submitted successfully', { 
-        cid, 
-        signature, 
-        slot: result.slot 
+      // Merge into the latest State: another process may have anchored meanwhile
+      this.state.transaction(() => {
+        const agent = this.state.getAgent(wallet, agentId);
+        const anchorProofs = { ...agent.anchorProofs };
+        memories.forEach((memory, index) => {
+          anchorProofs[memory.cid] = { root, index, sha256: memory.sha256, proof: proofs[index] };
+        });
+        
+        this.state.setAgent(wallet, agentId, {
+          anchorProofs,
+          anchorBatches: {
+            ...agent.anchorBatches,
+            [root]: { date, leafCount: memories.length, ...result }
+          },
+          lastAnchoredDate: date
+        });
       });
       
+      this.logger.info('Batch anchor submitted successfully', { root, signature: result.signature, leafCount: memories.length, fee: result.fee });
+      
       this.metrics.inc('anchor.success');
       this.metrics.recordTime('anchor.duration', Date.now() - startTime);
       
-      // Update state
-      this.state.setLastAnchoredDate(wallet, agentId, date);
-      
-      return result;
+      return { root, leafCount: memories.length, ...result };
     } catch (error) {
       this.metrics.inc('anchor.error');
-      this.logger.error('Anchor failed', { cid, error: error.message });
+      this.logger.error('Batch anchor failed', { agentId, date, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Inclusion proof of a memory with its batch anchor, from State
+   * @returns {Object|null} { root, index, sha256, proof, date, leafCount, signature, slot, blockTime }
+   */
+  getProof(wallet, agentId, cid) {
+    const agent = this.state.getAgent(wallet, agentId);
+    const proof = agent.anchorProofs?.[cid];
+    if (!proof) {
+      return null;
+    }
+    
+    return { ...proof, ...agent.anchorBatches?.[proof.root] };
+  }
+
+  /**
+   * Receipt of a memo anchor, from State
+   * @returns {Object|null} { date, payload, signature, slot, blockTime, fee, ... }
+   */
+  getReceipt(wallet, agentId, cid) {
+    return this.state.getAgent(wallet, agentId).anchorReceipts?.[cid] || null;
+  }
+
+  /**
+   * Verify a memory against its batch anchor: the proof must lead from the
+   * memory's plaintext_sha256 to the root, and the root must be on-chain
+   */
+  async verifyBatchAnchor(plaintextSha256, proof) {
+    if (!verifyMerkleProof(plaintextSha256, proof.proof, proof.root)) {
+      return {
+        valid: false,
+        error: 'Merkle proof does not lead to the anchored root'
+      };
+    }
+    
+    return this.verifyAnchor(proof.signature, this.buildBatchPayload(proof.date, proof.root, proof.leafCount));
+  }
+
+  /**
+   * Page through the anchor wallet's transactions, newest first, and collect
+   * every AegisMemory memo. Failed transactions are skipped.
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of signatures to scan (default: all)
+   * @param {number} options.pageSize - Signatures per RPC request (default: 1000)
+   * @returns {Promise<Object>} { address, scanned, anchors: [{ signature, slot, blockTime, ...memo }] }
+   */
+  async listAnchors(options = {}) {
+    const { limit = Infinity, pageSize = 1000 } = options;
+    const address = this._keypair().publicKey;
+    
+    const anchors = [];
+    let scanned = 0;
+    let before;
+    
+    while (scanned < limit) {
+      const requested = Math.min(pageSize, limit - scanned);
+      const page = await this.rpcClient.getSignaturesForAddress(address, { before, limit: requested });
+      
+      for (const entry of page) {
+        if (entry.err) {
+          continue;
+        }
+        for (const memo of parseAnchorMemo(entry.memo)) {
+          anchors.push({ signature: entry.signature, slot: entry.slot, blockTime: entry.blockTime ?? null, ...memo });
+        }
+      }
+      
+      scanned += page.length;
+      if (page.length < requested) {
+        break;
+      }
+      before = page[page.length - 1].signature;
+    }
+    
+    this.logger.info('Anchor scan complete', { address: address.toBase58(), scanned, anchors: anchors.length });
+    
+    return { address: address.toBase58(), scanned, anchors };
+  }
+
+  /**
+   * Send a memo transaction
+   * @returns {Promise<Object>} { signature, slot, blockTime }
+   * @private
+   */
+  async _submitMemo(payload) {
+    // Get wallet keypair
+    const keypair = this._keypair();
+    
+    // Get recent blockhash
+    const { blockhash } = await this.rpcClient.getRecentBlockhash();
+    
+    // Create memo instruction
+    const memoInstruction = new TransactionInstruction({
+      keys: [],
+      programId: new PublicKey(MEMO_PROGRAM_ID),
+      data: Buffer.from(payload, 'utf8')
+    });
+    
+    // Build transaction
+    const transaction = new Transaction({
+      recentBlockhash: blockhash,
+      feePayer: keypair.publicKey
+    });
+    
+    // Compute budget instructions go first; the fee is price x requested units
+    const computeUnitLimit = this.config.computeUnitLimit || null;
+    const computeUnitPrice = await this._priorityFee(keypair.publicKey);
+    
+    if (computeUnitLimit) {
+      transaction.add(ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }));
+    }
+    if (computeUnitPrice > 0) {
+      transaction.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }));
+    }
+    
+    transaction.add(memoInstruction);
+    
+    // Send and confirm
+    const signature = await this.rpcClient.sendAndConfirmTransaction(
+      transaction,
+      [keypair],
+      this.config.confirmCommitment,
+      this.config.anchorTimeoutMs
+    );
+    
+    // Get transaction details
+    const txDetails = await this.rpcClient.getTransaction(signature);
+    
+    const result = {
+      signature,
+      slot: txDetails?.slot || null,
+      blockTime: txDetails?.blockTime || null,
+      fee: txDetails?.meta?.fee ?? null, // lamports actually charged (base + priority)
+      priorityFeeMicrolamports: computeUnitPrice,
+      computeUnitLimit,
+      computeUnitsConsumed: txDetails?.meta?.computeUnitsConsumed ?? null
+    };
+    
+    const priorityFeeLamports = Math.ceil(computeUnitPrice * (computeUnitLimit || 200000) / 1e6);
+    if (result.fee !== null) {
+      this.metrics.inc('anchor.fee_lamports', result.fee);
+    }
+    if (computeUnitPrice > 0) {
+      this.metrics.inc('anchor.priority_fee_lamports', priorityFeeLamports);
+    }
+    
+    // Count the spend against the budgets (estimated if the fee is unknown)
+    const spent = result.fee ?? BASE_FEE_LAMPORTS + priorityFeeLamports;
+    this.state.addAnchorSpend(new Date().toISOString().split('T')[0], spent);
+    if (this.balance) {
+      this.balance.lamports -= spent;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Keypair paying for anchors
+   * @private
+   */
+  _keypair() {
+    const walletSecretKey = this.config.anchorWalletSecretKeyBase58 || this.config.walletSecretKeyBase58;
+    return this.rpcClient.keypairFromBase58(walletSecretKey);
+  }
+
+  /**
+   * Priority fee for the next anchor (micro-lamports per compute unit)
+   * A fixed priorityFeeMicrolamports wins; otherwise the 75th percentile of
+   * recent prioritization fees, capped at maxPriorityFeeMicrolamports.
+   * @private
+   */
+  async _priorityFee(feePayer) {
+    if (this.config.priorityFeeMicrolamports) {
+      return this.config.priorityFeeMicrolamports;
+    }
+    
+    try {
+      const fees = (await this.rpcClient.getRecentPrioritizationFees([feePayer]))
+        .map(f => f.prioritizationFee)
+        .sort((a, b) => a - b);
+      
+      if (fees.length === 0) {
+        return 0;
+      }
+      
+      const estimate = fees[Math.floor((fees.length - 1) * 0.75)];
+      const cap = this.config.maxPriorityFeeMicrolamports;
+      
+      if (cap && estimate > cap) {
+        this.logger.warn('Priority fee estimate capped', { estimate, cap });
+        return cap;
+      }
+      
+      return estimate;
+    } catch (error) {
+      // Estimation is best effort, an anchor without priority fee may still land
+      this.logger.warn('Priority fee estimation failed', { error: error.message });
+      return 0;
+    }
+  }
+
   /**
    * Verify anchor on-chain
    */
@@ -151,9 +489,12 @@ export class AegisAnchor {
         };
       }
       
-      // Extract memo from transaction
-      const memoInstruction = tx.transaction.message.instructions.find(ix => {
-        const programId = tx.transaction.message.accountKeys[ix.programIdIndex];
+      // Extract memo from transaction (compiled instruction data is raw bytes
+      // for legacy and v0 messages alike; the transaction also carries compute
+      // budget instructions)
+      const message = tx.transaction.message;
+      const memoInstruction = message.compiledInstructions.find(ix => {
+        const programId = message.staticAccountKeys[ix.programIdIndex];
         return programId.toBase58() === MEMO_PROGRAM_ID;
       });
       
@@ -191,3 +532,50 @@ export class AegisAnchor {
     }
   }
 }
+
+/**
+ * Format lamports as XNT
+ */
+export function formatLamports(lamports) {
+  return `${(lamports / 1e9).toFixed(4)} XNT`;
+}
+
+/**
+ * Parse the AegisMemory payloads out of a transaction memo
+ * RPC nodes report memos as "[len] text", several memos joined by "; ".
+ * @param {string|null} memo - Memo field of a signature entry, or a bare payload
+ * @returns {Array} [{ version: 1, date, cid, plaintextSha256, prevPlaintextSha256 }
+ *   or { version: 2, date, root, leafCount } or { version: null, payload }]
+ */
+export function parseAnchorMemo(memo) {
+  if (!memo) {
+    return [];
+  }
+  
+  return memo
+    .split(/;\s*(?=\[\d+\]\s)/)
+    .map(part => part.replace(/^\[\d+\]\s/, '').trim())
+    .filter(payload => payload.startsWith('AegisMemory|'))
+    .map(payload => {
+      const [, version, date, ...rest] = payload.split('|');
+      
+      if (version === 'v1' && rest.length === 3) {
+        const [cid, plaintextSha256, prevPlaintextSha256] = rest;
+        return {
+          version: 1,
+          date,
+          cid,
+          plaintextSha256,
+          prevPlaintextSha256: prevPlaintextSha256 === 'null' ? null : prevPlaintextSha256,
+          payload
+        };
+      }
+      
+      if (version === 'v2' && rest.length === 2) {
+        return { version: 2, date, root: rest[0], leafCount: Number(rest[1]), payload };
+      }
+      
+      // Unknown format version, reported as foreign
+      return { version: null, payload };
+    });
+}
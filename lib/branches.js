@@ -1,6 +1,8 @@
 /**
  * @fileoverview Branch management for fork/branch memory chains
- * Git-like branching for memory contexts
+ * Git-like branching for memory contexts. Branch tables live in State and
+ * every change is a read-modify-write inside a State transaction, so the
+ * plugin and the CLI do not overwrite each other's branch updates.
  */
 
 import { readFileSync, writeFileSync, existsSync } from 'fs';
@@ -19,24 +21,65 @@ export class BranchManager {
    */
   _ensureBranches(wallet, agentId) {
     const agent = this.state.getAgent(wallet, agentId);
+    if (agent.branches && !this._mainBehind(agent)) {
+      return agent;
+    }
     
-    if (!agent.branches) {
-      const branches = {
-        main: {
-          lastCid: agent.lastCid || null,
-          lastPlaintextSha256: agent.lastPlaintextSha256 || null,
-          cids: agent.cids || []
-        }
-      };
-      const currentBranch = 'main';
+    return this.state.transaction(() => {
+      const latest = this.state.getAgent(wallet, agentId);
       
-      this.state.setAgent(wallet, agentId, {
-        branches,
-        currentBranch
-      });
-    }
+      if (!latest.branches) {
+        const branches = {
+          main: {
+            lastCid: latest.lastCid || null,
+            lastPlaintextSha256: latest.lastPlaintextSha256 || null,
+            cids: latest.cids || []
+          }
+        };
+        const currentBranch = 'main';
+        
+        this.state.setAgent(wallet, agentId, {
+          branches,
+          currentBranch
+        });
+      }
+
+      // The agent head is the default branch head; writers that are not
+      // branch-aware only move the agent head
+      const current = this.state.getAgent(wallet, agentId);
+      if (this._mainBehind(current)) {
+        const main = current.branches[this.defaultBranch];
+        main.lastCid = current.lastCid || null;
+        main.lastPlaintextSha256 = current.lastPlaintextSha256 || null;
+        this.state.setAgent(wallet, agentId, { branches: current.branches });
+      }
+
+      return this.state.getAgent(wallet, agentId);
+    });
+  }
 
-    return this.state.getAgent(wallet, agentId);
+  /**
+   * Whether the agent head moved without the default branch head
+   * @private
+   */
+  _mainBehind(agent) {
+    const main = agent.branches[this.defaultBranch];
+    return Boolean(main) && (main.lastCid || null) !== (agent.lastCid || null);
+  }
+
+  /**
+   * State updates for a branch head, mirrored to the agent head for the default branch
+   * @private
+   */
+  _headUpdates(agent, branchName) {
+    const updates = { branches: agent.branches };
+    
+    if (branchName === this.defaultBranch) {
+      updates.lastCid = agent.branches[branchName].lastCid;
+      updates.lastPlaintextSha256 = agent.branches[branchName].lastPlaintextSha256;
+    }
+    
+    return updates;
   }
 
   /**
@@ -48,39 +91,42 @@ export class BranchManager {
    * @returns {Object} Branch info
    */
   async create(wallet, agentId, branchName, fromBranch = null) {
-    const agent = this._ensureBranches(wallet, agentId);
+    return this.state.transaction(() => {
+      const agent = this._ensureBranches(wallet, agentId);
 
-    // Check if branch already exists
-    if (agent.branches[branchName]) {
-      throw new Error(`Branch '${branchName}' already exists`);
-    }
+      // Check if branch already exists
+      if (agent.branches[branchName]) {
+        throw new Error(`Branch '${branchName}' already exists`);
+      }
 
-    // Get source branch
-    const sourceBranch = fromBranch || agent.currentBranch || this.defaultBranch;
-    const source = agent.branches[sourceBranch];
+      // Get source branch
+      const sourceBranch = fromBranch || agent.currentBranch || this.defaultBranch;
+      const source = agent.branches[sourceBranch];
     
-    if (!source) {
-      throw new Error(`Source branch '${sourceBranch}' not found`);
-    }
-
-    // Create new branch (copy of source)
-    agent.branches[branchName] = {
-      lastCid: source.lastCid,
-      lastPlaintextSha256: source.lastPlaintextSha256,
-      cids: [...source.cids],
-      createdAt: Date.now(),
-      createdFrom: sourceBranch
-    };
+      if (!source) {
+        throw new Error(`Source branch '${sourceBranch}' not found`);
+      }
+
+      // Create new branch (copy of source)
+      agent.branches[branchName] = {
+        lastCid: source.lastCid,
+        lastPlaintextSha256: source.lastPlaintextSha256,
+        cids: [...source.cids],
+        createdAt: Date.now(),
+        createdFrom: sourceBranch,
+        forkCid: source.lastCid || null
+      };
 
-    this.state.setAgent(wallet, agentId, { branches: agent.branches });
-    this.logger.info(`Created branch '${branchName}' from '${sourceBranch}'`);
+      this.state.setAgent(wallet, agentId, { branches: agent.branches });
+      this.logger.info(`Created branch '${branchName}' from '${sourceBranch}'`);
 
-    return {
-      name: branchName,
-      createdFrom: sourceBranch,
-      lastCid: source.lastCid,
-      memoryCount: source.cids.length
-    };
+      return {
+        name: branchName,
+        createdFrom: sourceBranch,
+        lastCid: source.lastCid,
+        memoryCount: source.cids.length
+      };
+    });
   }
 
   /**
@@ -90,22 +136,24 @@ export class BranchManager {
    * @param {string} branchName - Branch to switch to
    */
   async switch(wallet, agentId, branchName) {
-    const agent = this._ensureBranches(wallet, agentId);
+    return this.state.transaction(() => {
+      const agent = this._ensureBranches(wallet, agentId);
 
-    if (!agent.branches[branchName]) {
-      throw new Error(`Branch '${branchName}' not found`);
-    }
+      if (!agent.branches[branchName]) {
+        throw new Error(`Branch '${branchName}' not found`);
+      }
 
-    agent.currentBranch = branchName;
-    this.state.setAgent(wallet, agentId, { currentBranch: branchName });
+      agent.currentBranch = branchName;
+      this.state.setAgent(wallet, agentId, { currentBranch: branchName });
     
-    this.logger.info(`Switched to branch '${branchName}'`);
+      this.logger.info(`Switched to branch '${branchName}'`);
 
-    return {
-      branch: branchName,
-      lastCid: agent.branches[branchName].lastCid,
-      memoryCount: agent.branches[branchName].cids.length
-    };
+      return {
+        branch: branchName,
+        lastCid: agent.branches[branchName].lastCid,
+        memoryCount: agent.branches[branchName].cids.length
+      };
+    });
   }
 
   /**
@@ -152,49 +200,51 @@ export class BranchManager {
    * @param {boolean} force - Force delete even if current
    */
   async delete(wallet, agentId, branchName, force = false) {
-    const agent = this._ensureBranches(wallet, agentId);
+    return this.state.transaction(() => {
+      const agent = this._ensureBranches(wallet, agentId);
 
-    // Can't delete main branch
-    if (branchName === this.defaultBranch) {
-      throw new Error(`Cannot delete '${this.defaultBranch}' branch`);
-    }
+      // Can't delete main branch
+      if (branchName === this.defaultBranch) {
+        throw new Error(`Cannot delete '${this.defaultBranch}' branch`);
+      }
 
-    // Can't delete current branch unless forced
-    if (agent.currentBranch === branchName && !force) {
-      throw new Error(`Cannot delete current branch '${branchName}'. Switch branches first or use --force`);
-    }
+      // Can't delete current branch unless forced
+      if (agent.currentBranch === branchName && !force) {
+        throw new Error(`Cannot delete current branch '${branchName}'. Switch branches first or use --force`);
+      }
 
-    // Check if branch exists
-    if (!agent.branches[branchName]) {
-      throw new Error(`Branch '${branchName}' not found`);
-    }
+      // Check if branch exists
+      if (!agent.branches[branchName]) {
+        throw new Error(`Branch '${branchName}' not found`);
+      }
 
-    // Delete branch
-    delete agent.branches[branchName];
+      // Delete branch
+      delete agent.branches[branchName];
 
-    // If we deleted current branch, switch to main
-    if (agent.currentBranch === branchName) {
-      agent.currentBranch = this.defaultBranch;
-    }
+      // If we deleted current branch, switch to main
+      if (agent.currentBranch === branchName) {
+        agent.currentBranch = this.defaultBranch;
+      }
 
-    this.state.setAgent(wallet, agentId, {
-      branches: agent.branches,
-      currentBranch: agent.currentBranch
-    });
-    this.logger.info(`Deleted branch '${branchName}'`);
+      this.state.setAgent(wallet, agentId, {
+        branches: agent.branches,
+        currentBranch: agent.currentBranch
+      });
+      this.logger.info(`Deleted branch '${branchName}'`);
 
-    return { deleted: branchName };
+      return { deleted: branchName };
+    });
   }
 
   /**
-   * Merge a branch into another
+   * Check that a merge is possible and return both heads
    * @param {string} wallet - Wallet address
    * @param {string} agentId - Agent ID
    * @param {string} sourceBranch - Branch to merge from
    * @param {string} targetBranch - Branch to merge into
-   * @returns {Object} Merge info
+   * @returns {Object} { sourceBranch, targetBranch, sourceCid, sourceSha256, targetCid, targetSha256 }
    */
-  async merge(wallet, agentId, sourceBranch, targetBranch) {
+  prepareMerge(wallet, agentId, sourceBranch, targetBranch) {
     const agent = this._ensureBranches(wallet, agentId);
 
     // Check branches exist
@@ -204,40 +254,116 @@ export class BranchManager {
     if (!agent.branches[targetBranch]) {
       throw new Error(`Target branch '${targetBranch}' not found`);
     }
+    if (sourceBranch === targetBranch) {
+      throw new Error(`Cannot merge branch '${sourceBranch}' into itself`);
+    }
 
     const source = agent.branches[sourceBranch];
     const target = agent.branches[targetBranch];
 
-    // Create merge commit metadata
-    const mergeInfo = {
-      type: 'merge',
+    if (!source.lastCid || (target.cids || []).some(c => c.cid === source.lastCid)) {
+      throw new Error(`Branch '${targetBranch}' is already up to date with '${sourceBranch}'`);
+    }
+    if (!target.lastCid) {
+      throw new Error(`Branch '${targetBranch}' has no memories to merge into`);
+    }
+
+    return {
       sourceBranch,
       targetBranch,
       sourceCid: source.lastCid,
+      sourceSha256: source.lastPlaintextSha256,
       targetCid: target.lastCid,
-      mergedAt: Date.now()
+      targetSha256: target.lastPlaintextSha256
     };
+  }
 
-    // Append source CIDs to target (skip duplicates)
-    const targetCidSet = new Set(target.cids.map(c => c.cid));
-    const newCids = source.cids.filter(c => !targetCidSet.has(c.cid));
+  /**
+   * Record a merge: the target branch takes the source lineage and moves
+   * its head to the uploaded merge document (whose parents are both heads)
+   * @param {string} wallet - Wallet address
+   * @param {string} agentId - Agent ID
+   * @param {string} sourceBranch - Branch merged from
+   * @param {string} targetBranch - Branch merged into
+   * @param {Object} mergeDoc - Uploaded merge document { cid, sha256, prevSha256 }
+   * @returns {Object} Merge info
+   */
+  async merge(wallet, agentId, sourceBranch, targetBranch, mergeDoc) {
+    return this.state.transaction(() => {
+      const plan = this.prepareMerge(wallet, agentId, sourceBranch, targetBranch);
+      const agent = this.state.getAgent(wallet, agentId);
+
+      const source = agent.branches[sourceBranch];
+      const target = agent.branches[targetBranch];
+
+      // Append source CIDs to target (skip duplicates), then the merge document
+      const targetCidSet = new Set(target.cids.map(c => c.cid));
+      const newCids = source.cids.filter(c => !targetCidSet.has(c.cid));
+
+      target.cids.push(...newCids);
+      target.cids.push({
+        cid: mergeDoc.cid,
+        timestamp: Date.now(),
+        sha256: mergeDoc.sha256,
+        ...(mergeDoc.prevSha256 !== undefined && { prevSha256: mergeDoc.prevSha256 })
+      });
+      target.lastCid = mergeDoc.cid;
+      target.lastPlaintextSha256 = mergeDoc.sha256;
 
-    target.cids.push(...newCids);
-    target.lastCid = source.lastCid;
-    target.lastPlaintextSha256 = source.lastPlaintextSha256;
+      // Update state
+      agent.branches[targetBranch] = target;
+      this.state.setAgent(wallet, agentId, this._headUpdates(agent, targetBranch));
 
-    // Update state
-    agent.branches[targetBranch] = target;
-    this.state.setAgent(wallet, agentId, { branches: agent.branches });
+      this.logger.info(`Merged '${sourceBranch}' into '${targetBranch}'`, {
+        mergeCid: mergeDoc.cid,
+        memoriesAdded: newCids.length
+      });
 
-    this.logger.info(`Merged '${sourceBranch}' into '${targetBranch}'`, {
-      memoriesAdded: newCids.length
+      return {
+        type: 'merge',
+        ...plan,
+        mergeCid: mergeDoc.cid,
+        mergedAt: Date.now(),
+        memoriesAdded: newCids.length
+      };
     });
+  }
 
-    return {
-      ...mergeInfo,
-      memoriesAdded: newCids.length
-    };
+  /**
+   * Find where two branches forked
+   * Uses the creation data of whichever branch was created from the other,
+   * otherwise the newest CID both lineages share.
+   * @param {string} wallet - Wallet address
+   * @param {string} agentId - Agent ID
+   * @param {string} branchA - First branch
+   * @param {string} branchB - Second branch
+   * @returns {string|null} Fork point CID (null if they share no history)
+   */
+  forkPoint(wallet, agentId, branchA, branchB) {
+    const agent = this._ensureBranches(wallet, agentId);
+    const a = agent.branches[branchA];
+    const b = agent.branches[branchB];
+
+    if (!a) {
+      throw new Error(`Branch '${branchA}' not found`);
+    }
+    if (!b) {
+      throw new Error(`Branch '${branchB}' not found`);
+    }
+
+    const child = b.createdFrom === branchA ? b : a.createdFrom === branchB ? a : null;
+    if (child) {
+      if (child.forkCid !== undefined) {
+        return child.forkCid;
+      }
+      // Branches created before forkCid was recorded: copied CIDs predate the branch
+      const copied = (child.cids || []).filter(c => c.timestamp <= child.createdAt);
+      return copied.length > 0 ? copied[copied.length - 1].cid : null;
+    }
+
+    const bCids = new Set((b.cids || []).map(c => c.cid));
+    const shared = (a.cids || []).filter(c => bCids.has(c.cid));
+    return shared.length > 0 ? shared[shared.length - 1].cid : null;
   }
 
   /**
@@ -261,6 +387,24 @@ export class BranchManager {
     };
   }
 
+  /**
+   * Find the branch whose lineage holds a CID
+   * @param {string} wallet - Wallet address
+   * @param {string} agentId - Agent ID
+   * @param {string} cid - Memory CID
+   * @param {string} preferred - Branch to pick if it holds the CID (e.g. the one the memory was saved on)
+   * @returns {string} Branch name (default branch if none holds it, e.g. memories saved before branches existed)
+   */
+  findBranch(wallet, agentId, cid, preferred = null) {
+    const agent = this._ensureBranches(wallet, agentId);
+    const holds = name => (agent.branches[name]?.cids || []).some(c => c.cid === cid);
+
+    if (preferred && holds(preferred)) {
+      return preferred;
+    }
+    return Object.keys(agent.branches).find(holds) || this.defaultBranch;
+  }
+
   /**
    * Update branch after memory save
    * @param {string} wallet - Wallet address
@@ -268,28 +412,55 @@ export class BranchManager {
    * @param {string} cid - New CID
    * @param {string} sha256 - New SHA256
    * @param {string} branchName - Branch name (optional, uses current)
+   * @param {string} prevSha256 - The document's prev_plaintext_sha256 (its chain position, see lineagePositions)
    */
-  updateBranch(wallet, agentId, cid, sha256, branchName = null) {
-    const agent = this._ensureBranches(wallet, agentId);
-    const branch = branchName || agent.currentBranch || this.defaultBranch;
+  updateBranch(wallet, agentId, cid, sha256, branchName = null, prevSha256 = undefined) {
+    return this.state.transaction(() => {
+      const agent = this._ensureBranches(wallet, agentId);
+      const branch = branchName || agent.currentBranch || this.defaultBranch;
 
-    if (!agent.branches[branch]) {
-      throw new Error(`Branch '${branch}' not found`);
-    }
+      if (!agent.branches[branch]) {
+        throw new Error(`Branch '${branch}' not found`);
+      }
 
-    agent.branches[branch].lastCid = cid;
-    agent.branches[branch].lastPlaintextSha256 = sha256;
+      agent.branches[branch].lastCid = cid;
+      agent.branches[branch].lastPlaintextSha256 = sha256;
     
-    if (!agent.branches[branch].cids) {
-      agent.branches[branch].cids = [];
-    }
+      if (!agent.branches[branch].cids) {
+        agent.branches[branch].cids = [];
+      }
     
-    agent.branches[branch].cids.push({
-      cid,
-      timestamp: Date.now(),
-      sha256
+      agent.branches[branch].cids.push({
+        cid,
+        timestamp: Date.now(),
+        sha256,
+        ...(prevSha256 !== undefined && { prevSha256 })
+      });
+
+      this.state.setAgent(wallet, agentId, this._headUpdates(agent, branch));
     });
+  }
+}
 
-    this.state.setAgent(wallet, agentId, { branches: agent.branches });
+/**
+ * Chain position of every memory in an agent's branch lineages
+ * Lineage entries record the prev_plaintext_sha256 their document was
+ * uploaded with; passed as the expected bound context, it makes decryption
+ * reject a vault object replayed in place of another memory of the agent.
+ * Entries written before positions were recorded are left out.
+ * @param {Object} agent - Agent state (State.getAgent)
+ * @returns {Map<string, string|null>} CID -> prev_plaintext_sha256
+ */
+export function lineagePositions(agent) {
+  const positions = new Map();
+
+  for (const branch of Object.values(agent.branches || {})) {
+    for (const entry of branch.cids || []) {
+      if (entry.prevSha256 !== undefined) {
+        positions.set(entry.cid, entry.prevSha256);
+      }
+    }
   }
+
+  return positions;
 }
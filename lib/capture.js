@@ -15,6 +15,31 @@ export function captureMemory(ctx, strategy = 'last_turn', maxMessageChars = 500
   }
 }
 
+/**
+ * Combine captured turns into one memory content (upload batching)
+ * A full_session capture already holds every earlier turn, so the newest one
+ * stands for the batch.
+ */
+export function mergeCaptures(captures) {
+  const last = captures[captures.length - 1];
+  if (captures.length === 1 || last.metadata?.captureStrategy === 'full_session') {
+    return { ...last, metadata: { ...last.metadata, turnCount: captures.length } };
+  }
+  
+  const messages = captures.flatMap(c => c.messages);
+  
+  return {
+    summary: generateSummary(messages),
+    messages,
+    tags: extractTags(messages),
+    metadata: {
+      captureStrategy: last.metadata?.captureStrategy,
+      messageCount: messages.length,
+      turnCount: captures.length
+    }
+  };
+}
+
 /**
  * Capture last turn only
  */
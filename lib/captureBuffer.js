@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Capture buffer for upload batching
+ * Collects captured turns per agent, session and branch, and hands them on
+ * as one batch once uploadBatchWindowMs has passed since the first turn, or
+ * uploadBatchMaxTurns / uploadBatchMaxBytes is reached. Each batch becomes
+ * a single memory document, so a chatty session adds one vault object and
+ * one chain link per window instead of one per turn.
+ *
+ * Buffered turns are held in memory until flushed: a crash loses at most
+ * one window, and shutdown flushes everything to the durable queue first.
+ */
+
+export class CaptureBuffer {
+  /**
+   * @param {Function} onFlush - async ({ agentId, sessionId, branch, captures }) => result
+   */
+  constructor(config, logger, metrics, onFlush) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.onFlush = onFlush;
+
+    this.buffers = new Map(); // key -> { agentId, sessionId, branch, captures, bytes, startedAt, timer }
+  }
+
+  /**
+   * Whether turns are batched at all (uploadBatchWindowMs > 0)
+   */
+  enabled() {
+    return this.config.uploadBatchWindowMs > 0;
+  }
+
+  /**
+   * Buffer one captured turn, flushing its batch if a limit is reached
+   * @param {Object} target - { agentId, sessionId, branch }
+   * @param {Object} capture - captureMemory() content
+   * @returns {Promise<*>} onFlush result if the batch was flushed, else null
+   */
+  async add(target, capture) {
+    const key = JSON.stringify([target.agentId, target.sessionId || null, target.branch]);
+    let buffer = this.buffers.get(key);
+
+    if (!buffer) {
+      buffer = { ...target, sessionId: target.sessionId || null, captures: [], bytes: 0, startedAt: Date.now(), timer: null };
+      this.buffers.set(key, buffer);
+      this._schedule(key, buffer);
+    }
+
+    buffer.captures.push(capture);
+    buffer.bytes += Buffer.byteLength(JSON.stringify(capture.messages || []));
+
+    const { uploadBatchMaxTurns = 20, uploadBatchMaxBytes = 262144 } = this.config;
+    if (buffer.captures.length >= uploadBatchMaxTurns || buffer.bytes >= uploadBatchMaxBytes) {
+      return this.flush(key);
+    }
+
+    this.logger.debug('Turn buffered', { agentId: target.agentId, branch: target.branch, turns: buffer.captures.length, bytes: buffer.bytes });
+    return null;
+  }
+
+  /**
+   * Flush one batch now
+   * If onFlush fails, the turns go back into the buffer for the next attempt.
+   * @returns {Promise<*>} onFlush result, or null if nothing was buffered
+   */
+  async flush(key) {
+    const buffer = this.buffers.get(key);
+    if (!buffer) {
+      return null;
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(key);
+
+    const { agentId, sessionId, branch, captures } = buffer;
+    try {
+      const result = await this.onFlush({ agentId, sessionId, branch, captures });
+
+      this.metrics.inc('save.batch.flushed');
+      this.logger.info('Turn batch flushed', { agentId, branch, turns: captures.length, bytes: buffer.bytes, ageMs: Date.now() - buffer.startedAt });
+      return result;
+    } catch (error) {
+      this._restore(key, buffer);
+      throw error;
+    }
+  }
+
+  /**
+   * Flush every batch (on shutdown), never throws
+   * @returns {Promise<Object>} { flushed, failed } batch counts
+   */
+  async flushAll() {
+    let flushed = 0;
+    let failed = 0;
+
+    for (const key of [...this.buffers.keys()]) {
+      try {
+        await this.flush(key);
+        flushed++;
+      } catch (error) {
+        failed++;
+        this.logger.error('Failed to flush turn batch', { error: error.message });
+      }
+    }
+
+    return { flushed, failed };
+  }
+
+  /**
+   * Buffered batches and turns
+   */
+  stats() {
+    const batches = [...this.buffers.values()];
+    return {
+      batches: batches.length,
+      turns: batches.reduce((n, b) => n + b.captures.length, 0),
+      bytes: batches.reduce((n, b) => n + b.bytes, 0)
+    };
+  }
+
+  /**
+   * Flush the batch when its window ends
+   * @private
+   */
+  _schedule(key, buffer) {
+    const delay = Math.max(0, buffer.startedAt + this.config.uploadBatchWindowMs - Date.now());
+
+    buffer.timer = setTimeout(() => {
+      this.flush(key).catch(error => {
+        this.metrics.inc('save.error');
+        this.logger.error('Failed to flush turn batch, will retry next window', { error: error.message });
+      });
+    }, delay);
+    buffer.timer.unref?.();
+  }
+
+  /**
+   * Put a batch that failed to flush back in front of any newer turns
+   * @private
+   */
+  _restore(key, buffer) {
+    const newer = this.buffers.get(key);
+    if (newer) {
+      clearTimeout(newer.timer);
+      buffer.captures.push(...newer.captures);
+      buffer.bytes += newer.bytes;
+    }
+
+    buffer.startedAt = Date.now();
+    this.buffers.set(key, buffer);
+    this._schedule(key, buffer);
+  }
+}
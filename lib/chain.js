@@ -2,20 +2,101 @@
  * CID chain and plaintext hash chain management
  */
 
+/**
+ * Tombstones are chain documents recording that an earlier memory was forgotten
+ */
+export const TOMBSTONE_SCHEMA = 'aegismemory.tombstone.v1';
+
+/**
+ * Merge documents join two branch heads (prev_cids: [targetHead, sourceHead])
+ */
+export const MERGE_SCHEMA = 'aegismemory.merge.v1';
+
+/**
+ * Check whether a document is a tombstone
+ */
+export function isTombstone(doc) {
+  return doc?.schema === TOMBSTONE_SCHEMA;
+}
+
+/**
+ * Check whether a document is a merge document
+ */
+export function isMerge(doc) {
+  return doc?.schema === MERGE_SCHEMA;
+}
+
+/**
+ * Parent links of a document
+ * Merge documents list every parent in prev_cids/prev_plaintext_sha256s,
+ * other documents have a single prev_cid/prev_plaintext_sha256.
+ * @returns {Array<{cid: string, plaintext_sha256: string}>}
+ */
+export function parentLinks(doc) {
+  if (Array.isArray(doc.prev_cids)) {
+    return doc.prev_cids.map((cid, i) => ({
+      cid,
+      plaintext_sha256: doc.prev_plaintext_sha256s?.[i] ?? null
+    }));
+  }
+  
+  return doc.prev_cid ? [{ cid: doc.prev_cid, plaintext_sha256: doc.prev_plaintext_sha256 }] : [];
+}
+
+/**
+ * Stand-in for a forgotten document, built from the link data its tombstone kept
+ */
+export function forgottenStub(tombstone) {
+  const { forgotten } = tombstone;
+  
+  return {
+    cid: forgotten.cid,
+    timestamp: forgotten.timestamp,
+    prev_cid: forgotten.prev_cid,
+    plaintext_sha256: forgotten.plaintext_sha256,
+    prev_plaintext_sha256: forgotten.prev_plaintext_sha256,
+    wallet: tombstone.wallet,
+    agent_id: tombstone.agent_id,
+    forgotten: true,
+    tombstone_cid: tombstone.cid || null
+  };
+}
+
 /**
  * Validate chain continuity
+ * A forgotten previous document (forgottenStub) is unreadable on purpose,
+ * its link fields come from the tombstone and are checked like any other.
  */
 export function validateChain(currentDoc, previousDoc) {
+  const errors = validateLink(
+    currentDoc,
+    { cid: currentDoc.prev_cid, plaintext_sha256: currentDoc.prev_plaintext_sha256 },
+    previousDoc
+  );
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    forgottenLink: previousDoc?.forgotten === true
+  };
+}
+
+/**
+ * Validate one parent link of a document
+ * @param {Object} link - { cid, plaintext_sha256 } from parentLinks()
+ * @returns {string[]} Errors
+ */
+export function validateLink(currentDoc, link, previousDoc) {
   const errors = [];
   
   // Check prev_cid matches
-  if (previousDoc && currentDoc.prev_cid !== previousDoc.cid) {
-    errors.push(`prev_cid mismatch: expected ${previousDoc.cid}, got ${currentDoc.prev_cid}`);
+  if (previousDoc && link.cid !== previousDoc.cid) {
+    errors.push(`prev_cid mismatch: expected ${previousDoc.cid}, got ${link.cid}`);
   }
   
   // Check prev_plaintext_sha256 matches
-  if (previousDoc && currentDoc.prev_plaintext_sha256 !== previousDoc.plaintext_sha256) {
-    errors.push(`prev_plaintext_sha256 mismatch: expected ${previousDoc.plaintext_sha256}, got ${currentDoc.prev_plaintext_sha256}`);
+  if (previousDoc && link.plaintext_sha256 !== previousDoc.plaintext_sha256) {
+    errors.push(`prev_plaintext_sha256 mismatch: expected ${previousDoc.plaintext_sha256}, got ${link.plaintext_sha256}`);
   }
   
   // Check wallet consistency
@@ -38,42 +119,107 @@ export function validateChain(currentDoc, previousDoc) {
     }
   }
   
-  return {
-    valid: errors.length === 0,
-    errors
-  };
+  return errors;
+}
+
+/**
+ * Validate a document against its parents in a DAG
+ * @param {Map<string, Object>} byCid - Documents by CID
+ * @param {boolean} isOldest - Oldest document of the set, may link to history outside it
+ * @returns {string[]} Errors
+ */
+function validateParents(doc, byCid, isOldest) {
+  const links = parentLinks(doc);
+  const errors = [];
+  
+  // Only the oldest document may start the chain; a later root means the
+  // chain was reset (e.g. uploads continued after local state was lost)
+  if (links.length === 0 && !isOldest) {
+    errors.push('unexpected root: prev_cid is null but document is not the oldest');
+  }
+  
+  if (isMerge(doc)) {
+    if (links.length < 2) {
+      errors.push(`merge document has ${links.length} parent(s), expected at least 2`);
+    }
+    if (doc.prev_cid !== (links[0]?.cid ?? null)) {
+      errors.push(`merge prev_cid ${doc.prev_cid} is not its first parent ${links[0]?.cid}`);
+    }
+  }
+  
+  for (const link of links) {
+    const parent = byCid.get(link.cid);
+    
+    if (!parent) {
+      if (!isOldest) {
+        errors.push(`missing parent: ${link.cid}`);
+      }
+      continue;
+    }
+    
+    errors.push(...validateLink(doc, link, parent));
+  }
+  
+  return errors;
+}
+
+/**
+ * Replace forgotten documents with stubs taken from their tombstones
+ * Missing (shredded) documents are added, readable ones are masked
+ */
+export function applyTombstones(documents) {
+  const stubs = new Map();
+  for (const doc of documents) {
+    if (isTombstone(doc) && doc.forgotten?.cid) {
+      stubs.set(doc.forgotten.cid, forgottenStub(doc));
+    }
+  }
+  
+  const result = documents.filter(doc => !stubs.has(doc.cid));
+  return [...result, ...stubs.values()];
 }
 
 /**
  * Build chain from list of documents
+ * Documents form a DAG: each one is checked against the parents it links to
+ * (two or more for merge documents), so forked branches and merges are valid.
+ * Entries are in timestamp order.
  */
 export function buildChain(documents) {
   // Sort by timestamp
-  const sorted = [...documents].sort((a, b) => {
+  const sorted = [...applyTombstones(documents)].sort((a, b) => {
     return new Date(a.timestamp) - new Date(b.timestamp);
   });
   
-  const chain = [];
-  let prevDoc = null;
+  const byCid = new Map(sorted.filter(doc => doc.cid).map(doc => [doc.cid, doc]));
   
-  for (const doc of sorted) {
-    const validation = validateChain(doc, prevDoc);
+  return sorted.map((doc, index) => {
+    const errors = validateParents(doc, byCid, index === 0);
     
-    chain.push({
+    return {
       cid: doc.cid,
       timestamp: doc.timestamp,
       date: doc.date,
+      branch: doc.branch || null,
       prev_cid: doc.prev_cid,
+      prev_cids: parentLinks(doc).map(link => link.cid),
       plaintext_sha256: doc.plaintext_sha256,
       prev_plaintext_sha256: doc.prev_plaintext_sha256,
-      valid: validation.valid,
-      errors: validation.errors
-    });
-    
-    prevDoc = doc;
-  }
-  
-  return chain;
+      forgotten: doc.forgotten === true,
+      tombstone: isTombstone(doc),
+      merge: isMerge(doc),
+      valid: errors.length === 0,
+      errors
+    };
+  });
+}
+
+/**
+ * Find heads (documents no other document links to)
+ */
+export function findHeads(chain) {
+  const linked = new Set(chain.flatMap(entry => entry.prev_cids));
+  return chain.filter(entry => !linked.has(entry.cid)).map(entry => entry.cid);
 }
 
 /**
@@ -89,6 +235,7 @@ export function findChainBreaks(chain) {
       breaks.push({
         index: i,
         cid: entry.cid,
+        prev_cids: entry.prev_cids,
         errors: entry.errors
       });
     }
@@ -107,6 +254,9 @@ export function verifyChainIntegrity(documents) {
   return {
     totalDocuments: documents.length,
     chainLength: chain.length,
+    forgotten: chain.filter(entry => entry.forgotten).length,
+    merges: chain.filter(entry => entry.merge).length,
+    heads: findHeads(chain),
     breaks: breaks.length,
     valid: breaks.length === 0,
     chain,
@@ -0,0 +1,57 @@
+import { gzipSync, gunzipSync, brotliCompressSync, brotliDecompressSync, constants } from 'zlib';
+
+/**
+ * Plaintext compression applied before encryption
+ * (ciphertext is incompressible, so this is the only place it helps)
+ */
+
+export const CODECS = ['gzip', 'brotli'];
+
+/**
+ * Compress data with codec
+ * @returns {Buffer}
+ */
+export function compress(data, codec) {
+  const input = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+
+  switch (codec) {
+    case 'gzip':
+      return gzipSync(input);
+    case 'brotli':
+      return brotliCompressSync(input, {
+        params: { [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT }
+      });
+    default:
+      throw new Error(`Unsupported compression codec: ${codec}`);
+  }
+}
+
+/**
+ * Decompress data produced by compress()
+ * @returns {Buffer}
+ */
+export function decompress(data, codec) {
+  switch (codec) {
+    case 'gzip':
+      return gunzipSync(data);
+    case 'brotli':
+      return brotliDecompressSync(data);
+    default:
+      throw new Error(`Unsupported compression codec: ${codec}`);
+  }
+}
+
+/**
+ * Calculate compression savings
+ * @param {number} compressed - Compressed size in bytes (default: compress plaintext to measure it)
+ */
+export function calculateCompression(plaintext, codec, compressed = compress(plaintext, codec).length) {
+  const original = Buffer.byteLength(plaintext, 'utf8');
+
+  return {
+    codec,
+    original,
+    compressed,
+    savings: ((original - compressed) / original * 100).toFixed(1) + '%'
+  };
+}
@@ -1,4 +1,5 @@
 import { loadEnv, getEnv, expandPath } from './env.js';
+import { CODECS } from './compression.js';
 
 /**
  * Load and validate configuration
@@ -63,6 +64,22 @@ export function loadConfig(pluginConfig = {}) {
                      parseInt(allEnv.AEGISMEMORY_MAX_PREPEND_CHARS) || 
                      20000,
     
+    indexEnabled: pluginConfig.indexEnabled !== undefined ? 
+                  pluginConfig.indexEnabled : 
+                  allEnv.AEGISMEMORY_INDEX_ENABLED === 'true', // Opt in: loads the embedding model
+    
+    recallRelevanceWeight: pluginConfig.recallRelevanceWeight !== undefined ? 
+                           pluginConfig.recallRelevanceWeight : 
+                           (parseFloat(allEnv.AEGISMEMORY_RECALL_RELEVANCE_WEIGHT) || 0.7),
+    
+    recallHalfLifeDays: pluginConfig.recallHalfLifeDays || 
+                        parseFloat(allEnv.AEGISMEMORY_RECALL_HALF_LIFE_DAYS) || 
+                        7,
+    
+    recallMinScore: pluginConfig.recallMinScore || 
+                    parseFloat(allEnv.AEGISMEMORY_RECALL_MIN_SCORE) || 
+                    0.3,
+    
     fetchConcurrency: pluginConfig.fetchConcurrency || 
                       parseInt(allEnv.AEGISMEMORY_FETCH_CONCURRENCY) || 
                       4,
@@ -79,10 +96,48 @@ export function loadConfig(pluginConfig = {}) {
                          allEnv.AEGISMEMORY_QUEUE_PATH || 
                          '~/.openclaw/aegismemory/queue.jsonl'),
     
+    keyStorePath: expandPath(pluginConfig.keyStorePath || 
+                            allEnv.AEGISMEMORY_KEY_STORE_PATH || 
+                            '~/.openclaw/aegismemory/keys.json'),
+    
+    snapshotIntervalMs: pluginConfig.snapshotIntervalMs !== undefined ? 
+                        pluginConfig.snapshotIntervalMs : 
+                        (parseInt(allEnv.AEGISMEMORY_SNAPSHOT_INTERVAL_MS) || 21600000), // 0 disables
+    
+    shreddable: pluginConfig.shreddable !== undefined ? 
+                pluginConfig.shreddable : 
+                allEnv.AEGISMEMORY_SHREDDABLE !== 'false',
+    
+    uploadBatchWindowMs: pluginConfig.uploadBatchWindowMs !== undefined ? 
+                         pluginConfig.uploadBatchWindowMs : 
+                         (parseInt(allEnv.AEGISMEMORY_UPLOAD_BATCH_WINDOW_MS) || 0), // 0 uploads every turn on its own
+    
+    uploadBatchMaxTurns: pluginConfig.uploadBatchMaxTurns || 
+                         parseInt(allEnv.AEGISMEMORY_UPLOAD_BATCH_MAX_TURNS) || 
+                         20,
+    
+    uploadBatchMaxBytes: pluginConfig.uploadBatchMaxBytes || 
+                         parseInt(allEnv.AEGISMEMORY_UPLOAD_BATCH_MAX_BYTES) || 
+                         262144,
+    
     workerIntervalMs: pluginConfig.workerIntervalMs || 
                       parseInt(allEnv.AEGISMEMORY_WORKER_INTERVAL_MS) || 
                       2000,
     
+    workerConcurrency: pluginConfig.workerConcurrency || 
+                       parseInt(allEnv.AEGISMEMORY_WORKER_CONCURRENCY) || 
+                       2,
+    
+    jobConcurrency: pluginConfig.jobConcurrency || 
+                    parseJobTypeMap(allEnv.AEGISMEMORY_JOB_CONCURRENCY), // { TYPE: n } overrides per job type
+    
+    jobPriority: pluginConfig.jobPriority || 
+                 parseJobTypeMap(allEnv.AEGISMEMORY_JOB_PRIORITY), // { TYPE: n }, higher runs first
+    
+    shutdownTimeoutMs: pluginConfig.shutdownTimeoutMs !== undefined ? 
+                       pluginConfig.shutdownTimeoutMs : 
+                       (parseInt(allEnv.AEGISMEMORY_SHUTDOWN_TIMEOUT_MS) || 30000), // wait for running jobs on shutdown
+    
     maxRetries: pluginConfig.maxRetries || 
                 parseInt(allEnv.AEGISMEMORY_MAX_RETRIES) || 
                 6,
@@ -120,6 +175,30 @@ export function loadConfig(pluginConfig = {}) {
     priorityFeeMicrolamports: pluginConfig.priorityFeeMicrolamports || 
                               parseInt(allEnv.AEGISMEMORY_PRIORITY_FEE_MICROLAMPORTS),
     
+    maxPriorityFeeMicrolamports: pluginConfig.maxPriorityFeeMicrolamports || 
+                                 parseInt(allEnv.AEGISMEMORY_MAX_PRIORITY_FEE_MICROLAMPORTS) || 
+                                 100000,
+    
+    computeUnitLimit: pluginConfig.computeUnitLimit || 
+                      parseInt(allEnv.AEGISMEMORY_COMPUTE_UNIT_LIMIT) || 
+                      50000,
+    
+    anchorDailyBudgetLamports: pluginConfig.anchorDailyBudgetLamports || 
+                               parseInt(allEnv.AEGISMEMORY_ANCHOR_DAILY_BUDGET_LAMPORTS) || 
+                               0, // 0 = no limit
+    
+    anchorMonthlyBudgetLamports: pluginConfig.anchorMonthlyBudgetLamports || 
+                                 parseInt(allEnv.AEGISMEMORY_ANCHOR_MONTHLY_BUDGET_LAMPORTS) || 
+                                 0, // 0 = no limit
+    
+    minAnchorBalanceLamports: pluginConfig.minAnchorBalanceLamports !== undefined ? 
+                              pluginConfig.minAnchorBalanceLamports : 
+                              (parseInt(allEnv.AEGISMEMORY_MIN_ANCHOR_BALANCE_LAMPORTS) || 10000000), // 0.01 XNT
+    
+    anchorDegradedFrequency: pluginConfig.anchorDegradedFrequency || 
+                             allEnv.AEGISMEMORY_ANCHOR_DEGRADED_FREQUENCY || 
+                             'batch', // 'batch' or 'daily', used instead of every_save on a low balance
+    
     anchorTimeoutMs: pluginConfig.anchorTimeoutMs || 
                      parseInt(allEnv.AEGISMEMORY_ANCHOR_TIMEOUT_MS) || 
                      8000,
@@ -134,7 +213,11 @@ export function loadConfig(pluginConfig = {}) {
     
     memoryFormat: pluginConfig.memoryFormat || 
                   allEnv.AEGISMEMORY_MEMORY_FORMAT || 
-                  'json' // 'json' or 'toon'
+                  'json', // 'json' or 'toon'
+    
+    compression: pluginConfig.compression || 
+                 allEnv.AEGISMEMORY_COMPRESSION || 
+                 'none' // 'none', 'gzip' or 'brotli'
   };
   
   // Validate required fields
@@ -146,9 +229,29 @@ export function loadConfig(pluginConfig = {}) {
     throw new Error('walletSecretKeyBase58 is required (set via config or AEGISMEMORY_WALLET_SECRET_KEY)');
   }
   
+  if (config.compression !== 'none' && !CODECS.includes(config.compression)) {
+    throw new Error(`Unknown compression codec: ${config.compression} (use none, ${CODECS.join(' or ')})`);
+  }
+  
   return config;
 }
 
+/**
+ * Parse "UPLOAD_MEMORY=2,INDEX_MEMORY=1" into { UPLOAD_MEMORY: 2, INDEX_MEMORY: 1 }
+ */
+function parseJobTypeMap(value) {
+  const map = {};
+  
+  for (const entry of (value || '').split(',')) {
+    const [type, n] = entry.split('=').map(s => s.trim());
+    if (type && !isNaN(parseInt(n))) {
+      map[type] = parseInt(n);
+    }
+  }
+  
+  return map;
+}
+
 /**
  * Redact sensitive config for logging
  */
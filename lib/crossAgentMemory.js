@@ -5,8 +5,9 @@
 
 import { State } from './state.js';
 import { IpfsFetcher } from './ipfsFetch.js';
-import { decryptPayload } from './cryptoBox.js';
+import { decryptPayload, decryptWithKey } from './cryptoBox.js';
 import { fromTOON } from './toon.js';
+import { metrics } from './metrics.js';
 import { join } from 'path';
 
 export class CrossAgentMemory {
@@ -16,7 +17,7 @@ export class CrossAgentMemory {
     this.embeddings = embeddings;
     this.vectorDB = vectorDB;
     this.logger = logger;
-    this.ipfsFetch = new IpfsFetcher(config, logger);
+    this.ipfsFetch = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
   }
 
   /**
@@ -49,6 +50,7 @@ export class CrossAgentMemory {
       if (!sharedKey) {
         throw new Error(`Failed to get shared key for ${targetWallet}`);
       }
+      const keyType = await this.permissions.getKeyType(targetWallet);
 
       // Load target agent's state
       const targetState = await this._loadTargetState(targetWallet);
@@ -67,11 +69,11 @@ export class CrossAgentMemory {
 
       // If semantic search requested, use vector search
       if (search && this.embeddings && this.vectorDB) {
-        return await this._semanticSearch(targetWallet, search, sharedKey, limit, minScore);
+        return await this._semanticSearch(targetWallet, search, sharedKey, keyType, limit, minScore);
       }
 
       // Otherwise, fetch recent memories
-      return await this._fetchRecentMemories(targetWallet, cids, sharedKey, limit);
+      return await this._fetchRecentMemories(targetWallet, cids, sharedKey, keyType, limit);
     } catch (error) {
       this.logger.error(`Query failed: ${error.message}`);
       throw error;
@@ -82,7 +84,7 @@ export class CrossAgentMemory {
    * Semantic search across another agent's memories
    * @private
    */
-  async _semanticSearch(targetWallet, query, sharedKey, limit, minScore) {
+  async _semanticSearch(targetWallet, query, sharedKey, keyType, limit, minScore) {
     try {
       // Generate query embedding
       const queryEmbedding = await this.embeddings.embed(query);
@@ -101,7 +103,7 @@ export class CrossAgentMemory {
       const memories = [];
       for (const result of filtered.slice(0, limit)) {
         try {
-          const memory = await this._fetchAndDecrypt(result.cid, sharedKey);
+          const memory = await this._fetchAndDecrypt(result.cid, sharedKey, keyType);
           memories.push({
             ...memory,
             relevance_score: result.score,
@@ -123,13 +125,13 @@ export class CrossAgentMemory {
    * Fetch recent memories
    * @private
    */
-  async _fetchRecentMemories(targetWallet, cids, sharedKey, limit) {
+  async _fetchRecentMemories(targetWallet, cids, sharedKey, keyType, limit) {
     const memories = [];
     const recentCids = cids.slice(-limit);
 
     for (const cidEntry of recentCids) {
       try {
-        const memory = await this._fetchAndDecrypt(cidEntry.cid, sharedKey);
+        const memory = await this._fetchAndDecrypt(cidEntry.cid, sharedKey, keyType);
         memories.push({
           ...memory,
           source_agent: targetWallet
@@ -145,16 +147,18 @@ export class CrossAgentMemory {
   /**
    * Fetch and decrypt a memory
    * @private
+   * @param {string} cid - IPFS CID
+   * @param {Buffer|string} sharedKey - Raw 32-byte key (Buffer or base64), or a legacy wallet secret
+   * @param {string} keyType - 'content' (share token), 'vault' (granted read key) or 'secret' (legacy grant)
    */
-  async _fetchAndDecrypt(cid, sharedKey) {
+  async _fetchAndDecrypt(cid, sharedKey, keyType) {
     // Fetch from IPFS
-    const encrypted = await this.ipfsFetch.fetch(cid);
+    const encrypted = JSON.parse(await this.ipfsFetch.fetch(cid));
 
-    // Decrypt using shared key (payload format)
-    const plaintext = await decryptPayload(
-      encrypted,
-      sharedKey
-    );
+    // Content and vault keys are raw keys; legacy grants hold a wallet secret to derive from
+    const plaintext = keyType === 'secret'
+      ? await decryptPayload(encrypted, sharedKey)
+      : decryptWithKey(encrypted, Buffer.isBuffer(sharedKey) ? sharedKey : Buffer.from(sharedKey, 'base64'));
 
     // Parse (JSON or TOON)
     let memory;
@@ -236,29 +240,32 @@ export class CrossAgentMemory {
    * Import a memory from a share token
    * @param {string} cid - IPFS CID to import
    * @param {string} sourceWallet - Source agent's wallet
-   * @param {string} sharedKey - Decrypted shared key
+   * @param {Buffer|string} sharedKey - Content key from a share token, or granted vault key
    * @param {Object} options - Import options
+   * @param {string} options.keyType - Type of sharedKey ('content', 'vault' or 'secret')
    * @param {boolean} options.saveLocally - Save to local state
    * @returns {Promise<Object>} Imported memory
    */
   async importMemory(cid, sourceWallet, sharedKey, options = {}) {
-    const { saveLocally = false } = options;
+    const { keyType = 'content', saveLocally = false } = options;
 
     this.logger.info(`Importing memory ${cid} from ${sourceWallet}`);
 
     try {
       // Fetch and decrypt the memory
-      const memory = await this._fetchAndDecrypt(cid, sharedKey);
+      const memory = await this._fetchAndDecrypt(cid, sharedKey, keyType);
 
       // Add source metadata
       memory.source_agent = sourceWallet;
       memory.imported_at = new Date().toISOString();
       memory.imported_cid = cid;
 
-      // Optionally save to local state
-      if (saveLocally) {
+      // Optionally save to local state (share token keys only unlock this one memory)
+      if (saveLocally && keyType === 'content') {
+        this.logger.warn(`Share token key for ${cid} is per-memory, not saved as a permission`);
+      } else if (saveLocally) {
         // Store the permission for future queries
-        await this.permissions.importPermission(sourceWallet, sharedKey);
+        await this.permissions.importPermission(sourceWallet, sharedKey, keyType);
         this.logger.info(`Saved permission for ${sourceWallet}`);
       }
 
@@ -276,9 +283,10 @@ export class CrossAgentMemory {
    * @param {string} sourceWallet - Source agent's wallet
    * @param {Array<string>} cids - Array of CIDs to import
    * @param {string} sharedKey - Decrypted shared key
+   * @param {string} keyType - Type of sharedKey ('content', 'vault' or 'secret')
    * @returns {Promise<Array>} Imported memories
    */
-  async importMemories(sourceWallet, cids, sharedKey) {
+  async importMemories(sourceWallet, cids, sharedKey, keyType) {
     this.logger.info(`Importing ${cids.length} memories from ${sourceWallet}`);
 
     const memories = [];
@@ -286,7 +294,7 @@ export class CrossAgentMemory {
 
     for (const cid of cids) {
       try {
-        const memory = await this.importMemory(cid, sourceWallet, sharedKey, { saveLocally: false });
+        const memory = await this.importMemory(cid, sourceWallet, sharedKey, { keyType, saveLocally: false });
         memories.push(memory);
       } catch (error) {
         this.logger.error(`Failed to import ${cid}: ${error.message}`);
@@ -327,7 +335,7 @@ export class CrossAgentMemory {
       }
 
       // Fetch and decrypt
-      const memory = await this._fetchAndDecrypt(cid, sharedKey);
+      const memory = await this._fetchAndDecrypt(cid, sharedKey, await this.permissions.getKeyType(sourceWallet));
       memory.source_agent = sourceWallet;
 
       return memory;
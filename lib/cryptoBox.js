@@ -1,8 +1,18 @@
-import { createHash, createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import {
+  createHash,
+  createCipheriv,
+  createDecipheriv,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  hkdfSync,
+  randomBytes
+} from 'crypto';
 import { Keypair } from '@solana/web3.js';
 import bs58 from 'bs58';
 import { sha512 } from '@noble/hashes/sha2.js';
 import * as ed25519 from '@noble/ed25519';
+import { compress, decompress } from './compression.js';
 
 // Initialize ed25519 with SHA-512
 ed25519.etc.sha512Sync = (...m) => sha512(ed25519.etc.concatBytes(...m));
@@ -56,10 +66,15 @@ async function signMessage(keypair, message) {
 
 /**
  * Encrypt plaintext with AES-256-GCM
+ * @param {string|Buffer} plaintext - UTF-8 text or raw bytes
+ * @param {Buffer} aad - Optional additional authenticated data (bound into the tag, not encrypted)
  */
-export function encrypt(plaintext, key) {
+export function encrypt(plaintext, key, aad = null) {
   const iv = randomBytes(12); // 12 bytes for GCM
   const cipher = createCipheriv('aes-256-gcm', key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
   
   let ciphertext = cipher.update(plaintext, 'utf8');
   ciphertext = Buffer.concat([ciphertext, cipher.final()]);
@@ -74,8 +89,16 @@ export function encrypt(plaintext, key) {
 
 /**
  * Decrypt ciphertext with AES-256-GCM
+ * @param {Buffer} aad - Additional authenticated data used at encryption time
+ */
+export function decrypt(encryptedBase64, key, aad = null) {
+  return decryptBytes(encryptedBase64, key, aad).toString('utf8');
+}
+
+/**
+ * Decrypt ciphertext with AES-256-GCM to raw bytes
  */
-export function decrypt(encryptedBase64, key) {
+function decryptBytes(encryptedBase64, key, aad = null) {
   const combined = Buffer.from(encryptedBase64, 'base64');
   
   // Extract components
@@ -85,34 +108,234 @@ export function decrypt(encryptedBase64, key) {
   
   const decipher = createDecipheriv('aes-256-gcm', key, iv);
   decipher.setAuthTag(authTag);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
   
   let plaintext = decipher.update(ciphertext);
   plaintext = Buffer.concat([plaintext, decipher.final()]);
   
-  return plaintext.toString('utf8');
+  return plaintext;
+}
+
+/**
+ * Payload versions
+ * v1: data encrypted directly with the wallet-derived key
+ * v2: data encrypted with a random per-document data key, wrapped for the wallet and any recipients
+ * v3: v2 plus a plaintext context (wallet, agent_id, schema, prev_plaintext_sha256) bound as GCM AAD
+ *     The context is stored in cleartext so readers can check it before decrypting: anyone
+ *     holding the object learns its agent and can link it to its parent by hash
+ * v2 and v3 may set `compression` (gzip|brotli): the plaintext was compressed before encryption
+ */
+export const PAYLOAD_VERSION = 2;
+export const CONTEXT_PAYLOAD_VERSION = 3;
+
+/**
+ * Fields of a chain document bound into the ciphertext of a v3 payload
+ */
+const CONTEXT_FIELDS = ['wallet', 'agent_id', 'schema', 'prev_plaintext_sha256'];
+
+/**
+ * Build the binding context of a chain document
+ */
+export function bindingContext(doc) {
+  const context = {};
+  for (const field of CONTEXT_FIELDS) {
+    context[field] = doc[field] ?? null;
+  }
+  return context;
 }
 
 /**
- * Create encrypted payload for X1 Vault
+ * AAD bytes for a binding context (fixed field order)
  */
-export async function createEncryptedPayload(plaintext, walletPubkey, walletSecretKeyBase58, derivationMsg, cacheTtlMs) {
-  const key = await deriveKey(walletSecretKeyBase58, derivationMsg, cacheTtlMs);
-  const encryptedData = encrypt(plaintext, key);
+function contextAad(context) {
+  return Buffer.from(JSON.stringify(CONTEXT_FIELDS.map(field => context?.[field] ?? null)), 'utf8');
+}
+
+/**
+ * Check a payload's bound context against what the caller expects
+ * Only fields present in expected are compared. Payloads older than v3
+ * carry no context and pass, so existing chains stay readable.
+ */
+export function checkContext(payload, expected) {
+  if (!expected || payload.version !== CONTEXT_PAYLOAD_VERSION) return;
+  
+  for (const [field, value] of Object.entries(expected)) {
+    if (value !== undefined && payload.context?.[field] !== value) {
+      throw new Error(`Tampering detected: payload bound to ${field}=${payload.context?.[field]}, expected ${value}`);
+    }
+  }
+}
+
+/**
+ * Decrypt payload data with its data key, authenticating the bound context for v3
+ * and decompressing if the payload was compressed
+ */
+function decryptData(payload, dataKey) {
+  let bytes;
+  
+  if (payload.version !== CONTEXT_PAYLOAD_VERSION) {
+    bytes = decryptBytes(payload.data, dataKey);
+  } else {
+    if (payload.wallet !== payload.context?.wallet) {
+      throw new Error(`Tampering detected: payload wallet ${payload.wallet} does not match bound wallet ${payload.context?.wallet}`);
+    }
+    
+    try {
+      bytes = decryptBytes(payload.data, dataKey, contextAad(payload.context));
+    } catch (error) {
+      throw new Error(`Tampering detected: payload context does not match its ciphertext (${error.message})`);
+    }
+  }
+  
+  if (payload.compression) {
+    bytes = decompress(bytes, payload.compression);
+  }
+  
+  return bytes.toString('utf8');
+}
+
+/**
+ * HKDF info for wrapping a data key to a recipient wallet
+ */
+function recipientInfo(walletPubkey, recipientWallet) {
+  return `aegis-recipient-v2|${walletPubkey}|${recipientWallet}`;
+}
+
+/**
+ * Key wrapping the data key of a shreddable payload
+ * Needs both the wallet key and the local shred key
+ */
+function shredWrappingKey(walletKey, shredKey, id) {
+  return Buffer.from(hkdfSync('sha256', Buffer.concat([walletKey, shredKey]), Buffer.alloc(0), `aegis-shred-v2|${id}`, 32));
+}
+
+/**
+ * Create encrypted payload for X1 Vault (envelope encryption)
+ * @param {Object} options
+ * @param {Array} options.recipients - Extra key holders: {id, key} (raw 32-byte key) or {wallet} (X25519)
+ * @param {Object} options.shredKey - {id, key} from KeyStore, wraps the data key instead of the wallet key alone
+ * @param {Object} options.context - Chain document whose bindingContext() is bound as AAD (v3)
+ * @param {string} options.compression - Compress plaintext before encryption: 'gzip' or 'brotli'
+ */
+export async function createEncryptedPayload(plaintext, walletPubkey, walletSecretKeyBase58, derivationMsg, cacheTtlMs, options = {}) {
+  const { recipients = [], shredKey = null, context = null, compression = null } = options;
+  
+  const walletKey = await deriveKey(walletSecretKeyBase58, derivationMsg, cacheTtlMs);
+  const dataKey = randomBytes(32);
+  
+  const keys = shredKey
+    ? [{ type: 'shred', id: shredKey.id, wrapped: wrapKey(dataKey, shredWrappingKey(walletKey, shredKey.key, shredKey.id)) }]
+    : [{ type: 'wallet', id: walletPubkey, wrapped: wrapKey(dataKey, walletKey) }];
+  
+  for (const recipient of recipients) {
+    if (recipient.wallet) {
+      const recipientKey = deriveSharedKey(
+        walletSecretKeyBase58,
+        recipient.wallet,
+        recipientInfo(walletPubkey, recipient.wallet)
+      );
+      keys.push({ type: 'recipient', id: recipient.wallet, wrapped: wrapKey(dataKey, recipientKey) });
+    } else if (recipient.key) {
+      keys.push({ type: 'key', id: recipient.id || null, wrapped: wrapKey(dataKey, recipient.key) });
+    } else {
+      throw new Error('Recipient needs either a wallet or a key');
+    }
+  }
+  
+  const codec = compression && compression !== 'none' ? compression : null;
+  const body = codec ? compress(plaintext, codec) : plaintext;
+  
+  if (context) {
+    const bound = bindingContext(context);
+    return {
+      version: CONTEXT_PAYLOAD_VERSION,
+      algorithm: 'AES-256-GCM',
+      wallet: walletPubkey,
+      derivationMsg: derivationMsg,
+      context: bound,
+      ...(codec && { compression: codec }),
+      keys,
+      data: encrypt(body, dataKey, contextAad(bound))
+    };
+  }
   
   return {
-    version: 1,
+    version: PAYLOAD_VERSION,
     algorithm: 'AES-256-GCM',
     wallet: walletPubkey,
     derivationMsg: derivationMsg,
-    data: encryptedData
+    ...(codec && { compression: codec }),
+    keys,
+    data: encrypt(body, dataKey)
   };
 }
 
+/**
+ * Get the shred key id of a shreddable payload (null otherwise)
+ */
+export function getShredKeyId(payload) {
+  return payload.keys?.find(k => k.type === 'shred')?.id || null;
+}
+
+/**
+ * Recover the data key of a v2 payload with a wallet secret
+ * Works for the owning wallet and for wallets listed as recipients
+ * @param {Object} options
+ * @param {KeyStore} options.keyStore - Local shred keys, needed for shreddable payloads
+ */
+export async function unwrapDataKey(payload, walletSecretKeyBase58, cacheTtlMs, options = {}) {
+  if (payload.version !== 2 && payload.version !== CONTEXT_PAYLOAD_VERSION) {
+    throw new Error(`Payload version ${payload.version} has no data key`);
+  }
+  
+  const ownPubkey = Keypair.fromSecretKey(bs58.decode(walletSecretKeyBase58)).publicKey.toBase58();
+  
+  if (ownPubkey === payload.wallet) {
+    const walletKey = await deriveKey(walletSecretKeyBase58, payload.derivationMsg, cacheTtlMs);
+    
+    const entry = payload.keys?.find(k => k.type === 'wallet');
+    if (entry) {
+      return unwrapKey(entry.wrapped, walletKey);
+    }
+    
+    const shredEntry = payload.keys?.find(k => k.type === 'shred');
+    if (!shredEntry) {
+      throw new Error('Payload has no wallet-wrapped data key');
+    }
+    
+    const shredKey = options.keyStore?.get(shredEntry.id);
+    if (!shredKey) {
+      throw new Error(options.keyStore?.isDestroyed(shredEntry.id)
+        ? `Shred key ${shredEntry.id} has been destroyed, memory was forgotten`
+        : `Shred key ${shredEntry.id} not found in key store`);
+    }
+    
+    return unwrapKey(shredEntry.wrapped, shredWrappingKey(walletKey, shredKey, shredEntry.id));
+  }
+  
+  const entry = payload.keys?.find(k => k.type === 'recipient' && k.id === ownPubkey);
+  if (!entry) {
+    throw new Error(`Payload is not wrapped for wallet ${ownPubkey}`);
+  }
+  
+  const recipientKey = deriveSharedKey(walletSecretKeyBase58, payload.wallet, recipientInfo(payload.wallet, ownPubkey));
+  return unwrapKey(entry.wrapped, recipientKey);
+}
+
 /**
  * Decrypt payload from X1 Vault
+ * @param {Object} options - Passed to unwrapDataKey() (keyStore)
+ * @param {Object} options.context - Expected bound context fields (e.g. {wallet, agent_id}),
+ *   a v3 payload bound elsewhere is rejected as tampered
  */
-export async function decryptPayload(payload, walletSecretKeyBase58, cacheTtlMs) {
-  if (payload.version !== 1) {
+export async function decryptPayload(payload, walletSecretKeyBase58, cacheTtlMs, options = {}) {
+  if (payload.keyMode === 'content') {
+    throw new Error('Payload is encrypted with a content key, use decryptWithKey()');
+  }
+  
+  if (![1, 2, CONTEXT_PAYLOAD_VERSION].includes(payload.version)) {
     throw new Error(`Unsupported payload version: ${payload.version}`);
   }
   
@@ -120,10 +343,157 @@ export async function decryptPayload(payload, walletSecretKeyBase58, cacheTtlMs)
     throw new Error(`Unsupported algorithm: ${payload.algorithm}`);
   }
   
+  checkContext(payload, options.context);
+  
+  if (payload.version >= 2) {
+    const dataKey = await unwrapDataKey(payload, walletSecretKeyBase58, cacheTtlMs, options);
+    return decryptData(payload, dataKey);
+  }
+  
   const key = await deriveKey(walletSecretKeyBase58, payload.derivationMsg, cacheTtlMs);
   return decrypt(payload.data, key);
 }
 
+/**
+ * Create payload encrypted with a fresh random content key
+ * Only holders of the returned content key can decrypt it, the wallet key is not involved
+ */
+export function createContentKeyPayload(plaintext, walletPubkey) {
+  const contentKey = randomBytes(32);
+  
+  return {
+    payload: {
+      version: 1,
+      algorithm: 'AES-256-GCM',
+      wallet: walletPubkey,
+      keyMode: 'content',
+      data: encrypt(plaintext, contentKey)
+    },
+    contentKey
+  };
+}
+
+/**
+ * Decrypt payload with a raw 32-byte key
+ * For v2/v3 payloads the key may be the data key itself or any key the data key is wrapped with
+ */
+export function decryptWithKey(payload, key, options = {}) {
+  if (![1, 2, CONTEXT_PAYLOAD_VERSION].includes(payload.version)) {
+    throw new Error(`Unsupported payload version: ${payload.version}`);
+  }
+  
+  if (payload.algorithm !== 'AES-256-GCM') {
+    throw new Error(`Unsupported algorithm: ${payload.algorithm}`);
+  }
+  
+  checkContext(payload, options.context);
+  
+  let dataKey = key;
+  if (payload.version >= 2) {
+    for (const entry of payload.keys || []) {
+      try {
+        dataKey = unwrapKey(entry.wrapped, key);
+        break;
+      } catch {
+        // Not wrapped with this key, try the next entry
+      }
+    }
+  }
+  
+  return decryptData(payload, dataKey);
+}
+
+// DER prefixes for raw X25519 keys (PKCS#8 private, SPKI public)
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+/**
+ * Convert ed25519 public key to X25519 (Montgomery u = (1 + y) / (1 - y))
+ */
+export function ed25519PublicToX25519(publicKeyBytes) {
+  const { y } = ed25519.Point.fromHex(Buffer.from(publicKeyBytes).toString('hex')).toAffine();
+  const p = ed25519.CURVE.p;
+  let u = ed25519.etc.mod((1n + y) * ed25519.etc.invert(1n - y, p), p);
+  
+  // Little-endian encoding
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 32; i++) {
+    out[i] = Number(u & 0xffn);
+    u >>= 8n;
+  }
+  
+  return out;
+}
+
+/**
+ * Convert ed25519 secret seed to X25519 private scalar
+ */
+export function ed25519SecretToX25519(seed) {
+  const scalar = Buffer.from(sha512(seed).slice(0, 32));
+  scalar[0] &= 248;
+  scalar[31] &= 127;
+  scalar[31] |= 64;
+  return scalar;
+}
+
+/**
+ * Derive 32-byte key shared between two wallets (X25519 + HKDF-SHA256)
+ * Both sides get the same key: deriveSharedKey(a.secret, b.pubkey) === deriveSharedKey(b.secret, a.pubkey)
+ */
+export function deriveSharedKey(walletSecretKeyBase58, peerWalletPubkey, info) {
+  const seed = bs58.decode(walletSecretKeyBase58).slice(0, 32);
+  
+  const privateKey = createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, ed25519SecretToX25519(seed)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = createPublicKey({
+    key: Buffer.concat([X25519_SPKI_PREFIX, ed25519PublicToX25519(bs58.decode(peerWalletPubkey))]),
+    format: 'der',
+    type: 'spki'
+  });
+  
+  const sharedSecret = diffieHellman({ privateKey, publicKey });
+  
+  return Buffer.from(hkdfSync('sha256', sharedSecret, Buffer.alloc(0), info, 32));
+}
+
+/**
+ * Wrap (encrypt) a raw key with another key
+ */
+export function wrapKey(key, wrappingKey) {
+  return encrypt(Buffer.from(key).toString('base64'), wrappingKey);
+}
+
+/**
+ * Unwrap a key produced by wrapKey()
+ */
+export function unwrapKey(wrapped, wrappingKey) {
+  return Buffer.from(decrypt(wrapped, wrappingKey), 'base64');
+}
+
+/**
+ * Sign a UTF-8 message with the wallet key
+ * @returns {string} Base58 ed25519 signature
+ */
+export async function signWithWallet(message, walletSecretKeyBase58) {
+  const keypair = Keypair.fromSecretKey(bs58.decode(walletSecretKeyBase58));
+  const signature = await signMessage(keypair, Buffer.from(message, 'utf8'));
+  return bs58.encode(signature);
+}
+
+/**
+ * Verify a signature produced by signWithWallet()
+ */
+export function verifyWalletSignature(message, signatureBase58, walletPubkey) {
+  try {
+    return ed25519.verify(bs58.decode(signatureBase58), Buffer.from(message, 'utf8'), bs58.decode(walletPubkey));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Compute SHA256 hash
  */
@@ -149,13 +519,14 @@ export class CryptoBox {
     this.cacheTtlMs = cacheTtlMs;
   }
   
-  async encrypt(plaintext) {
+  async encrypt(plaintext, options = {}) {
     const payload = await createEncryptedPayload(
       plaintext,
       this.walletPubkey,
       this.walletSecretKeyBase58,
       this.derivationMsg,
-      this.cacheTtlMs
+      this.cacheTtlMs,
+      options
     );
     return payload;
   }
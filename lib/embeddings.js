@@ -73,9 +73,21 @@ export class EmbeddingGenerator {
   extractText(memory) {
     const parts = [];
 
-    // Add main content
-    if (memory.content) {
+    // Add main content (plain text, or a captured memory's summary/messages/tags)
+    if (typeof memory.content === 'string') {
       parts.push(memory.content);
+    } else if (memory.content && typeof memory.content === 'object') {
+      if (memory.content.summary) {
+        parts.push(memory.content.summary);
+      }
+      for (const msg of memory.content.messages || []) {
+        if (msg.content) {
+          parts.push(`${msg.role || 'unknown'}: ${msg.content}`);
+        }
+      }
+      if (memory.content.tags?.length) {
+        parts.push(`Tags: ${memory.content.tags.join(', ')}`);
+      }
     }
 
     // Add role/name context
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Cross-process file locking and durable writes
+ * Shared by State, Queue and KeyStore, whose files the plugin and the CLI both write.
+ * The lock is an exclusive-create lock file holding the owner's pid; a lock
+ * whose owner has exited, or that is older than staleMs, is broken. Breaking
+ * renames the lock aside first and checks it is still the stale one, so a
+ * fresh lock another process created in between is never deleted.
+ */
+
+import {
+  readFileSync, existsSync, mkdirSync, openSync, closeSync,
+  writeSync, fsyncSync, renameSync, unlinkSync, statSync, linkSync
+} from 'fs';
+import { dirname } from 'path';
+import { sleepSync } from './util.js';
+
+const LOCK_RETRY_MS = 25;
+
+export class FileLock {
+  /**
+   * @param {string} lockPath - Lock file (e.g. `state.json.lock`)
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {string} options.name - Name used in messages (default: 'file')
+   * @param {number} options.timeoutMs - Give up waiting after this long (default: 10000)
+   * @param {number} options.staleMs - Break locks older than this (default: 30000)
+   */
+  constructor(lockPath, logger, options = {}) {
+    this.lockPath = lockPath;
+    this.logger = logger;
+    this.name = options.name || 'file';
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.staleMs = options.staleMs || 30000;
+    this.depth = 0;
+  }
+
+  /**
+   * Run fn while holding the lock (re-entrant)
+   * @returns {*} fn's return value
+   */
+  withLock(fn) {
+    if (this.depth === 0) {
+      this.acquire();
+    }
+    this.depth++;
+    
+    try {
+      return fn();
+    } finally {
+      this.depth--;
+      if (this.depth === 0) {
+        this.release();
+      }
+    }
+  }
+
+  /**
+   * Create the lock file, waiting for other holders and breaking stale locks
+   */
+  acquire() {
+    const dir = dirname(this.lockPath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    
+    const deadline = Date.now() + this.timeoutMs;
+    
+    for (;;) {
+      try {
+        const fd = openSync(this.lockPath, 'wx');
+        writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+        closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      
+      if (this._breakStale()) {
+        continue;
+      }
+      
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${this.name} lock ${this.lockPath} (held by another aegismemory process)`);
+      }
+      
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * A lock is stale if its holder has exited or it is older than staleMs
+   */
+  isStale() {
+    return this._staleLock(this.lockPath) !== null;
+  }
+
+  /**
+   * Identity of a lock file if it is stale
+   * @returns {Object|null} { content, mtimeMs, ino }, null if live or missing
+   * @private
+   */
+  _staleLock(path) {
+    try {
+      const { mtimeMs, ino } = statSync(path);
+      const content = readFileSync(path, 'utf8');
+      if (Date.now() - mtimeMs > this.staleMs) {
+        return { content, mtimeMs, ino };
+      }
+      
+      const { pid } = JSON.parse(content);
+      return isProcessAlive(pid) ? null : { content, mtimeMs, ino };
+    } catch (error) {
+      // ENOENT: released meanwhile (retry); anything else (half-written
+      // lock) is treated as held until it ages out
+      return null;
+    }
+  }
+
+  /**
+   * Remove a stale lock, unless it was replaced by a fresh one meanwhile
+   * The rename is atomic, so only one process takes the lock file aside;
+   * if it turns out to be a fresh lock, it is linked back in place.
+   * @returns {boolean} Whether a stale lock was removed
+   * @private
+   */
+  _breakStale() {
+    const stale = this._staleLock(this.lockPath);
+    if (!stale) {
+      return false;
+    }
+    
+    const asidePath = `${this.lockPath}.${process.pid}.stale`;
+    try {
+      renameSync(this.lockPath, asidePath);
+    } catch (error) {
+      // Another process broke it first
+      return false;
+    }
+    
+    let broken = false;
+    try {
+      const { mtimeMs, ino } = statSync(asidePath);
+      broken = ino === stale.ino && mtimeMs === stale.mtimeMs && readFileSync(asidePath, 'utf8') === stale.content;
+      
+      if (!broken) {
+        try {
+          linkSync(asidePath, this.lockPath);
+        } catch (error) {
+          this.logger.warn(`Failed to restore ${this.name} lock taken aside`, { error: error.message, path: this.lockPath });
+        }
+      }
+    } finally {
+      try {
+        unlinkSync(asidePath);
+      } catch (error) {
+        // Already gone
+      }
+    }
+    
+    if (broken) {
+      this.logger.warn(`Breaking stale ${this.name} lock`, { path: this.lockPath });
+    }
+    return broken;
+  }
+
+  /**
+   * Remove the lock file if this process still holds it (on shutdown)
+   */
+  close() {
+    try {
+      const { pid } = JSON.parse(readFileSync(this.lockPath, 'utf8'));
+      if (pid === process.pid) {
+        this.depth = 0;
+        this.release();
+      }
+    } catch (error) {
+      // Not held
+    }
+  }
+
+  /**
+   * Remove the lock file
+   */
+  release() {
+    try {
+      unlinkSync(this.lockPath);
+    } catch (error) {
+      this.logger.warn(`Failed to release ${this.name} lock`, { error: error.message, path: this.lockPath });
+    }
+  }
+}
+
+/**
+ * Whether a process on this host is still running (EPERM: exists, not ours)
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Write file and flush it to disk
+ * @param {number} mode - File mode if the file is created (default: 0o666 less umask)
+ */
+export function writeDurable(path, content, mode) {
+  const fd = openSync(path, 'w', mode);
+  try {
+    writeSync(fd, content);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Replace file atomically: readers see the old or the new content, never a mix
+ */
+export function writeAtomic(path, content, mode) {
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeDurable(tmpPath, content, mode);
+  renameSync(tmpPath, path);
+}
@@ -64,6 +64,25 @@ export class IpfsFetcher {
     throw lastError || new Error('All IPFS gateways failed');
   }
 
+  /**
+   * Check reachability of every gateway
+   * @returns {Promise<Array>} [{ url, ok, latencyMs, error }]
+   */
+  async checkHealth(timeoutMs = 5000) {
+    return Promise.all(this.gatewayUrls.map(async (url) => {
+      const startTime = Date.now();
+      try {
+        const response = await fetch(`${url}/api/v0/version`, {
+          method: 'POST',
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        return { url, ok: response.ok, latencyMs: Date.now() - startTime, error: response.ok ? null : `HTTP ${response.status}` };
+      } catch (error) {
+        return { url, ok: false, latencyMs: Date.now() - startTime, error: error.message };
+      }
+    }));
+  }
+
   /**
    * Fetch from specific gateway
    */
@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Key rotation for memory chains
+ * Re-encrypts every CID known in State under a new derivation message.
+ * Each agent chain is rotated by one durable ROTATE_CHAIN queue job whose
+ * progress is saved after every upload, so a crash resumes where it stopped.
+ * The whole DAG is rotated: history reachable from any branch head, and
+ * every parent of merge documents, is relinked to the rotated CIDs.
+ * Forgotten memories and their tombstones are left out of the rotated chain.
+ */
+
+import { VaultApi } from './vaultApi.js';
+import { IpfsFetcher } from './ipfsFetch.js';
+import { createEncryptedPayload, decryptPayload, getShredKeyId, sha256 } from './cryptoBox.js';
+import { canonicalStringify } from './util.js';
+import { toTOON, fromTOON } from './toon.js';
+import { KeyStore } from './keyStore.js';
+import { isTombstone, parentLinks } from './chain.js';
+
+export const ROTATE_JOB_TYPE = 'ROTATE_CHAIN';
+
+export class KeyRotation {
+  constructor(config, logger, metrics, state, queue) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.state = state;
+    this.queue = queue;
+    
+    this.vaultApi = new VaultApi(config.baseUrl, logger, metrics);
+    this.ipfsFetcher = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
+    this.keyStore = new KeyStore(config.keyStorePath, logger);
+  }
+
+  /**
+   * Enqueue one rotation job per agent chain (idempotent per target derivation)
+   * @param {string} toDerivationMsg - New derivation message
+   * @param {Object} options
+   * @param {string} options.agentId - Only rotate this agent (default: all)
+   * @returns {Array} Rotation jobs
+   */
+  plan(toDerivationMsg, options = {}) {
+    const { agentId = null } = options;
+    const jobs = [];
+    
+    for (const agentKey of this.state.getAllAgents()) {
+      const [wallet, ...rest] = agentKey.split(':');
+      const id = rest.join(':');
+      
+      if (agentId && id !== agentId) continue;
+      if (!this.state.getLastCid(wallet, id)) continue;
+      
+      const key = `rotate:${agentKey}:${toDerivationMsg}`;
+      jobs.push(this.queue.enqueue(ROTATE_JOB_TYPE, {
+        wallet,
+        agentId: id,
+        toDerivationMsg,
+        oldCids: null,
+        rotated: []
+      }, { key, maxRetries: this.config.maxRetries }));
+    }
+    
+    return jobs;
+  }
+
+  /**
+   * Register the ROTATE_CHAIN handler on the queue
+   */
+  registerJobHandlers(queue = this.queue) {
+    queue.registerHandler(ROTATE_JOB_TYPE, job => this.processRotateJob(job));
+  }
+
+  /**
+   * Process a ROTATE_CHAIN job (resumable)
+   */
+  async processRotateJob(job) {
+    const { wallet, agentId, toDerivationMsg } = job.payload;
+    const head = this.state.getLastCid(wallet, agentId);
+    const heads = this._heads(wallet, agentId);
+    
+    // Crashed after the state update but before the job was completed
+    if (job.payload.oldCids && job.payload.rotated.length === job.payload.oldCids.length &&
+        head === this._rotatedHead(job.payload, job.payload.oldHead)?.newCid) {
+      return { agentId, documents: job.payload.oldCids.length, head, markerCid: this.state.getAgent(wallet, agentId).lastRotationCid };
+    }
+    
+    // Walk the DAG once and persist the plan
+    if (!job.payload.oldCids) {
+      const plan = agentId.startsWith('cyberdyne:')
+        ? { cids: [head], parents: { [head]: [] }, heads: { [head]: head }, forgotten: [] }
+        : await this._walkChain(heads, wallet, agentId);
+      this.queue.updatePayload(job.id, {
+        oldCids: plan.cids,
+        parents: plan.parents,
+        heads: plan.heads,
+        forgotten: plan.forgotten,
+        oldHead: head,
+        oldHeads: heads
+      });
+      this.logger.info('Rotation planned', { agentId, documents: plan.cids.length, heads: heads.length, forgotten: plan.forgotten.length });
+    }
+    
+    const { oldHeads } = job.payload;
+    if (oldHeads.join() !== heads.join()) {
+      throw new Error(`Chain head for ${agentId} moved during rotation (${oldHeads.join(', ')} -> ${heads.join(', ')}), stop writers and retry`);
+    }
+    
+    const { oldCids } = job.payload;
+    const mapping = new Map(job.payload.rotated.map(r => [r.oldCid, r]));
+    
+    for (let i = job.payload.rotated.length; i < oldCids.length; i++) {
+      const parents = job.payload.parents[oldCids[i]].map(cid => mapping.get(cid));
+      const entry = await this._rotateDocument(oldCids[i], parents, wallet, agentId, toDerivationMsg);
+      mapping.set(entry.oldCid, entry);
+      
+      // Persist progress after every upload
+      this.queue.updatePayload(job.id, { rotated: [...job.payload.rotated, entry] });
+      this.metrics.inc('rotation.document');
+    }
+    
+    const newHead = this._rotatedHead(job.payload, job.payload.oldHead);
+    const markerCid = await this._uploadMarker(job.payload, newHead, wallet, agentId);
+    
+    // Single state update once the whole DAG is re-encrypted
+    this.state.transaction(() => {
+      this.state.setAgent(wallet, agentId, {
+        lastCid: newHead.newCid,
+        lastPlaintextSha256: newHead.plaintextSha256,
+        lastRotationCid: markerCid,
+        ...this._remapBranches(wallet, agentId, job.payload)
+      });
+    });
+    
+    this.logger.info('Chain rotated', { agentId, documents: oldCids.length, head: newHead.newCid, markerCid });
+    
+    return { agentId, documents: oldCids.length, head: newHead.newCid, markerCid };
+  }
+
+  /**
+   * Agent head and every branch head, agent head first
+   * @private
+   */
+  _heads(wallet, agentId) {
+    const { lastCid, branches = {} } = this.state.getAgent(wallet, agentId);
+    return [...new Set([lastCid, ...Object.values(branches).map(b => b.lastCid)])].filter(Boolean);
+  }
+
+  /**
+   * Rotated document that replaces an old head (a forgotten head is replaced by its nearest kept ancestor)
+   * @private
+   */
+  _rotatedHead(payload, oldHead) {
+    return payload.rotated.find(r => r.oldCid === payload.heads[oldHead]) || null;
+  }
+
+  /**
+   * Point branch lineages and heads at the rotated CIDs
+   * @returns {Object} State updates ({ branches } or nothing if the agent has no branches)
+   * @private
+   */
+  _remapBranches(wallet, agentId, payload) {
+    const { branches } = structuredClone(this.state.getAgent(wallet, agentId));
+    if (!branches) {
+      return {};
+    }
+    
+    const mapping = new Map(payload.rotated.map(r => [r.oldCid, r]));
+    
+    for (const branch of Object.values(branches)) {
+      // Rotated documents sit at a new chain position
+      branch.cids = (branch.cids || []).map(c => {
+        const rotated = mapping.get(c.cid);
+        return rotated
+          ? { ...c, cid: rotated.newCid, sha256: rotated.plaintextSha256, prevSha256: rotated.prevPlaintextSha256 }
+          : c;
+      });
+      
+      const head = mapping.get(payload.heads[branch.lastCid]);
+      if (head) {
+        branch.lastPlaintextSha256 = head.plaintextSha256;
+        branch.lastCid = head.newCid;
+      }
+    }
+    
+    return { branches };
+  }
+
+  /**
+   * Walk every parent link from the heads and plan the rotated DAG
+   * Kept documents are relinked to their nearest kept ancestors: forgotten
+   * memories are stepped over via their tombstone's link data, tombstones
+   * via their own parent. A forgotten memory may be reached (and fail to
+   * decrypt) before its tombstone on another path, so failures are retried
+   * once the rest of the DAG is known.
+   * @param {string[]} heads - Agent and branch heads
+   * @returns {Promise<Object>} { cids (oldest first), parents (CID -> kept parent CIDs), heads (head -> kept CID), forgotten }
+   * @private
+   */
+  async _walkChain(heads, wallet, agentId) {
+    const nodes = new Map(); // CID -> { doc, links, kept }
+    const forgotten = new Map();
+    const deferred = new Map(); // CID -> fetch error
+    const pending = [...heads];
+    
+    while (pending.length > 0 || deferred.size > 0) {
+      if (pending.length === 0) {
+        const ready = [...deferred.keys()].filter(cid => forgotten.has(cid));
+        if (ready.length === 0) {
+          throw [...deferred.values()][0];
+        }
+        ready.forEach(cid => deferred.delete(cid));
+        pending.push(...ready);
+      }
+      
+      const cid = pending.pop();
+      if (!cid || nodes.has(cid)) {
+        continue;
+      }
+      
+      if (forgotten.has(cid)) {
+        nodes.set(cid, { links: [forgotten.get(cid).prev_cid].filter(Boolean), kept: false });
+        pending.push(...nodes.get(cid).links);
+        continue;
+      }
+      
+      let doc;
+      try {
+        ({ doc } = await this._fetchDocument(cid, { wallet, agent_id: agentId }));
+      } catch (error) {
+        deferred.set(cid, error);
+        continue;
+      }
+      
+      if (isTombstone(doc)) {
+        forgotten.set(doc.forgotten.cid, doc.forgotten);
+      }
+      
+      const links = parentLinks(doc).map(link => link.cid);
+      nodes.set(cid, { doc, links, kept: !isTombstone(doc) });
+      pending.push(...links);
+    }
+    
+    // A memory read before its tombstone was found is still left out
+    for (const cid of forgotten.keys()) {
+      if (nodes.has(cid)) {
+        nodes.get(cid).kept = false;
+        nodes.get(cid).links = [forgotten.get(cid).prev_cid].filter(Boolean);
+      }
+    }
+    
+    // Nearest kept documents at or above a CID
+    const resolved = new Map();
+    const resolve = (cid) => {
+      const stack = [cid];
+      while (stack.length > 0) {
+        const next = stack[stack.length - 1];
+        const node = nodes.get(next);
+        if (resolved.has(next) || !node) {
+          resolved.set(next, resolved.get(next) || []);
+          stack.pop();
+          continue;
+        }
+        if (node.kept) {
+          resolved.set(next, [next]);
+          stack.pop();
+          continue;
+        }
+        const missing = node.links.filter(link => !resolved.has(link));
+        if (missing.length > 0) {
+          stack.push(...missing);
+          continue;
+        }
+        resolved.set(next, [...new Set(node.links.flatMap(link => resolved.get(link)))]);
+        stack.pop();
+      }
+      return resolved.get(cid);
+    };
+    
+    const kept = [...nodes.entries()].filter(([, node]) => node.kept);
+    const parents = {};
+    for (const [cid, node] of kept) {
+      parents[cid] = [...new Set(node.links.flatMap(resolve))];
+    }
+    
+    // Parents before children (uploads need their rotated CIDs), otherwise oldest first
+    const cids = [];
+    const placed = new Set();
+    const byAge = kept.sort(([, a], [, b]) => new Date(a.doc.timestamp || 0) - new Date(b.doc.timestamp || 0));
+    for (const [cid] of byAge) {
+      const stack = [cid];
+      while (stack.length > 0) {
+        const next = stack[stack.length - 1];
+        const missing = placed.has(next) ? [] : parents[next].filter(parent => !placed.has(parent));
+        if (missing.length > 0) {
+          stack.push(...missing);
+          continue;
+        }
+        if (!placed.has(next)) {
+          placed.add(next);
+          cids.push(next);
+        }
+        stack.pop();
+      }
+    }
+    
+    return {
+      cids,
+      parents,
+      heads: Object.fromEntries(heads.map(head => [head, resolve(head)[0] || null])),
+      forgotten: [...forgotten.keys()]
+    };
+  }
+
+  /**
+   * Fetch, decrypt and parse a vault document
+   * @param {Object} context - Expected bound context (detects objects swapped in from another chain)
+   * @private
+   */
+  async _fetchDocument(cid, context) {
+    const payload = JSON.parse(await this.ipfsFetcher.fetch(cid));
+    const plaintext = await decryptPayload(
+      payload,
+      this.config.walletSecretKeyBase58,
+      this.config.cacheKeyTtlMs,
+      { keyStore: this.keyStore, context }
+    );
+    
+    let doc = null;
+    let format = 'raw';
+    if (plaintext.startsWith('@aegismemory')) {
+      doc = fromTOON(plaintext);
+      format = 'toon';
+    } else if (plaintext.startsWith('{')) {
+      doc = JSON.parse(plaintext);
+      format = 'json';
+    }
+    
+    return { doc, plaintext, format, payload };
+  }
+
+  /**
+   * Re-encrypt one document, relinking it to its rotated parents
+   * @param {Object[]} parents - Rotated parent entries ({ newCid, plaintextSha256 }), first parent first
+   * @private
+   */
+  async _rotateDocument(oldCid, parents, wallet, agentId, toDerivationMsg) {
+    const { doc, plaintext: oldPlaintext, format, payload: oldPayload } = await this._fetchDocument(oldCid, { wallet, agent_id: agentId });
+    
+    let plaintext = oldPlaintext;
+    let plaintextSha256 = sha256(oldPlaintext);
+    let prevPlaintextSha256 = null;
+    let filename = `rotated/${agentId}/${oldCid}.json`;
+    let context = null;
+    
+    // Memory documents are relinked; anything else (profiles) is re-encrypted as-is
+    if (doc && doc.schema?.startsWith('aegismemory')) {
+      delete doc.cid;
+      doc.prev_cid = parents[0]?.newCid ?? null;
+      doc.prev_plaintext_sha256 = parents[0]?.plaintextSha256 ?? null;
+      
+      // Merge documents link every rotated parent
+      if (Array.isArray(doc.prev_cids)) {
+        doc.prev_cids = parents.map(p => p.newCid);
+        doc.prev_plaintext_sha256s = parents.map(p => p.plaintextSha256);
+      }
+      doc.plaintext_sha256 = null;
+      doc.plaintext_sha256 = sha256(canonicalStringify(doc));
+      
+      plaintextSha256 = doc.plaintext_sha256;
+      prevPlaintextSha256 = doc.prev_plaintext_sha256;
+      plaintext = format === 'toon' ? toTOON(doc) : canonicalStringify(doc);
+      filename = `${this.config.memoryPrefix}${doc.date}.json`;
+      context = doc;
+    }
+    
+    // Shreddable memories keep their shred key so they can still be forgotten
+    const shredKeyId = getShredKeyId(oldPayload);
+    const payload = await createEncryptedPayload(
+      plaintext,
+      wallet,
+      this.config.walletSecretKeyBase58,
+      toDerivationMsg,
+      this.config.cacheKeyTtlMs,
+      {
+        compression: this.config.compression,
+        ...(context && { context }),
+        ...(shredKeyId && { shredKey: { id: shredKeyId, key: this.keyStore.get(shredKeyId) } })
+      }
+    );
+    
+    const result = await this.vaultApi.add(payload, filename, wallet, plaintext, this.config.maxRetries);
+    
+    this.logger.debug('Document rotated', { oldCid, newCid: result.cid });
+    
+    return { oldCid, newCid: result.cid, plaintextSha256, prevPlaintextSha256 };
+  }
+
+  /**
+   * Upload rotation marker linking old CIDs to new ones
+   * @private
+   */
+  async _uploadMarker(payload, newHead, wallet, agentId) {
+    const marker = {
+      schema: 'aegismemory.rotation.v1',
+      wallet,
+      agent_id: agentId,
+      timestamp: new Date().toISOString(),
+      to_derivation: payload.toDerivationMsg,
+      prev_rotation_cid: this.state.getAgent(wallet, agentId).lastRotationCid || null,
+      old_head: payload.oldHead,
+      forgotten: payload.forgotten || [],
+      new_head: newHead.newCid,
+      mapping: payload.rotated.map(r => ({ old_cid: r.oldCid, new_cid: r.newCid }))
+    };
+    
+    const plaintext = canonicalStringify(marker);
+    const encrypted = await createEncryptedPayload(
+      plaintext,
+      wallet,
+      this.config.walletSecretKeyBase58,
+      payload.toDerivationMsg,
+      this.config.cacheKeyTtlMs
+    );
+    
+    const date = marker.timestamp.split('T')[0];
+    const result = await this.vaultApi.add(encrypted, `rotation/${agentId}/${date}.json`, wallet, plaintext, this.config.maxRetries);
+    
+    return result.cid;
+  }
+}
@@ -0,0 +1,193 @@
+import { readFileSync, existsSync, statSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { FileLock, writeAtomic } from './fileLock.js';
+
+/**
+ * Local store of per-memory shred keys
+ * A shreddable memory's data key can only be unwrapped with its shred key,
+ * so destroying the shred key makes the memory permanently unreadable
+ * even though the ciphertext stays on IPFS (crypto-shredding).
+ *
+ * The plugin and the CLI share keys.json, so every change takes the
+ * advisory lock (`<keys>.lock`), re-reads the file and replaces it with an
+ * atomic write-rename, like State: a key destroyed by `aegismemory forget`
+ * is never written back by the plugin's stale copy.
+ */
+export class KeyStore {
+  constructor(keyStorePath, logger, options = {}) {
+    this.keyStorePath = keyStorePath;
+    this.logger = logger;
+    this.lock = new FileLock(`${keyStorePath}.lock`, logger, {
+      name: 'key store',
+      timeoutMs: options.lockTimeoutMs,
+      staleMs: options.lockStaleMs
+    });
+    this.fileStamp = null; // { mtimeMs, ino, size } of the last read, to spot other writers
+    this.data = {
+      version: 1,
+      keys: {}, // { id: { key (base64), createdAt } }
+      destroyed: {} // { id: destroyedAt }
+    };
+
+    this.load();
+  }
+
+  /**
+   * Load key store from disk
+   */
+  load() {
+    try {
+      this._read();
+      if (this.fileStamp) {
+        this.logger.debug('Key store loaded', { path: this.keyStorePath });
+      }
+    } catch (error) {
+      this.logger.error('Failed to load key store', { error: error.message, path: this.keyStorePath });
+    }
+  }
+
+  /**
+   * Apply a change against the latest key store on disk
+   * @param {Function} fn - Synchronous mutator, called with key store data
+   * @returns {*} fn's return value
+   */
+  transaction(fn) {
+    return this.lock.withLock(() => {
+      this._read();
+
+      let result;
+      try {
+        result = fn(this.data);
+      } catch (error) {
+        // Roll back partial in-memory changes
+        this._read();
+        throw error;
+      }
+
+      this._write();
+      return result;
+    });
+  }
+
+  /**
+   * Get shred key for id, creating it on first use (idempotent for upload retries)
+   * @returns {{id: string, key: Buffer}}
+   */
+  getOrCreate(id) {
+    this._refresh();
+    const entry = this.data.keys[id] && !this.data.destroyed[id]
+      ? this.data.keys[id]
+      : this.transaction(data => {
+        if (data.destroyed[id]) {
+          throw new Error(`Shred key ${id} has been destroyed`);
+        }
+
+        data.keys[id] = data.keys[id] || {
+          key: randomBytes(32).toString('base64'),
+          createdAt: new Date().toISOString()
+        };
+        return data.keys[id];
+      });
+
+    return { id, key: Buffer.from(entry.key, 'base64') };
+  }
+
+  /**
+   * Get shred key
+   * @returns {Buffer|null} Key, or null if unknown or destroyed
+   */
+  get(id) {
+    this._refresh();
+    const entry = this.data.keys[id];
+    return entry ? Buffer.from(entry.key, 'base64') : null;
+  }
+
+  /**
+   * Check whether a shred key was destroyed
+   */
+  isDestroyed(id) {
+    this._refresh();
+    return Boolean(this.data.destroyed[id]);
+  }
+
+  /**
+   * Destroy shred key (irreversible)
+   * @returns {boolean} True if a key was destroyed
+   */
+  destroy(id) {
+    const destroyed = this.transaction(data => {
+      if (!data.keys[id]) {
+        return false;
+      }
+
+      delete data.keys[id];
+      data.destroyed[id] = new Date().toISOString();
+      return true;
+    });
+
+    if (destroyed) {
+      this.logger.info('Shred key destroyed', { id });
+    }
+    return destroyed;
+  }
+
+  /**
+   * Read keys.json into memory
+   * Throws on a corrupted file, so a change never overwrites keys it could not read.
+   * @private
+   */
+  _read() {
+    if (!existsSync(this.keyStorePath)) {
+      this.fileStamp = null;
+      return;
+    }
+
+    const stat = statSync(this.keyStorePath);
+    const loaded = JSON.parse(readFileSync(this.keyStorePath, 'utf8'));
+    this.data = {
+      version: loaded.version || 1,
+      keys: loaded.keys || {},
+      destroyed: loaded.destroyed || {}
+    };
+    this.fileStamp = { mtimeMs: stat.mtimeMs, ino: stat.ino, size: stat.size };
+  }
+
+  /**
+   * Re-read keys.json if another process replaced it since our last read
+   * @private
+   */
+  _refresh() {
+    if (this.lock.depth > 0) {
+      return;
+    }
+
+    try {
+      const stat = statSync(this.keyStorePath);
+      const stamp = this.fileStamp;
+      if (stamp && stamp.mtimeMs === stat.mtimeMs && stamp.ino === stat.ino && stamp.size === stat.size) {
+        return;
+      }
+      this._read();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to reload key store', { error: error.message, path: this.keyStorePath });
+      }
+    }
+  }
+
+  /**
+   * Write keys.json atomically, owner read/write only (caller holds the lock)
+   * @private
+   */
+  _write() {
+    try {
+      writeAtomic(this.keyStorePath, JSON.stringify(this.data, null, 2), 0o600);
+
+      const stat = statSync(this.keyStorePath);
+      this.fileStamp = { mtimeMs: stat.mtimeMs, ino: stat.ino, size: stat.size };
+    } catch (error) {
+      this.logger.error('Failed to save key store', { error: error.message, path: this.keyStorePath });
+      throw error;
+    }
+  }
+}
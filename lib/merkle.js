@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+
+/**
+ * Merkle trees over memory plaintext_sha256 values (batch anchoring)
+ * Leaves and inner nodes are hashed with distinct prefixes (0x00 / 0x01) so a
+ * leaf can never be passed off as an inner node. An unpaired node is carried
+ * up to the next level unchanged.
+ */
+
+function hashHex(prefix, ...hexes) {
+  const hash = createHash('sha256').update(Buffer.from([prefix]));
+  for (const hex of hexes) {
+    hash.update(Buffer.from(hex, 'hex'));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash of a leaf (a plaintext_sha256 hex string)
+ */
+export function merkleLeaf(sha256Hex) {
+  return hashHex(0x00, sha256Hex);
+}
+
+/**
+ * Build a Merkle tree
+ * @param {string[]} leaves - plaintext_sha256 hex strings, in anchoring order
+ * @returns {{root: string, proofs: Array<Array<{position: string, hash: string}>>}}
+ *   One inclusion proof per leaf, from the leaf level up
+ */
+export function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  let level = leaves.map(merkleLeaf);
+  let positions = leaves.map((_, i) => i); // index of each leaf's ancestor in the current level
+  const proofs = leaves.map(() => []);
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashHex(0x01, level[i], level[i + 1]) : level[i]);
+    }
+
+    positions = positions.map((pos, leaf) => {
+      const sibling = pos % 2 === 0 ? pos + 1 : pos - 1;
+      if (sibling < level.length) {
+        proofs[leaf].push({ position: pos % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+      }
+      return Math.floor(pos / 2);
+    });
+
+    level = next;
+  }
+
+  return { root: level[0], proofs };
+}
+
+/**
+ * Recompute the root from a leaf and its inclusion proof
+ * @returns {boolean} True if the proof leads to root
+ */
+export function verifyMerkleProof(sha256Hex, proof, root) {
+  let hash = merkleLeaf(sha256Hex);
+
+  for (const step of proof) {
+    hash = step.position === 'left'
+      ? hashHex(0x01, step.hash, hash)
+      : hashHex(0x01, hash, step.hash);
+  }
+
+  return hash === root;
+}
@@ -11,7 +11,7 @@ export class PermissionRegistry {
   constructor(config, logger = console) {
     this.config = config;
     this.logger = logger;
-    this.permissions = new Map(); // wallet -> {grantee, sharedKey, grantedAt}
+    this.permissions = new Map(); // wallet -> {grantee, sharedKey, keyType, grantedAt}
     
     // Storage path
     const stateDir = config.stateDir || join(config.statePath, '..');
@@ -65,10 +65,11 @@ export class PermissionRegistry {
   /**
    * Grant permission to another agent
    * @param {string} granteeWallet - Wallet address of agent to grant access to
-   * @param {string} sharedKey - Encryption key to share (base58)
+   * @param {string} sharedKey - Vault read key to share (base64, never the wallet secret)
+   * @param {string} keyType - Type of sharedKey (see getKeyType)
    * @returns {Object} Permission details
    */
-  async grant(granteeWallet, sharedKey) {
+  async grant(granteeWallet, sharedKey, keyType = 'vault') {
     if (!this.initialized) {
       await this.init();
     }
@@ -85,6 +86,7 @@ export class PermissionRegistry {
       const permission = {
         grantee: granteeWallet,
         sharedKey: encryptedKey,
+        keyType,
         grantedAt: Date.now(),
         grantedBy: this.config.walletPubkey
       };
@@ -167,6 +169,26 @@ export class PermissionRegistry {
     }
   }
 
+  /**
+   * Get the type of the shared key held for an agent
+   * 'vault' is a raw vault read key (base64); 'secret' is a wallet secret,
+   * held by grants made before key types were recorded.
+   * @param {string} granteeWallet - Wallet address
+   * @returns {string|null} Key type or null without permission
+   */
+  async getKeyType(granteeWallet) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const permission = this.permissions.get(granteeWallet);
+    if (!permission) {
+      return null;
+    }
+
+    return permission.keyType || 'secret';
+  }
+
   /**
    * List all permissions
    * @returns {Array} Array of permission objects
@@ -188,6 +210,32 @@ export class PermissionRegistry {
     return result;
   }
 
+  /**
+   * Export the registry as stored on disk (shared keys stay encrypted)
+   * @returns {Object} Permissions by grantee wallet
+   */
+  async export() {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    return Object.fromEntries(this.permissions);
+  }
+
+  /**
+   * Replace the registry with exported data (state snapshot restore)
+   * @param {Object} data - Permissions by grantee wallet, from export()
+   */
+  async restore(data) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    this.permissions = new Map(Object.entries(data || {}));
+    this._persist();
+    this.logger.info(`Restored ${this.permissions.size} permissions`);
+  }
+
   /**
    * Get count of permissions
    * @returns {number} Number of permissions
@@ -216,7 +264,7 @@ export class PermissionRegistry {
   /**
    * Export permission as a share token
    * @param {string} granteeWallet - Wallet to export permission for
-   * @returns {Promise<Object>} {wallet, sharedKey, grantedAt}
+   * @returns {Promise<Object>} {wallet, sharedKey, keyType, grantedAt}
    */
   async exportPermission(granteeWallet) {
     if (!this.initialized) {
@@ -234,6 +282,7 @@ export class PermissionRegistry {
     return {
       wallet: granteeWallet,
       sharedKey,
+      keyType: await this.getKeyType(granteeWallet),
       grantedAt: new Date(permission.grantedAt).toISOString(),
       grantedBy: permission.grantedBy
     };
@@ -243,9 +292,10 @@ export class PermissionRegistry {
    * Import a permission from external source
    * @param {string} sourceWallet - Source agent's wallet
    * @param {string} sharedKey - Decrypted shared key
+   * @param {string} keyType - Type of sharedKey (see getKeyType)
    * @returns {Promise<Object>} Permission details
    */
-  async importPermission(sourceWallet, sharedKey) {
+  async importPermission(sourceWallet, sharedKey, keyType) {
     if (!this.initialized) {
       await this.init();
     }
@@ -261,6 +311,7 @@ export class PermissionRegistry {
     const permission = {
       grantee: this.config.walletPubkey, // We are the grantee
       sharedKey: encryptedKey,
+      keyType,
       grantedAt: Date.now(),
       grantedBy: sourceWallet,
       imported: true
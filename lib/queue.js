@@ -1,66 +1,133 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync, appendFileSync } from 'fs';
+import { readFileSync, existsSync, mkdirSync, appendFileSync, openSync, readSync, closeSync, fstatSync, statSync } from 'fs';
 import { dirname } from 'path';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { FileLock, isProcessAlive, writeAtomic } from './fileLock.js';
+
+const DEFAULT_LEASE_MS = 60000;
+const COMPACT_MIN_RECORDS = 500;
 
 /**
  * Durable job queue with JSONL persistence
+ *
+ * The plugin and the CLI share the queue file, an append-only log: every
+ * change appends the job's new record (or a `{ op: 'remove' }` marker) while
+ * holding `<queue>.lock`, and each process replays what the others appended
+ * before it reads. Once stale records outnumber live jobs the log is
+ * compacted by an atomic rewrite.
+ *
+ * Processing a job takes a lease on it (owner and expiry, written to the
+ * log and renewed while the job runs), so two processes never run the same
+ * job. A lease left by a crashed process is reclaimed when it expires, or
+ * straight away once its pid is gone from this host.
+ *
+ * Jobs that use up their retries move to a dead-letter file
+ * (`<queue>.dead.jsonl`) with their error history, where they can be
+ * inspected, retried or dropped.
+ *
+ * Upload jobs carry the memory document in plaintext. Removing one compacts
+ * the log straight away so the document does not outlive its job, and dead
+ * letters are written without it (a dead-lettered upload cannot be retried).
  */
 export class Queue {
-  constructor(queuePath, logger) {
+  constructor(queuePath, logger, options = {}) {
     this.queuePath = queuePath;
+    this.deadLetterPath = options.deadLetterPath || queuePath.replace(/(\.jsonl)?$/, '.dead.jsonl');
     this.logger = logger;
-    this.jobs = [];
-    this.processing = new Set();
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.lock = new FileLock(`${queuePath}.lock`, logger, {
+      name: 'queue',
+      timeoutMs: options.lockTimeoutMs,
+      staleMs: options.lockStaleMs
+    });
+    this.host = hostname();
+    this.owner = `${this.host}:${process.pid}:${randomBytes(4).toString('hex')}`;
+    this.byId = new Map(); // id -> job, oldest first
+    this.deadJobs = [];
+    this.deadStamp = null; // { mtimeMs, ino, size } of the dead-letter file when last read
+    this.processing = new Set(); // IDs of jobs leased by this process
+    this.lost = new Set(); // IDs of jobs whose lease this process lost while running them
+    this.handlers = new Map(); // type -> { handler, concurrency, priority }
+    this.log = { ino: null, offset: 0, size: 0, records: 0 }; // how far the queue file has been replayed
+    this.renewTimer = null;
     
     this.load();
   }
 
+  /**
+   * Live jobs, oldest first
+   */
+  get jobs() {
+    return [...this.byId.values()];
+  }
+
   /**
    * Load queue from disk
    */
   load() {
     try {
-      if (existsSync(this.queuePath)) {
-        const content = readFileSync(this.queuePath, 'utf8');
-        const lines = content.trim().split('\n').filter(l => l);
+      this._mutate(() => {
+        this._syncDead();
         
-        for (const line of lines) {
-          try {
-            const job = JSON.parse(line);
-            this.jobs.push(job);
-          } catch (err) {
-            this.logger.warn('Failed to parse queue line', { error: err.message });
-          }
+        // Dead letters written before memory documents were left out of them
+        if (this.deadJobs.some(job => job.payload?.doc)) {
+          this._saveDead();
         }
         
-        this.logger.debug('Queue loaded', { path: this.queuePath, jobs: this.jobs.length });
-      }
+        // Queues written before the dead-letter file kept failed jobs forever
+        for (const job of this.jobs.filter(j => j.attempts >= j.maxRetries)) {
+          this._deadLetter(job);
+        }
+      });
+      
+      this.logger.debug('Queue loaded', { path: this.queuePath, jobs: this.byId.size });
     } catch (error) {
       this.logger.error('Failed to load queue', { error: error.message, path: this.queuePath });
     }
   }
 
   /**
-   * Save entire queue to disk (rewrite)
+   * Rewrite the queue file with only the live jobs (atomic)
    */
-  save() {
-    try {
-      const dir = dirname(this.queuePath);
-      if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-      }
+  compact() {
+    this._mutate(() => {
+      const lines = this.jobs.map(job => JSON.stringify(job) + '\n').join('');
+      writeAtomic(this.queuePath, lines);
       
-      const lines = this.jobs.map(job => JSON.stringify(job)).join('\n');
-      writeFileSync(this.queuePath, lines + '\n', 'utf8');
+      const stat = statSync(this.queuePath);
+      const before = this.log.records;
+      this.log = { ino: stat.ino, offset: stat.size, size: stat.size, records: this.byId.size };
       
-      this.logger.debug('Queue saved', { path: this.queuePath, jobs: this.jobs.length });
+      this.logger.debug('Queue compacted', { path: this.queuePath, records: before, jobs: this.byId.size });
+    });
+  }
+
+  /**
+   * Stop renewing leases, compact the log and release the lock (on shutdown)
+   * Leases of jobs still running are left to expire (or be reclaimed once
+   * this process has exited).
+   */
+  close() {
+    if (this.renewTimer) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+    
+    try {
+      this.compact();
     } catch (error) {
-      this.logger.error('Failed to save queue', { error: error.message, path: this.queuePath });
-      throw error;
+      this.logger.warn('Failed to compact queue on close', { error: error.message, path: this.queuePath });
     }
+    
+    this.lock.close();
   }
 
   /**
    * Enqueue a job
+   * @param {Object} options
+   * @param {string} options.key - Dedupe key: no new job while one with this key is queued
+   * @param {number} options.maxRetries - Attempts before the job is dead-lettered (default: 6)
+   * @param {string} options.runAt - Not before this time (ISO), for jobs scheduled ahead
    */
   enqueue(type, payload, options = {}) {
     const job = {
@@ -68,159 +135,720 @@ export class Queue {
       type,
       payload,
       createdAt: new Date().toISOString(),
+      ...(options.runAt && { runAt: options.runAt }),
       attempts: 0,
       maxRetries: options.maxRetries || 6,
       nextRetryAt: null,
-      lastError: null
+      lastError: null,
+      lease: null
     };
     
-    // Check for duplicate by key
-    if (options.key) {
-      const existing = this.jobs.find(j => j.payload?.key === options.key);
-      if (existing) {
-        this.logger.debug('Job already queued', { key: options.key });
-        return existing;
+    return this._mutate(() => {
+      // Check for duplicate by key
+      if (options.key) {
+        const existing = this.jobs.find(j => j.payload?.key === options.key);
+        if (existing) {
+          this.logger.debug('Job already queued', { key: options.key });
+          return existing;
+        }
+        job.payload.key = options.key;
+      }
+      
+      this.byId.set(job.id, job);
+      this._append([job]);
+      
+      this.logger.debug('Job enqueued', { id: job.id, type: job.type });
+      return job;
+    });
+  }
+
+  /**
+   * Register the handler that processes jobs of one type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job) => result; throwing fails the job
+   * @param {Object} options
+   * @param {number} options.concurrency - Jobs of this type run at once (default: 1)
+   * @param {number} options.priority - Higher runs first (default: 0)
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || 1,
+      priority: options.priority || 0
+    });
+  }
+
+  /**
+   * Get the registered handler for a job type
+   * @returns {Object|null} { handler, concurrency, priority }
+   */
+  getHandler(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  /**
+   * Get next job to process, without claiming it
+   * The oldest ready job of the highest priority type wins.
+   * @param {Object} options
+   * @param {Set} options.exclude - Job types to skip (e.g. at their concurrency limit)
+   * @param {Function} options.priority - type => priority (default: registered handler priority)
+   */
+  getNext(options = {}) {
+    this._sync();
+    return this._select(options);
+  }
+
+  /**
+   * Pick the next job (as getNext) and lease it to this process, atomically
+   * across processes
+   * @returns {Object|null} Leased job
+   */
+  claimNext(options = {}) {
+    return this._mutate(() => {
+      for (;;) {
+        const job = this._select(options);
+        if (!job) {
+          return null;
+        }
+        
+        // An expired lease means its holder crashed mid-job: that counts as an attempt
+        if (job.lease && this._reclaim(job)) {
+          continue;
+        }
+        
+        this._lease(job);
+        return job;
       }
-      job.payload.key = options.key;
+    });
+  }
+
+  /**
+   * Lease a given job to this process
+   * @returns {boolean} false if the job is gone or another process holds it
+   */
+  markProcessing(jobId) {
+    return this._mutate(() => {
+      const job = this.byId.get(jobId);
+      if (!job || (this._leaseActive(job) && job.lease.owner !== this.owner)) {
+        return false;
+      }
+      
+      this._lease(job);
+      return true;
+    });
+  }
+
+  /**
+   * Extend the leases this process holds (runs on a timer while it holds any)
+   * A lease taken over by another process is given up.
+   */
+  renewLeases() {
+    if (this.processing.size === 0) {
+      return;
     }
     
-    this.jobs.push(job);
-    
-    // Append to file
     try {
-      const dir = dirname(this.queuePath);
-      if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-      }
-      appendFileSync(this.queuePath, JSON.stringify(job) + '\n', 'utf8');
+      this._mutate(() => {
+        const renewed = [];
+        
+        for (const id of [...this.processing]) {
+          const job = this.byId.get(id);
+          if (job?.lease?.owner !== this.owner) {
+            this.logger.warn('Queue lease lost to another process', { id, owner: job?.lease?.owner || null });
+            this._release(id);
+            this.lost.add(id);
+            continue;
+          }
+          
+          job.lease.expiresAt = new Date(Date.now() + this.leaseMs).toISOString();
+          renewed.push(job);
+        }
+        
+        if (renewed.length > 0) {
+          this._append(renewed);
+        }
+      });
     } catch (error) {
-      this.logger.error('Failed to append to queue', { error: error.message });
+      this.logger.warn('Failed to renew queue leases', { error: error.message });
     }
-    
-    this.logger.debug('Job enqueued', { id: job.id, type: job.type });
-    return job;
   }
 
   /**
-   * Get next job to process
+   * Mark job as complete and remove
+   * Ignored if this process lost the job's lease meanwhile (another process owns the job now).
+   * @returns {boolean} false if the completion was stale
    */
-  getNext() {
-    const now = new Date();
-    
-    for (const job of this.jobs) {
-      if (this.processing.has(job.id)) continue;
-      
-      if (job.nextRetryAt && new Date(job.nextRetryAt) > now) {
-        continue;
+  complete(jobId) {
+    const applied = this._mutate(() => {
+      if (this._leaseLost(jobId, 'complete')) {
+        return false;
       }
+      this._release(jobId);
       
-      if (job.attempts >= job.maxRetries) {
-        continue;
+      const job = this.byId.get(jobId);
+      if (job) {
+        this.byId.delete(jobId);
+        this._remove(job);
       }
-      
-      return job;
+      return true;
+    });
+    
+    if (applied) {
+      this.logger.debug('Job completed', { id: jobId });
     }
+    return applied;
+  }
+
+  /**
+   * Mark job as failed and schedule retry
+   * Ignored if this process lost the job's lease meanwhile (another process owns the job now).
+   * @returns {boolean} false if the failure was stale
+   */
+  fail(jobId, error, backoffMs = 1000) {
+    return this._mutate(() => {
+      if (this._leaseLost(jobId, 'fail')) {
+        return false;
+      }
+      this._release(jobId);
+      
+      const job = this.byId.get(jobId);
+      if (!job) return true;
+      
+      job.lease = null;
+      job.attempts++;
+      job.lastError = error.message || String(error);
+      job.errors = [...(job.errors || []), { attempt: job.attempts, at: new Date().toISOString(), error: job.lastError }];
+      
+      if (job.attempts < job.maxRetries) {
+        const delay = backoffMs * Math.pow(2, job.attempts - 1);
+        job.nextRetryAt = new Date(Date.now() + delay).toISOString();
+        this._append([job]);
+        this.logger.debug('Job failed, will retry', {
+          id: jobId,
+          attempts: job.attempts,
+          maxRetries: job.maxRetries,
+          nextRetryAt: job.nextRetryAt
+        });
+      } else {
+        this.logger.error('Job failed permanently, moved to dead-letter queue', {
+          id: jobId,
+          attempts: job.attempts,
+          error: job.lastError
+        });
+        this._deadLetter(job);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Summaries of live and dead-lettered jobs (payloads left out)
+   * @param {Object} filter - { type, agentId, error, status } (error: case-insensitive substring)
+   * @returns {Array} [{ id, type, status, agentId, cid, attempts, lastError, errors, ... }]
+   */
+  list(filter = {}) {
+    this._sync();
+    this._syncDead();
     
-    return null;
+    const entries = [
+      ...this.jobs.map(job => [job, this._status(job)]),
+      ...this.deadJobs.map(job => [job, 'dead'])
+    ];
+    
+    return entries
+      .filter(([job, status]) => (!filter.status || status === filter.status) && matchesFilter(job, filter))
+      .map(([job, status]) => summarizeJob(job, status));
   }
 
   /**
-   * Mark job as processing
+   * One job with its error history and payload (memory documents left out)
+   * @param {string} jobId - Job ID or unique prefix
+   * @returns {Object|null}
    */
-  markProcessing(jobId) {
-    this.processing.add(jobId);
+  show(jobId) {
+    const found = this.find(jobId);
+    if (!found) {
+      return null;
+    }
+    
+    const { doc, ...payload } = found.job.payload || {};
+    return {
+      ...summarizeJob(found.job, found.dead ? 'dead' : this._status(found.job)),
+      nextRetryAt: found.job.nextRetryAt,
+      runAt: found.job.runAt || null,
+      retriedAt: found.job.retriedAt || null,
+      lease: found.job.lease || null,
+      payload: doc ? { ...payload, doc: { plaintext_sha256: doc.plaintext_sha256, date: doc.date } } : payload
+    };
   }
 
   /**
-   * Mark job as complete and remove
+   * Dead-lettered jobs, oldest failure first
+   * @param {Object} filter - { type, agentId, error }
    */
-  complete(jobId) {
-    this.processing.delete(jobId);
-    this.jobs = this.jobs.filter(j => j.id !== jobId);
-    this.save();
-    this.logger.debug('Job completed', { id: jobId });
+  listDead(filter = {}) {
+    this._syncDead();
+    return this.deadJobs.filter(job => matchesFilter(job, filter));
   }
 
   /**
-   * Mark job as failed and schedule retry
+   * Find a job by ID (or unique ID prefix), live or dead-lettered
+   * @returns {Object|null} { job, dead }
    */
-  fail(jobId, error, backoffMs = 1000) {
-    this.processing.delete(jobId);
+  find(jobId) {
+    this._sync();
+    this._syncDead();
     
-    const job = this.jobs.find(j => j.id === jobId);
-    if (!job) return;
+    const matches = [
+      ...this.jobs.filter(j => j.id.startsWith(jobId)).map(job => ({ job, dead: false })),
+      ...this.deadJobs.filter(j => j.id.startsWith(jobId)).map(job => ({ job, dead: true }))
+    ];
+    const exact = matches.find(m => m.job.id === jobId);
     
-    job.attempts++;
-    job.lastError = error.message || String(error);
-    
-    if (job.attempts < job.maxRetries) {
-      const delay = backoffMs * Math.pow(2, job.attempts - 1);
-      job.nextRetryAt = new Date(Date.now() + delay).toISOString();
-      this.logger.debug('Job failed, will retry', { 
-        id: jobId, 
-        attempts: job.attempts, 
-        maxRetries: job.maxRetries,
-        nextRetryAt: job.nextRetryAt 
-      });
-    } else {
-      this.logger.error('Job failed permanently', { 
-        id: jobId, 
-        attempts: job.attempts,
-        error: job.lastError 
-      });
+    if (exact || matches.length === 1) {
+      return exact || matches[0];
+    }
+    if (matches.length > 1) {
+      throw new Error(`Job ID ${jobId} is ambiguous (${matches.length} jobs)`);
     }
+    return null;
+  }
+
+  /**
+   * Move dead-lettered jobs back into the queue with fresh retries
+   * The error history is kept. A job whose key is queued again already is dropped instead;
+   * one whose memory document was left out stays dead-lettered.
+   * @param {string[]} jobIds
+   * @returns {Array} Requeued jobs
+   */
+  retryDead(jobIds) {
+    const ids = new Set(jobIds);
     
-    this.save();
+    const requeued = this._mutate(() => {
+      this._syncDead();
+      const jobs = [];
+      
+      for (const job of this.deadJobs.filter(j => ids.has(j.id))) {
+        if (job.payload?.documentDropped) {
+          this.logger.warn('Dead-lettered job lost its memory document, not requeued', { id: job.id, type: job.type });
+          ids.delete(job.id);
+          continue;
+        }
+        
+        const duplicate = job.payload?.key && this.jobs.some(j => j.payload?.key === job.payload.key);
+        if (!duplicate) {
+          job.attempts = 0;
+          job.nextRetryAt = null;
+          job.retriedAt = new Date().toISOString();
+          delete job.failedAt;
+          this.byId.set(job.id, job);
+          jobs.push(job);
+        }
+      }
+      
+      if (jobs.length > 0) {
+        this._append(jobs);
+      }
+      this.deadJobs = this.deadJobs.filter(j => !ids.has(j.id));
+      this._saveDead();
+      return jobs;
+    });
+    
+    this.logger.info('Dead-lettered jobs requeued', { count: requeued.length });
+    return requeued;
+  }
+
+  /**
+   * Delete dead-lettered jobs
+   * @param {string[]} jobIds
+   * @returns {number} Jobs deleted
+   */
+  dropDead(jobIds) {
+    const ids = new Set(jobIds);
+    
+    const dropped = this._mutate(() => {
+      this._syncDead();
+      const before = this.deadJobs.length;
+      
+      this.deadJobs = this.deadJobs.filter(j => !ids.has(j.id));
+      this._saveDead();
+      return before - this.deadJobs.length;
+    });
+    
+    this.logger.info('Dead-lettered jobs dropped', { count: dropped });
+    return dropped;
+  }
+
+  /**
+   * Merge updates into a job payload and persist (for resumable multi-step jobs)
+   */
+  updatePayload(jobId, updates) {
+    return this._mutate(() => {
+      const job = this.byId.get(jobId);
+      if (!job) return null;
+      
+      Object.assign(job.payload, updates);
+      this._append([job]);
+      
+      return job;
+    });
   }
 
   /**
    * Get queue size
    */
   size() {
-    return this.jobs.length;
+    this._sync();
+    return this.byId.size;
+  }
+
+  /**
+   * Count jobs scheduled ahead (enqueued with a runAt still in the future)
+   */
+  scheduledCount() {
+    this._sync();
+    const now = Date.now();
+    return this.jobs.filter(j => this._scheduled(j, now)).length;
   }
 
   /**
    * Get pending jobs count
    */
   pendingCount() {
-    const now = new Date();
-    return this.jobs.filter(j => {
-      if (this.processing.has(j.id)) return false;
-      if (j.attempts >= j.maxRetries) return false;
-      if (j.nextRetryAt && new Date(j.nextRetryAt) > now) return false;
-      return true;
-    }).length;
+    this._sync();
+    const now = Date.now();
+    return this.jobs.filter(j => this._ready(j, now)).length;
   }
 
   /**
    * Get queue statistics
    */
   getStats() {
-    const now = new Date();
+    this._sync();
+    this._syncDead();
+    
+    const now = Date.now();
     const stats = {
-      total: this.jobs.length,
+      total: this.byId.size,
       pending: 0,
-      processing: this.processing.size,
-      failed: 0,
+      processing: 0, // leased, by this or another process
+      failed: this.deadJobs.length, // dead-lettered
       waiting: 0
     };
     
     for (const job of this.jobs) {
-      if (this.processing.has(job.id)) {
-        continue; // Already counted in processing
+      stats[this._status(job, now)]++;
+    }
+    
+    return stats;
+  }
+
+  /**
+   * Status of a live job: processing (leased), waiting (retry backoff or scheduled ahead) or pending
+   * @private
+   */
+  _status(job, now = Date.now()) {
+    if (this._leaseActive(job, now)) {
+      return 'processing';
+    }
+    return (job.nextRetryAt && new Date(job.nextRetryAt).getTime() > now) || this._scheduled(job, now) ? 'waiting' : 'pending';
+  }
+
+  /**
+   * Whether a job is scheduled for later
+   * @private
+   */
+  _scheduled(job, now = Date.now()) {
+    return Boolean(job.runAt) && new Date(job.runAt).getTime() > now;
+  }
+
+  /**
+   * Whether a job can be picked up now
+   * @private
+   */
+  _ready(job, now = Date.now()) {
+    return job.attempts < job.maxRetries &&
+      !(job.nextRetryAt && new Date(job.nextRetryAt).getTime() > now) &&
+      !this._scheduled(job, now) &&
+      !this._leaseActive(job, now);
+  }
+
+  /**
+   * Whether a job is leased: unexpired, and its holder still running if on this host
+   * @private
+   */
+  _leaseActive(job, now = Date.now()) {
+    const { lease } = job;
+    if (!lease) {
+      return false;
+    }
+    if (lease.host === this.host && lease.pid !== process.pid && !isProcessAlive(lease.pid)) {
+      return false;
+    }
+    return new Date(lease.expiresAt).getTime() > now;
+  }
+
+  /**
+   * Whether this process leased a job but no longer holds the lease (it
+   * expired, or another process reclaimed it); logs and forgets it if so
+   * Jobs run without a lease (processed directly) are never stale.
+   * @param {string} outcome - 'complete' or 'fail', for the log
+   * @private
+   */
+  _leaseLost(jobId, outcome) {
+    const job = this.byId.get(jobId);
+    if (!this.processing.has(jobId) && !this.lost.has(jobId) && !job?.lease) {
+      return false;
+    }
+    if (job?.lease?.owner === this.owner && new Date(job.lease.expiresAt).getTime() > Date.now()) {
+      return false;
+    }
+    
+    this.logger.warn(`Ignoring stale job ${outcome}, lease no longer held`, { id: jobId, owner: job?.lease?.owner || null });
+    this._release(jobId);
+    this.lost.delete(jobId);
+    return true;
+  }
+
+  /**
+   * Oldest ready job of the highest priority type
+   * @private
+   */
+  _select(options = {}) {
+    const { exclude = null, priority = type => this.handlers.get(type)?.priority || 0 } = options;
+    const now = Date.now();
+    let next = null;
+    
+    for (const job of this.byId.values()) {
+      if (!this._ready(job, now) || exclude?.has(job.type)) {
+        continue;
       }
       
-      if (job.attempts >= job.maxRetries) {
-        stats.failed++;
-      } else if (job.nextRetryAt && new Date(job.nextRetryAt) > now) {
-        stats.waiting++;
+      if (!next || priority(job.type) > priority(next.type)) {
+        next = job;
+      }
+    }
+    
+    return next;
+  }
+
+  /**
+   * Take over a job whose holder crashed; dead-letters it if that was its last attempt
+   * @returns {boolean} true if the job was dead-lettered
+   * @private
+   */
+  _reclaim(job) {
+    const { owner, expiresAt } = job.lease;
+    this.logger.warn('Reclaiming expired queue lease', { id: job.id, type: job.type, owner, expiresAt });
+    
+    job.lease = null;
+    job.attempts++;
+    job.lastError = `Lease held by ${owner} expired before the job finished`;
+    job.errors = [...(job.errors || []), { attempt: job.attempts, at: new Date().toISOString(), error: job.lastError }];
+    
+    if (job.attempts >= job.maxRetries) {
+      this._deadLetter(job);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Write a lease for this process on a job (caller holds the lock)
+   * @private
+   */
+  _lease(job) {
+    job.lease = {
+      owner: this.owner,
+      host: this.host,
+      pid: process.pid,
+      expiresAt: new Date(Date.now() + this.leaseMs).toISOString()
+    };
+    this._append([job]);
+    
+    this.processing.add(job.id);
+    if (!this.renewTimer) {
+      this.renewTimer = setInterval(() => this.renewLeases(), Math.floor(this.leaseMs / 3));
+      this.renewTimer.unref?.();
+    }
+  }
+
+  /**
+   * Stop tracking a lease held by this process
+   * @private
+   */
+  _release(jobId) {
+    this.processing.delete(jobId);
+    
+    if (this.processing.size === 0 && this.renewTimer) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+  }
+
+  /**
+   * Run fn under the queue lock against the latest queue file
+   * @private
+   */
+  _mutate(fn) {
+    return this.lock.withLock(() => {
+      this._sync();
+      return fn();
+    });
+  }
+
+  /**
+   * Replay records other processes appended since the last read
+   * Starts over if the file was replaced by a compaction. Job objects
+   * already in memory are updated in place, so callers' references stay live.
+   * @private
+   */
+  _sync() {
+    let fd;
+    try {
+      fd = openSync(this.queuePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    
+    try {
+      const stat = fstatSync(fd);
+      let previous = this.byId;
+      
+      if (stat.ino !== this.log.ino || stat.size < this.log.offset) {
+        this.byId = new Map();
+        this.log = { ino: stat.ino, offset: 0, size: 0, records: 0 };
       } else {
-        stats.pending++;
+        previous = null;
+      }
+      
+      this.log.size = stat.size;
+      if (stat.size === this.log.offset) {
+        return;
       }
+      
+      const chunk = Buffer.alloc(stat.size - this.log.offset);
+      readSync(fd, chunk, 0, chunk.length, this.log.offset);
+      
+      // A line without its newline is still being written (or was torn by a crash)
+      const end = chunk.lastIndexOf(0x0a) + 1;
+      for (const line of chunk.subarray(0, end).toString('utf8').split('\n')) {
+        if (!line.trim()) continue;
+        
+        this.log.records++;
+        try {
+          this._apply(JSON.parse(line), previous);
+        } catch (err) {
+          this.logger.warn('Failed to parse queue line', { error: err.message });
+        }
+      }
+      this.log.offset += end;
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  /**
+   * Apply one queue file record
+   * @private
+   */
+  _apply(record, previous = null) {
+    if (record.op === 'remove') {
+      this.byId.delete(record.id);
+      return;
     }
     
-    return stats;
+    const job = this.byId.get(record.id) || previous?.get(record.id);
+    this.byId.set(record.id, job ? Object.assign(job, record) : record);
+  }
+
+  /**
+   * Append records to the queue file (caller holds the lock and has synced)
+   * @private
+   */
+  _append(records) {
+    const dir = dirname(this.queuePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    
+    // Start on a fresh line after a record torn by a crashed writer
+    const torn = this.log.size > this.log.offset ? '\n' : '';
+    appendFileSync(this.queuePath, torn + records.map(r => JSON.stringify(r) + '\n').join(''), 'utf8');
+    
+    const stat = statSync(this.queuePath);
+    this.log = { ino: stat.ino, offset: stat.size, size: stat.size, records: this.log.records + records.length };
+    
+    if (this.log.records >= COMPACT_MIN_RECORDS && this.log.records > 4 * this.byId.size) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Move a job to the dead-letter file (caller holds the lock)
+   * @private
+   */
+  _deadLetter(job) {
+    this.byId.delete(job.id);
+    job.failedAt = new Date().toISOString();
+    job.nextRetryAt = null;
+    job.lease = null;
+    
+    this._syncDead();
+    const dead = withoutDocument(job);
+    if (dead !== job) {
+      this.logger.warn('Memory document of dead-lettered job discarded', { id: job.id, key: job.payload.key || null });
+    }
+    this.deadJobs.push(dead);
+    
+    try {
+      appendFileSync(this.deadLetterPath, JSON.stringify(dead) + '\n', 'utf8');
+      this.deadStamp = fileStamp(this.deadLetterPath);
+    } catch (error) {
+      this.logger.error('Failed to append to dead-letter queue', { error: error.message });
+    }
+    
+    this._remove(job);
+  }
+
+  /**
+   * Log the removal of a job (caller holds the lock and has dropped it from byId)
+   * A memory document would otherwise stay readable in the job's earlier
+   * records, so those are compacted away at once.
+   * @private
+   */
+  _remove(job) {
+    this._append([{ op: 'remove', id: job.id }]);
+    
+    if (job.payload?.doc && this.log.records > this.byId.size) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Re-read the dead-letter file if another process changed it
+   * @private
+   */
+  _syncDead() {
+    const stamp = fileStamp(this.deadLetterPath);
+    const last = this.deadStamp;
+    if (stamp && last && stamp.mtimeMs === last.mtimeMs && stamp.ino === last.ino && stamp.size === last.size) {
+      return;
+    }
+    
+    this.deadJobs = readJobs(this.deadLetterPath, this.logger);
+    this.deadStamp = stamp;
+  }
+
+  /**
+   * Rewrite the dead-letter file (caller holds the lock)
+   * @private
+   */
+  _saveDead() {
+    this.deadJobs = this.deadJobs.map(withoutDocument);
+    writeAtomic(this.deadLetterPath, this.deadJobs.map(job => JSON.stringify(job) + '\n').join(''));
+    this.deadStamp = fileStamp(this.deadLetterPath);
   }
 
   /**
@@ -230,3 +858,89 @@ export class Queue {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 }
+
+/**
+ * { mtimeMs, ino, size } of a file, or null if it does not exist
+ */
+function fileStamp(path) {
+  try {
+    const { mtimeMs, ino, size } = statSync(path);
+    return { mtimeMs, ino, size };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Job with its memory document (plaintext) left out, for the dead-letter file
+ */
+function withoutDocument(job) {
+  if (!job.payload?.doc) {
+    return job;
+  }
+  
+  const payload = { ...job.payload, documentDropped: true };
+  delete payload.doc;
+  return { ...job, payload };
+}
+
+/**
+ * Read a JSONL job file, skipping unparseable lines
+ */
+function readJobs(path, logger) {
+  if (!existsSync(path)) {
+    return [];
+  }
+  
+  const jobs = [];
+  for (const line of readFileSync(path, 'utf8').split('\n').filter(l => l.trim())) {
+    try {
+      jobs.push(JSON.parse(line));
+    } catch (err) {
+      logger.warn('Failed to parse queue line', { error: err.message, path });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Whether a job matches a { type, agentId, error } filter
+ */
+function matchesFilter(job, filter = {}) {
+  if (filter.type && job.type !== filter.type) {
+    return false;
+  }
+  if (filter.agentId && (job.payload?.agentId || job.payload?.doc?.agent_id) !== filter.agentId) {
+    return false;
+  }
+  if (filter.error) {
+    const needle = filter.error.toLowerCase();
+    const errors = [job.lastError, ...(job.errors || []).map(e => e.error)];
+    if (!errors.some(e => e?.toLowerCase().includes(needle))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Job without its (possibly large, plaintext) payload, for listings and tools
+ */
+function summarizeJob(job, status) {
+  const { payload = {} } = job;
+  
+  return {
+    id: job.id,
+    type: job.type,
+    status,
+    agentId: payload.agentId || payload.doc?.agent_id || null,
+    cid: payload.cid || null,
+    date: payload.date || null,
+    attempts: job.attempts,
+    maxRetries: job.maxRetries,
+    createdAt: job.createdAt,
+    failedAt: job.failedAt || null,
+    lastError: job.lastError,
+    errors: job.errors || []
+  };
+}
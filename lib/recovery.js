@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Disaster recovery for local State
+ * Rebuilds chain heads, branches and cyberdyne profile pointers from the
+ * vault listing when state.json is lost. Every memory and profile object is
+ * decrypted, the memory DAG is rebuilt per agent, and each branch head is the
+ * newest document on that branch that no later document of the branch links to.
+ * Anything ambiguous (forks, orphans, unreadable objects) is reported so a
+ * human can pick the right head before the state is written.
+ */
+
+import { VaultApi } from './vaultApi.js';
+import { IpfsFetcher } from './ipfsFetch.js';
+import { decryptPayload, sha256 } from './cryptoBox.js';
+import { parallelLimit } from './util.js';
+import { fromTOON } from './toon.js';
+import { KeyStore } from './keyStore.js';
+import { buildChain } from './chain.js';
+
+const PROFILE_PREFIX = 'cyberdyne/';
+const DEFAULT_BRANCH = 'main';
+
+export class StateRecovery {
+  constructor(config, logger, metrics, state) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.state = state;
+
+    this.vaultApi = new VaultApi(config.baseUrl, logger, metrics);
+    this.ipfsFetcher = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
+    this.keyStore = new KeyStore(config.keyStorePath, logger);
+  }
+
+  /**
+   * Scan the vault and reconstruct state without writing it
+   * @param {Object} options
+   * @param {string[]} options.heads - CIDs to use as head where a branch has forked
+   * @returns {Promise<Object>} { wallet, agents, profiles, unreadable, derivationMsg }
+   */
+  async scan(options = {}) {
+    const { heads = [] } = options;
+    const wallet = this.config.walletPubkey;
+    const files = await this.vaultApi.listFiles(wallet);
+
+    const memoryFiles = files.filter(f => f.filename?.startsWith(this.config.memoryPrefix));
+    const profileFiles = files.filter(f => f.filename?.startsWith(PROFILE_PREFIX));
+
+    this.logger.info('Recovering state from vault', {
+      wallet,
+      memories: memoryFiles.length,
+      profiles: profileFiles.length
+    });
+
+    const unreadable = [];
+    const decrypt = async (file) => {
+      try {
+        return { file, ...(await this._fetch(file.cid, wallet)) };
+      } catch (error) {
+        // Shredded memories are expected here; their tombstones stand in for them
+        unreadable.push({ cid: file.cid, filename: file.filename, error: error.message });
+        return null;
+      }
+    };
+
+    const memories = (await parallelLimit(memoryFiles, this.config.fetchConcurrency, decrypt)).filter(Boolean);
+    const profiles = (await parallelLimit(profileFiles, this.config.fetchConcurrency, decrypt)).filter(Boolean);
+
+    const agents = this._recoverAgents(memories, wallet, heads);
+
+    // Key rotation records its derivation message in State only
+    const mainHead = agents.find(a => a.agentId === this.config.agentId)?.state.lastCid;
+    const headPayload = memories.find(m => m.file.cid === mainHead)?.payload;
+
+    return {
+      wallet,
+      agents,
+      profiles: await this._recoverProfiles(profiles, wallet),
+      unreadable,
+      derivationMsg: headPayload?.derivationMsg && headPayload.derivationMsg !== this.config.derivationMsg
+        ? headPayload.derivationMsg
+        : null
+    };
+  }
+
+  /**
+   * Write a scanned result to State
+   * @param {Object} result - From scan()
+   * @param {Object} options
+   * @param {boolean} options.force - Replace agents that already have a head in State
+   * @returns {string[]} Agent keys written
+   */
+  apply(result, options = {}) {
+    const { force = false } = options;
+    const entries = [
+      ...result.agents.map(a => ({ wallet: result.wallet, agentId: a.agentId, state: a.state })),
+      ...result.profiles.map(p => ({ wallet: p.wallet, agentId: `cyberdyne:${p.telegramId}`, state: p.state }))
+    ];
+
+    return this.state.transaction(data => {
+      const existing = entries.filter(e => data.agents[`${e.wallet}:${e.agentId}`]?.lastCid);
+      if (existing.length > 0 && !force) {
+        throw new Error(`State already has heads for ${existing.map(e => e.agentId).join(', ')}; use --force to replace them`);
+      }
+
+      for (const entry of entries) {
+        data.agents[`${entry.wallet}:${entry.agentId}`] = entry.state;
+      }
+      if (result.derivationMsg) {
+        data.derivationMsg = result.derivationMsg;
+      }
+
+      return entries.map(e => `${e.wallet}:${e.agentId}`);
+    });
+  }
+
+  /**
+   * Fetch and decrypt one vault object
+   * @private
+   */
+  async _fetch(cid, wallet) {
+    const payload = JSON.parse(await this.ipfsFetcher.fetch(cid));
+    const plaintext = await decryptPayload(
+      payload,
+      this.config.walletSecretKeyBase58,
+      this.config.cacheKeyTtlMs,
+      { keyStore: this.keyStore, context: { wallet } }
+    );
+
+    return { payload, plaintext };
+  }
+
+  /**
+   * Rebuild per-agent chain heads and branch tables
+   * @private
+   */
+  _recoverAgents(memories, wallet, preferred) {
+    const byAgent = new Map();
+
+    for (const { file, plaintext } of memories) {
+      const doc = plaintext.startsWith('@aegismemory') ? fromTOON(plaintext) : JSON.parse(plaintext);
+      if (doc.wallet !== wallet) continue;
+      doc.cid = file.cid;
+      doc.uploadedAt = file.timestamp || null;
+
+      if (!byAgent.has(doc.agent_id)) {
+        byAgent.set(doc.agent_id, []);
+      }
+      byAgent.get(doc.agent_id).push(doc);
+    }
+
+    return [...byAgent.entries()].map(([agentId, docs]) => this._recoverAgent(agentId, docs, preferred));
+  }
+
+  /**
+   * Rebuild one agent: DAG, branch heads, forks and orphans
+   * @private
+   */
+  _recoverAgent(agentId, docs, preferred = []) {
+    const chain = buildChain(docs);
+    const byCid = new Map(chain.map(entry => [entry.cid, entry]));
+    const uploadedAt = new Map(docs.map(doc => [doc.cid, doc.uploadedAt]));
+
+    // Chosen heads first, then newest; a re-upload of the same moment (key rotation) wins by upload time
+    const newest = (a, b) => (preferred.includes(b.cid) - preferred.includes(a.cid)) ||
+      (new Date(b.timestamp) - new Date(a.timestamp)) ||
+      (new Date(uploadedAt.get(b.cid) || 0) - new Date(uploadedAt.get(a.cid) || 0));
+
+    // Legacy documents, older tombstones and forgotten stubs carry no branch: they belong to main
+    const branchOf = entry => entry.branch || DEFAULT_BRANCH;
+    const branchNames = [...new Set(chain.map(branchOf))];
+
+    const forks = [];
+    const branches = {};
+
+    for (const name of branchNames) {
+      const onBranch = chain.filter(entry => branchOf(entry) === name);
+      const linked = new Set(onBranch.flatMap(entry => entry.prev_cids));
+      const heads = onBranch.filter(entry => !linked.has(entry.cid)).sort(newest);
+
+      if (heads.length > 1) {
+        forks.push({ branch: name, heads: heads.map(entry => entry.cid), chosen: heads[0].cid });
+      }
+
+      const head = heads[0];
+      const lineage = this._ancestors(head.cid, byCid).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      // Fork point: newest ancestor written on another branch
+      const forkEntry = lineage.filter(entry => branchOf(entry) !== name).pop();
+
+      branches[name] = {
+        lastCid: head.cid,
+        lastPlaintextSha256: head.plaintext_sha256,
+        cids: lineage.map(entry => ({
+          cid: entry.cid,
+          timestamp: new Date(entry.timestamp).getTime(),
+          sha256: entry.plaintext_sha256,
+          prevSha256: entry.prev_plaintext_sha256 ?? null
+        })),
+        ...(name !== DEFAULT_BRANCH && {
+          createdAt: new Date(onBranch[0].timestamp).getTime(),
+          createdFrom: forkEntry ? branchOf(forkEntry) : DEFAULT_BRANCH,
+          forkCid: forkEntry?.cid || null
+        })
+      };
+    }
+
+    // Orphans link to a parent that is not in the vault (and was not forgotten)
+    const orphans = chain
+      .filter(entry => entry.prev_cids.some(cid => !byCid.has(cid)))
+      .map(entry => ({ cid: entry.cid, missing: entry.prev_cids.filter(cid => !byCid.has(cid)) }));
+
+    const main = branches[DEFAULT_BRANCH] || { lastCid: null, lastPlaintextSha256: null, cids: [] };
+    if (!branches[DEFAULT_BRANCH]) {
+      branches[DEFAULT_BRANCH] = main;
+    }
+
+    return {
+      agentId,
+      documents: chain.length,
+      forks,
+      orphans,
+      breaks: chain.filter(entry => !entry.valid && !orphans.some(o => o.cid === entry.cid))
+        .map(entry => ({ cid: entry.cid, errors: entry.errors })),
+      state: {
+        lastCid: main.lastCid,
+        lastPlaintextSha256: main.lastPlaintextSha256,
+        // Anchor transactions are not in the vault; the next daily anchor runs as usual
+        lastAnchoredDate: null,
+        branches,
+        currentBranch: DEFAULT_BRANCH
+      }
+    };
+  }
+
+  /**
+   * All documents reachable from cid through parent links
+   * @private
+   */
+  _ancestors(cid, byCid) {
+    const seen = new Map();
+    const stack = [cid];
+
+    while (stack.length > 0) {
+      const entry = byCid.get(stack.pop());
+      if (!entry || seen.has(entry.cid)) continue;
+
+      seen.set(entry.cid, entry);
+      stack.push(...entry.prev_cids);
+    }
+
+    return [...seen.values()];
+  }
+
+  /**
+   * Rebuild cyberdyne profile pointers (latest version per telegram ID)
+   * @private
+   */
+  async _recoverProfiles(profiles, wallet) {
+    const byTelegramId = new Map();
+
+    for (const { file, plaintext } of profiles) {
+      let profile;
+      try {
+        profile = plaintext.startsWith('@cyberdyne')
+          ? (await import('./cyberdyne/profileToon.js')).profileFromTOON(plaintext)
+          : JSON.parse(plaintext);
+      } catch (error) {
+        this.logger.warn('Skipping unparseable profile', { cid: file.cid, error: error.message });
+        continue;
+      }
+
+      const telegramId = profile.identity?.telegram_id;
+      if (telegramId === undefined) continue;
+
+      if (!byTelegramId.has(telegramId)) {
+        byTelegramId.set(telegramId, []);
+      }
+      byTelegramId.get(telegramId).push({ cid: file.cid, profile, plaintext });
+    }
+
+    return [...byTelegramId.entries()].map(([telegramId, versions]) => {
+      // Head: highest version that no other version names as previous_cid
+      const previous = new Set(versions.map(v => v.profile.metadata?.previous_cid).filter(Boolean));
+      const heads = versions
+        .filter(v => !previous.has(v.cid))
+        .sort((a, b) => (b.profile.version || 1) - (a.profile.version || 1));
+      const { cid, profile, plaintext } = heads[0] || versions[0];
+
+      return {
+        telegramId,
+        wallet: profile.identity.wallet || wallet,
+        versions: versions.length,
+        forks: heads.length > 1 ? heads.map(v => v.cid) : [],
+        state: {
+          lastCid: cid,
+          lastPlaintextSha256: sha256(plaintext),
+          lastAnchoredDate: null,
+          metadata: {
+            telegram_id: telegramId,
+            username: profile.identity.username,
+            score: profile.reputation?.score,
+            rank: profile.reputation?.rank,
+            tier: profile.reputation?.tier,
+            version: profile.version,
+            created_at: profile.created_at,
+            updated_at: profile.updated_at
+          }
+        }
+      };
+    });
+  }
+}
@@ -1,4 +1,4 @@
-import { Connection, Keypair, Transaction, TransactionInstruction, sendAndConfirmTransaction } from '@solana/web3.js';
+import { Connection, Keypair, PublicKey, Transaction, TransactionInstruction, sendAndConfirmTransaction } from '@solana/web3.js';
 import bs58 from 'bs58';
 import { retry, isRetryableError, withTimeout } from './util.js';
 
@@ -46,6 +46,26 @@ export class RpcClient {
     this.logger.warn('Switched to fallback RPC', { rpcUrl: this.rpcUrl, index: this.currentRpcIndex });
   }
 
+  /**
+   * Check every RPC endpoint (current slot)
+   * @returns {Promise<Array>} [{ url, ok, slot, latencyMs, error }]
+   */
+  async checkHealth(timeoutMs = 5000) {
+    return Promise.all(this.rpcUrls.map(async (url) => {
+      const startTime = Date.now();
+      try {
+        const slot = await withTimeout(
+          () => new Connection(url, 'confirmed').getSlot(),
+          timeoutMs,
+          new Error(`Timeout after ${timeoutMs}ms`)
+        );
+        return { url, ok: true, slot, latencyMs: Date.now() - startTime, error: null };
+      } catch (error) {
+        return { url, ok: false, slot: null, latencyMs: Date.now() - startTime, error: error.message };
+      }
+    }));
+  }
+
   /**
    * Rate limit requests
    */
@@ -181,6 +201,75 @@ export class RpcClient {
     );
   }
 
+  /**
+   * Get recent prioritization fees (micro-lamports per compute unit, per slot)
+   * @param {PublicKey[]} accounts - Writable accounts the transaction will lock
+   */
+  async getRecentPrioritizationFees(accounts = [], maxRetries = 3) {
+    await this._rateLimit();
+    
+    return await retry(
+      async () => {
+        return await this.connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts });
+      },
+      {
+        maxRetries,
+        shouldRetry: isRetryableError,
+        onRetry: (error, attempt, backoffMs) => {
+          this.logger.warn('Get prioritization fees retry', { attempt, backoffMs, error: error.message });
+        }
+      }
+    );
+  }
+
+  /**
+   * Get account balance in lamports
+   * @param {PublicKey|string} address
+   */
+  async getBalance(address, maxRetries = 3) {
+    await this._rateLimit();
+    
+    const pubkey = typeof address === 'string' ? new PublicKey(address) : address;
+    
+    return await retry(
+      async () => {
+        return await this.connection.getBalance(pubkey, 'confirmed');
+      },
+      {
+        maxRetries,
+        shouldRetry: isRetryableError,
+        onRetry: (error, attempt, backoffMs) => {
+          this.logger.warn('Get balance retry', { address: pubkey.toBase58(), attempt, backoffMs, error: error.message });
+        }
+      }
+    );
+  }
+
+  /**
+   * Get one page of signatures for an address, newest first
+   * Each entry carries the transaction's memo ("[len] text; ..." or null).
+   * @param {PublicKey|string} address
+   * @param {Object} options - { before, until, limit } (limit max 1000)
+   */
+  async getSignaturesForAddress(address, options = {}, maxRetries = 3) {
+    await this._rateLimit();
+    
+    const pubkey = typeof address === 'string' ? new PublicKey(address) : address;
+    
+    return await retry(
+      async () => {
+        return await this.connection.getSignaturesForAddress(pubkey, options, 'confirmed');
+      },
+      {
+        maxRetries,
+        shouldRetry: isRetryableError,
+        onRetry: (error, attempt, backoffMs) => {
+          this.logger.warn('Get signatures retry', { address: pubkey.toBase58(), attempt, backoffMs, error: error.message });
+        }
+      }
+    );
+  }
+
   /**
    * Create keypair from base58 secret key
    */
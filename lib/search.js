@@ -7,12 +7,13 @@ import { decryptPayload } from './cryptoBox.js';
 import { fromTOON } from './toon.js';
 
 export class SemanticSearch {
-  constructor(config, embeddings, vectorDB, ipfsFetch, logger = console) {
+  constructor(config, embeddings, vectorDB, ipfsFetch, logger = console, keyStore = null) {
     this.config = config;
     this.embeddings = embeddings;
     this.vectorDB = vectorDB;
     this.ipfsFetch = ipfsFetch;
     this.logger = logger;
+    this.keyStore = keyStore; // Shred keys of shreddable memories
   }
 
   /**
@@ -96,13 +97,14 @@ export class SemanticSearch {
    */
   async _fetchMemory(cid) {
     // Fetch from IPFS
-    const encrypted = await this.ipfsFetch.fetch(cid);
+    const encrypted = JSON.parse(await this.ipfsFetch.fetch(cid));
 
     // Decrypt
     const plaintext = await decryptPayload(
       encrypted,
       this.config.walletSecretKeyBase58,
-      'IPFS_ENCRYPTION_KEY_V1'
+      this.config.cacheKeyTtlMs,
+      { keyStore: this.keyStore }
     );
 
     // Parse (JSON or TOON)
@@ -181,6 +183,9 @@ export class SemanticSearch {
       // Store in vector DB
       await this.vectorDB.add(cid, embedding, {
         agent_id: agentId,
+        branch: memory.branch || 'main',
+        date: memory.date || null,
+        tags: memory.content?.tags || [],
         timestamp: memory.timestamp,
         prev_cid: memory.prev_cid || null,
         plaintext_sha256: memory.plaintext_sha256
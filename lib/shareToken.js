@@ -1,78 +1,140 @@
 /**
  * @fileoverview Share token generation and parsing
- * Format: aegis://CID/WALLET/ENCRYPTED_KEY
+ * Format (v2): aegis://v2/CID/SENDER_WALLET/RECIPIENT_WALLET/WRAPPED_KEY
+ *
+ * The token carries only a per-memory content key, wrapped with a key derived
+ * via X25519 from the sender's and recipient's ed25519 wallet keys. The sender's
+ * wallet secret never leaves the sender.
  */
 
-import { createEncryptedPayload, decryptPayload } from './cryptoBox.js';
+import { deriveSharedKey, wrapKey, unwrapKey } from './cryptoBox.js';
+
+const TOKEN_PREFIX = 'aegis://';
+
+/**
+ * Build HKDF info binding the wrapped key to this CID and both parties
+ */
+function shareInfo(cid, senderWallet, recipientWallet) {
+  return `aegis-share-v2|${cid}|${senderWallet}|${recipientWallet}`;
+}
 
 /**
- * Generate a share token for a memory CID
+ * Detect share token type
+ * @param {string} token - Share token
+ * @returns {string} 'v2', 'v1' (legacy, embeds sender secret) or 'simple'
+ */
+export function getShareTokenType(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    throw new Error('Invalid share token format');
+  }
+
+  const parts = token.slice(TOKEN_PREFIX.length).split('/');
+
+  if (parts[0] === 'v2' && parts.length === 5) {
+    return 'v2';
+  }
+  if (parts.length === 3) {
+    return 'v1';
+  }
+  if (parts.length === 2) {
+    return 'simple';
+  }
+
+  throw new Error('Invalid share token structure');
+}
+
+/**
+ * Generate a recipient-bound share token for a memory CID
  * @param {string} cid - IPFS CID to share
  * @param {string} walletPubkey - Sharing agent's wallet
- * @param {string} walletSecretKeyBase58 - Sharing agent's secret key
+ * @param {string} walletSecretKeyBase58 - Sharing agent's secret key (used for key agreement only)
  * @param {string} recipientWallet - Recipient's wallet address
+ * @param {Buffer} contentKey - 32-byte key that decrypts the memory at `cid`
  * @returns {Promise<string>} Share token
  */
-export async function generateShareToken(cid, walletPubkey, walletSecretKeyBase58, recipientWallet) {
-  // Encrypt the wallet secret for the recipient
-  // In a real system, you'd use the recipient's public key
-  // For now, we'll encrypt with our own key (recipient needs to know the derivation)
-  const encryptedKey = await createEncryptedPayload(
-    walletSecretKeyBase58,
-    walletPubkey,
+export async function generateShareToken(cid, walletPubkey, walletSecretKeyBase58, recipientWallet, contentKey) {
+  if (!recipientWallet) {
+    throw new Error('Recipient wallet is required for a share token');
+  }
+  if (!contentKey || contentKey.length !== 32) {
+    throw new Error('A 32-byte content key is required for a share token');
+  }
+
+  const wrappingKey = deriveSharedKey(
     walletSecretKeyBase58,
-    'SHARE_TOKEN_V1'
+    recipientWallet,
+    shareInfo(cid, walletPubkey, recipientWallet)
   );
+  const wrapped = Buffer.from(wrapKey(contentKey, wrappingKey), 'base64').toString('base64url');
 
-  // Encode the encrypted key as base64
-  const keyB64 = Buffer.from(JSON.stringify(encryptedKey)).toString('base64url');
-
-  // Build token: aegis://CID/WALLET/KEY
-  const token = `aegis://${cid}/${walletPubkey}/${keyB64}`;
-
-  return token;
+  return `${TOKEN_PREFIX}v2/${cid}/${walletPubkey}/${recipientWallet}/${wrapped}`;
 }
 
 /**
  * Parse a share token
  * @param {string} token - Share token to parse
- * @returns {Object} Parsed token {cid, wallet, encryptedKey}
+ * @returns {Object} Parsed token {version, cid, wallet, recipient, wrappedKey}
  */
 export function parseShareToken(token) {
-  if (!token.startsWith('aegis://')) {
-    throw new Error('Invalid share token format');
+  const type = getShareTokenType(token);
+  const parts = token.slice(TOKEN_PREFIX.length).split('/');
+
+  if (type === 'v1') {
+    const [cid, wallet] = parts;
+    return { version: 1, cid, wallet, recipient: null, wrappedKey: null };
   }
 
-  const parts = token.replace('aegis://', '').split('/');
-  if (parts.length !== 3) {
+  if (type !== 'v2') {
     throw new Error('Invalid share token structure');
   }
 
-  const [cid, wallet, keyB64] = parts;
-
-  // Decode the encrypted key
-  const encryptedKey = JSON.parse(Buffer.from(keyB64, 'base64url').toString());
+  const [, cid, wallet, recipient, wrappedB64] = parts;
 
   return {
+    version: 2,
     cid,
     wallet,
-    encryptedKey
+    recipient,
+    wrappedKey: Buffer.from(wrappedB64, 'base64url').toString('base64')
   };
 }
 
 /**
- * Decrypt a share token's key
+ * Unwrap the content key from a share token
  * @param {string} token - Share token
  * @param {string} walletSecretKeyBase58 - Recipient's wallet secret
- * @returns {Promise<string>} Decrypted wallet secret
+ * @param {string} walletPubkey - Recipient's wallet (checked against the token)
+ * @returns {Promise<Object>} {cid, wallet, contentKey}
  */
-export async function decryptShareToken(token, walletSecretKeyBase58) {
-  const { encryptedKey } = parseShareToken(token);
-  
-  // Decrypt the shared key
-  const sharedKey = await decryptPayload(encryptedKey, walletSecretKeyBase58);
-  
-  return sharedKey;
+export async function decryptShareToken(token, walletSecretKeyBase58, walletPubkey = null) {
+  const parsed = parseShareToken(token);
+
+  if (parsed.version === 1) {
+    throw new Error('Legacy v1 share tokens are no longer accepted, ask the sender to share again');
+  }
+
+  if (walletPubkey && parsed.recipient !== walletPubkey) {
+    throw new Error(`Share token is addressed to ${parsed.recipient}, not ${walletPubkey}`);
+  }
+
+  const wrappingKey = deriveSharedKey(
+    walletSecretKeyBase58,
+    parsed.wallet,
+    shareInfo(parsed.cid, parsed.wallet, parsed.recipient)
+  );
+
+  let contentKey;
+  try {
+    contentKey = unwrapKey(parsed.wrappedKey, wrappingKey);
+  } catch (error) {
+    throw new Error('Failed to unwrap share token key (wrong recipient or tampered token)');
+  }
+
+  return {
+    cid: parsed.cid,
+    wallet: parsed.wallet,
+    contentKey
+  };
 }
 
 /**
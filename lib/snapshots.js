@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Encrypted State snapshots backed up to the vault
+ * A STATE_SNAPSHOT job encrypts the State data (chain heads, branch tables,
+ * derivation message) and the permission registry with the wallet key and
+ * uploads it under the `state/` prefix. Snapshots link to the previous one
+ * through prev_cid/prev_plaintext_sha256 like memories, so any earlier state
+ * can be restored; a restore is itself followed by a new snapshot.
+ */
+
+import { VaultApi } from './vaultApi.js';
+import { IpfsFetcher } from './ipfsFetch.js';
+import { createEncryptedPayload, decryptPayload, sha256 } from './cryptoBox.js';
+import { canonicalStringify } from './util.js';
+import { PermissionRegistry } from './permissions.js';
+
+export const SNAPSHOT_JOB_TYPE = 'STATE_SNAPSHOT';
+export const SNAPSHOT_SCHEMA = 'aegismemory.state-snapshot.v1';
+export const SNAPSHOT_PREFIX = 'state/';
+
+export class StateSnapshots {
+  constructor(config, logger, metrics, state, queue) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.state = state;
+    this.queue = queue;
+
+    this.vaultApi = new VaultApi(config.baseUrl, logger, metrics);
+    this.ipfsFetcher = new IpfsFetcher(config.ipfsGatewayUrls, logger, metrics);
+    this.permissions = new PermissionRegistry(config, logger);
+  }
+
+  /**
+   * Enqueue a snapshot job if the last snapshot (or the last check that found
+   * state unchanged) is older than snapshotIntervalMs
+   * @returns {Object|null} Snapshot job, or null if not due
+   */
+  schedule(now = Date.now()) {
+    const interval = this.config.snapshotIntervalMs;
+    if (!interval) {
+      return null;
+    }
+
+    const last = this.state.getSnapshot();
+    const lastRun = last && Math.max(new Date(last.createdAt).getTime(), new Date(last.checkedAt || 0).getTime());
+    if (last && now - lastRun < interval) {
+      return null;
+    }
+
+    return this.queue.enqueue(SNAPSHOT_JOB_TYPE, {}, {
+      key: `snapshot:${Math.floor(now / interval)}`,
+      maxRetries: this.config.maxRetries
+    });
+  }
+
+  /**
+   * Register the STATE_SNAPSHOT handler on the queue
+   */
+  registerJobHandlers(queue = this.queue) {
+    queue.registerHandler(SNAPSHOT_JOB_TYPE, job => this.processSnapshotJob(job));
+  }
+
+  /**
+   * Process STATE_SNAPSHOT job
+   * @returns {Promise<Object>} { cid, skipped }
+   */
+  async processSnapshotJob(_job) {
+    return this.snapshot();
+  }
+
+  /**
+   * Encrypt current State and permissions and upload them as the next snapshot
+   * Unchanged state is not uploaded again, only the check time is recorded.
+   * @returns {Promise<Object>} { cid, skipped }
+   */
+  async snapshot() {
+    const wallet = this.config.walletPubkey;
+    const content = {
+      state: this.state.getSnapshotData(),
+      permissions: await this.permissions.export()
+    };
+    const stateSha256 = sha256(canonicalStringify(content));
+
+    const last = this.state.getSnapshot();
+    if (last?.stateSha256 === stateSha256) {
+      this.logger.debug('State unchanged since last snapshot', { cid: last.lastCid });
+      this.state.setSnapshot({ ...last, checkedAt: new Date().toISOString() });
+      return { cid: last.lastCid, skipped: true };
+    }
+
+    const doc = {
+      schema: SNAPSHOT_SCHEMA,
+      wallet,
+      timestamp: new Date().toISOString(),
+      prev_cid: last?.lastCid || null,
+      prev_plaintext_sha256: last?.lastPlaintextSha256 || null,
+      plaintext_sha256: null,
+      state_sha256: stateSha256,
+      content
+    };
+    doc.plaintext_sha256 = sha256(canonicalStringify(doc));
+
+    const plaintext = canonicalStringify(doc);
+    const payload = await createEncryptedPayload(
+      plaintext,
+      wallet,
+      this.config.walletSecretKeyBase58,
+      this.state.getDerivationMsg() || this.config.derivationMsg,
+      this.config.cacheKeyTtlMs,
+      { context: doc, compression: this.config.compression }
+    );
+
+    const result = await this.vaultApi.add(
+      payload,
+      `${SNAPSHOT_PREFIX}snapshot-${doc.timestamp.replace(/[:.]/g, '-')}.json`,
+      wallet,
+      plaintext,
+      this.config.maxRetries
+    );
+    const cid = result.cid || result.Hash;
+
+    this.state.setSnapshot({
+      lastCid: cid,
+      lastPlaintextSha256: doc.plaintext_sha256,
+      stateSha256,
+      createdAt: doc.timestamp
+    });
+
+    this.metrics.inc('snapshot.uploaded');
+    this.logger.info('State snapshot uploaded', { cid, agents: Object.keys(content.state.agents).length });
+
+    return { cid, skipped: false };
+  }
+
+  /**
+   * List snapshots in the vault, newest first
+   * @returns {Promise<Array>} Vault files ({ cid, filename, timestamp })
+   */
+  async list() {
+    const files = await this.vaultApi.listFiles(this.config.walletPubkey);
+
+    return files
+      .filter(f => f.filename?.startsWith(SNAPSHOT_PREFIX))
+      .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+  }
+
+  /**
+   * Fetch, decrypt and verify a snapshot
+   * @param {string} cid - Snapshot CID, or 'latest'
+   * @returns {Promise<Object>} Snapshot document (with cid)
+   */
+  async fetch(cid) {
+    if (cid === 'latest') {
+      const [latest] = await this.list();
+      if (!latest) {
+        throw new Error('No state snapshots found in the vault');
+      }
+      cid = latest.cid;
+    }
+
+    const payload = JSON.parse(await this.ipfsFetcher.fetch(cid));
+    const plaintext = await decryptPayload(
+      payload,
+      this.config.walletSecretKeyBase58,
+      this.config.cacheKeyTtlMs,
+      { context: { wallet: this.config.walletPubkey, schema: SNAPSHOT_SCHEMA } }
+    );
+    const doc = JSON.parse(plaintext);
+
+    if (doc.schema !== SNAPSHOT_SCHEMA) {
+      throw new Error(`${cid} is not a state snapshot (schema ${doc.schema})`);
+    }
+    if (sha256(canonicalStringify({ ...doc, plaintext_sha256: null })) !== doc.plaintext_sha256) {
+      throw new Error(`Snapshot ${cid} failed its plaintext hash check`);
+    }
+
+    return { ...doc, cid };
+  }
+
+  /**
+   * Replace State and permissions with a snapshot
+   * The snapshot chain head is kept, so the next snapshot records the rollback.
+   * @param {string} cid - Snapshot CID, or 'latest'
+   * @returns {Promise<Object>} { cid, timestamp, agents, permissions }
+   */
+  async restore(cid) {
+    const doc = await this.fetch(cid);
+    const { state, permissions } = doc.content;
+
+    this.state.transaction(data => {
+      data.version = state.version || 1;
+      data.agents = state.agents || {};
+      data.derivationMsg = state.derivationMsg || null;
+
+      // Lost state: continue the chain from the restored snapshot
+      if (!data.snapshot) {
+        data.snapshot = {
+          lastCid: doc.cid,
+          lastPlaintextSha256: doc.plaintext_sha256,
+          stateSha256: doc.state_sha256,
+          createdAt: doc.timestamp
+        };
+      }
+    });
+    await this.permissions.restore(permissions);
+
+    this.logger.info('State restored from snapshot', { cid: doc.cid, timestamp: doc.timestamp });
+
+    return {
+      cid: doc.cid,
+      timestamp: doc.timestamp,
+      agents: Object.keys(state.agents || {}).length,
+      permissions: Object.keys(permissions || {}).length
+    };
+  }
+}
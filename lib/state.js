@@ -1,56 +1,180 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { readFileSync, existsSync, unlinkSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { FileLock, writeDurable, writeAtomic } from './fileLock.js';
 
 /**
  * Durable state management
  * Stores: lastCid, lastPlaintextSha256, lastAnchoredDate per wallet+agent_id
+ *
+ * The plugin and the CLI share one state file, so every write is a
+ * transaction: take the advisory lock (`<state>.lock`), re-read the file,
+ * apply the change, record it in a write-ahead journal (`<state>.journal`),
+ * then replace the file with an atomic write-rename. A crash leaves either
+ * the old file or a journal that is replayed on the next start.
  */
 export class State {
-  constructor(statePath, logger) {
+  constructor(statePath, logger, options = {}) {
     this.statePath = statePath;
     this.logger = logger;
+    this.lockPath = `${statePath}.lock`;
+    this.journalPath = `${statePath}.journal`;
+    this.lock = new FileLock(this.lockPath, logger, {
+      name: 'state',
+      timeoutMs: options.lockTimeoutMs,
+      staleMs: options.lockStaleMs
+    });
+    this.fileStamp = null; // { mtimeMs, ino, size } of the last read, to spot other writers
     this.data = {
       version: 1,
-      agents: {} // { "wallet:agentId": { lastCid, lastPlaintextSha256, lastAnchoredDate } }
+      agents: {}, // { "wallet:agentId": { lastCid, lastPlaintextSha256, lastAnchoredDate } }
+      derivationMsg: null, // Set by key rotation, overrides config.derivationMsg
+      snapshot: null, // { lastCid, lastPlaintextSha256, stateSha256, createdAt } of the last vault snapshot
+      anchorSpend: {} // { "YYYY-MM-DD": lamports } paid for anchor transactions
     };
     
     this.load();
   }
 
   /**
-   * Load state from disk
+   * Load state from disk, replaying an interrupted write first
+   * Throws on a corrupted state file instead of starting empty (which would fork every chain)
    */
   load() {
-    try {
-      if (existsSync(this.statePath)) {
-        const content = readFileSync(this.statePath, 'utf8');
-        const loaded = JSON.parse(content);
-        // Merge with defaults to ensure structure
-        this.data = {
-          version: loaded.version || 1,
-          agents: loaded.agents || {}
-        };
-        this.logger.debug('State loaded', { path: this.statePath });
-      } else {
-        this.logger.debug('No existing state file', { path: this.statePath });
+    this._withLock(() => {
+      this._replayJournal();
+      this._read();
+    });
+    
+    this.logger.debug(this.fileStamp ? 'State loaded' : 'No existing state file', { path: this.statePath });
+  }
+
+  /**
+   * Save in-memory state to disk as-is, replacing what is on disk
+   * Prefer transaction() for read-modify-write changes.
+   */
+  save() {
+    this._withLock(() => this._commit());
+  }
+
+  /**
+   * Release the state lock if this process still holds it (on shutdown)
+   * Every change is already on disk: writes go through transaction().
+   */
+  close() {
+    this.lock.close();
+  }
+
+  /**
+   * Apply a change atomically against the latest state on disk
+   * @param {Function} fn - Synchronous mutator, called with state data
+   * @returns {*} fn's return value
+   */
+  transaction(fn) {
+    // Nested transactions are part of the outer one
+    if (this.lock.depth > 0) {
+      return fn(this.data);
+    }
+    
+    return this._withLock(() => {
+      this._read();
+      
+      let result;
+      try {
+        result = fn(this.data);
+      } catch (error) {
+        // Roll back partial in-memory changes
+        this._read();
+        throw error;
       }
+      
+      this._commit();
+      return result;
+    });
+  }
+
+  /**
+   * Run fn while holding the state lock
+   * @private
+   */
+  _withLock(fn) {
+    return this.lock.withLock(fn);
+  }
+
+  /**
+   * Read state file into memory (caller holds the lock, or only reads)
+   * @private
+   */
+  _read() {
+    if (!existsSync(this.statePath)) {
+      // Keep what we have in memory; the next commit writes it back
+      this.fileStamp = null;
+      return;
+    }
+    
+    const stat = statSync(this.statePath);
+    const content = readFileSync(this.statePath, 'utf8');
+    
+    let loaded;
+    try {
+      loaded = JSON.parse(content);
     } catch (error) {
-      this.logger.error('Failed to load state', { error: error.message, path: this.statePath });
-      // Continue with empty state
+      loaded = null;
+    }
+    
+    if (!loaded || typeof loaded !== 'object' || (loaded.agents && typeof loaded.agents !== 'object')) {
+      this.logger.error('State file is corrupted', { path: this.statePath });
+      throw new Error(`State file ${this.statePath} is corrupted; refusing to start with empty state. Run 'aegismemory recover --force' to rebuild it from the vault.`);
     }
+    
+    // Merge with defaults to ensure structure
+    this.data = {
+      ...loaded,
+      version: loaded.version || 1,
+      agents: loaded.agents || {},
+      derivationMsg: loaded.derivationMsg || null,
+      snapshot: loaded.snapshot || null,
+      anchorSpend: loaded.anchorSpend || {}
+    };
+    this.fileStamp = { mtimeMs: stat.mtimeMs, ino: stat.ino, size: stat.size };
   }
 
   /**
-   * Save state to disk
+   * Re-read the state file if another process replaced it since our last read
+   * @private
    */
-  save() {
+  _refresh() {
+    if (this.lock.depth > 0) {
+      return;
+    }
+    
     try {
-      const dir = dirname(this.statePath);
-      if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
+      const stat = statSync(this.statePath);
+      const stamp = this.fileStamp;
+      if (stamp && stamp.mtimeMs === stat.mtimeMs && stamp.ino === stat.ino && stamp.size === stat.size) {
+        return;
       }
+    } catch (error) {
+      return;
+    }
+    
+    this._read();
+  }
+
+  /**
+   * Write in-memory state through the journal (caller holds the lock)
+   * @private
+   */
+  _commit() {
+    try {
+      const content = JSON.stringify(this.data, null, 2);
+      
+      // Commit point is the rename; the journal covers a crash before it
+      writeDurable(this.journalPath, JSON.stringify({ sha256: hash(content), state: content }));
+      writeAtomic(this.statePath, content);
+      unlinkSync(this.journalPath);
       
-      writeFileSync(this.statePath, JSON.stringify(this.data, null, 2), 'utf8');
+      const stat = statSync(this.statePath);
+      this.fileStamp = { mtimeMs: stat.mtimeMs, ino: stat.ino, size: stat.size };
       this.logger.debug('State saved', { path: this.statePath });
     } catch (error) {
       this.logger.error('Failed to save state', { error: error.message, path: this.statePath });
@@ -58,6 +182,31 @@ export class State {
     }
   }
 
+  /**
+   * Finish a write interrupted by a crash (caller holds the lock)
+   * A journal that fails its checksum was torn before the state file was touched.
+   * @private
+   */
+  _replayJournal() {
+    if (!existsSync(this.journalPath)) {
+      return;
+    }
+    
+    try {
+      const entry = JSON.parse(readFileSync(this.journalPath, 'utf8'));
+      if (typeof entry.state !== 'string' || hash(entry.state) !== entry.sha256) {
+        throw new Error('checksum mismatch');
+      }
+      
+      writeAtomic(this.statePath, entry.state);
+      this.logger.warn('Replayed state journal after interrupted write', { path: this.journalPath });
+    } catch (error) {
+      this.logger.warn('Discarding incomplete state journal', { error: error.message, path: this.journalPath });
+    }
+    
+    unlinkSync(this.journalPath);
+  }
+
   /**
    * Get agent key
    */
@@ -69,6 +218,7 @@ export class State {
    * Get agent state
    */
   getAgent(wallet, agentId) {
+    this._refresh();
     const key = this._getKey(wallet, agentId);
     return this.data.agents[key] || {
       lastCid: null,
@@ -82,14 +232,13 @@ export class State {
    */
   setAgent(wallet, agentId, updates) {
     const key = this._getKey(wallet, agentId);
-    const current = this.getAgent(wallet, agentId);
     
-    this.data.agents[key] = {
-      ...current,
-      ...updates
-    };
-    
-    this.save();
+    this.transaction(data => {
+      data.agents[key] = {
+        ...this.getAgent(wallet, agentId),
+        ...updates
+      };
+    });
   }
 
   /**
@@ -125,10 +274,80 @@ export class State {
     });
   }
 
+  /**
+   * Get derivation message recorded by the last key rotation
+   */
+  getDerivationMsg() {
+    this._refresh();
+    return this.data.derivationMsg || null;
+  }
+
+  /**
+   * Record derivation message after a completed key rotation
+   */
+  setDerivationMsg(derivationMsg) {
+    this.transaction(data => {
+      data.derivationMsg = derivationMsg;
+    });
+  }
+
+  /**
+   * Get a copy of the data backed up by state snapshots (chain heads, branch tables, derivation message)
+   */
+  getSnapshotData() {
+    this._refresh();
+    const { version, agents, derivationMsg } = this.data;
+    return JSON.parse(JSON.stringify({ version, agents, derivationMsg }));
+  }
+
+  /**
+   * Get pointer to the last state snapshot uploaded to the vault
+   */
+  getSnapshot() {
+    this._refresh();
+    return this.data.snapshot || null;
+  }
+
+  /**
+   * Record the last state snapshot (head of the snapshot chain)
+   */
+  setSnapshot(snapshot) {
+    this.transaction(data => {
+      data.snapshot = snapshot;
+    });
+  }
+
+  /**
+   * Get lamports spent on anchor transactions in a day (YYYY-MM-DD) or month (YYYY-MM)
+   */
+  getAnchorSpend(period) {
+    this._refresh();
+    return Object.entries(this.data.anchorSpend)
+      .filter(([day]) => day.startsWith(period))
+      .reduce((total, [, lamports]) => total + lamports, 0);
+  }
+
+  /**
+   * Add lamports paid for an anchor transaction to a day's spend
+   */
+  addAnchorSpend(day, lamports) {
+    this.transaction(data => {
+      data.anchorSpend[day] = (data.anchorSpend[day] || 0) + lamports;
+    });
+  }
+
   /**
    * Get all agents
    */
   getAllAgents() {
+    this._refresh();
     return Object.keys(this.data.agents);
   }
 }
+
+/**
+ * SHA-256 hex digest
+ */
+function hash(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
@@ -25,6 +25,10 @@ export function toTOON(memory) {
     lines.push(`session: ${memory.session_id}`);
   }
   
+  if (memory.branch) {
+    lines.push(`branch: ${memory.branch}`);
+  }
+  
   if (memory.prev_cid) {
     lines.push(`prev: ${memory.prev_cid}`);
   }
@@ -33,6 +37,19 @@ export function toTOON(memory) {
     lines.push(`prev_hash: ${memory.prev_plaintext_sha256}`);
   }
   
+  // Merge documents link to every parent head
+  if (memory.prev_cids) {
+    lines.push(`parents: ${memory.prev_cids.join(', ')}`);
+  }
+  
+  if (memory.prev_plaintext_sha256s) {
+    lines.push(`parent_hashes: ${memory.prev_plaintext_sha256s.join(', ')}`);
+  }
+  
+  if (memory.merge) {
+    lines.push(`merge: ${memory.merge.source_branch} -> ${memory.merge.target_branch}`);
+  }
+  
   lines.push(`hash: ${memory.plaintext_sha256}`);
   lines.push('');
   
@@ -182,6 +199,20 @@ export function fromTOON(toon) {
         case 'session':
           memory.session_id = value;
           break;
+        case 'branch':
+          memory.branch = value;
+          break;
+        case 'parents':
+          memory.prev_cids = value.split(',').map(c => c.trim());
+          break;
+        case 'parent_hashes':
+          memory.prev_plaintext_sha256s = value.split(',').map(h => h.trim());
+          break;
+        case 'merge': {
+          const [source, target] = value.split('->').map(b => b.trim());
+          memory.merge = { source_branch: source, target_branch: target };
+          break;
+        }
         case 'cid':
           memory.cid = value === 'null' ? null : value;
           break;
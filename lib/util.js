@@ -9,6 +9,13 @@ export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Block the thread for ms milliseconds (for synchronous lock retries)
+ */
+export function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
 /**
  * Calculate exponential backoff with jitter
  */
@@ -55,12 +62,16 @@ export async function retry(fn, options = {}) {
  * Execute function with timeout
  */
 export async function withTimeout(fn, timeoutMs, timeoutError = new Error('Timeout')) {
-  return Promise.race([
-    fn(),
-    sleep(timeoutMs).then(() => {
-      throw timeoutError;
-    })
-  ]);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(timeoutError), timeoutMs);
+  });
+  
+  try {
+    return await Promise.race([fn(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
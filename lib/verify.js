@@ -1,21 +1,38 @@
-import { sha256, decryptPayload } from './cryptoBox.js';
+import { sha256, decryptPayload, verifyWalletSignature, bindingContext, CONTEXT_PAYLOAD_VERSION } from './cryptoBox.js';
 import { canonicalStringify } from './util.js';
-import { validateChain } from './chain.js';
+import { validateChain, validateLink, parentLinks, isTombstone } from './chain.js';
 import { fromTOON } from './toon.js';
 
 /**
  * Verification utilities
  */
 
+/**
+ * Document as it was when plaintext_sha256 was computed
+ */
+function hashableDocument(doc) {
+  const hashable = { ...doc, plaintext_sha256: null };
+  delete hashable.cid;
+  
+  // Tombstone signatures are taken over the hash, after it was computed
+  if (isTombstone(doc)) {
+    hashable.signature = null;
+  }
+  
+  return hashable;
+}
+
 /**
  * Verify CID decryption and hash
+ * @param {Object} options - Passed to decryptPayload() (keyStore, context)
+ * @returns {Object} { valid, errors, doc, actualSha256, tampered }
  */
-export async function verifyCid(encryptedPayload, walletSecretKeyBase58, expectedSha256, cacheTtlMs) {
+export async function verifyCid(encryptedPayload, walletSecretKeyBase58, expectedSha256, cacheTtlMs, options = {}) {
   const errors = [];
   
   try {
     // Decrypt
-    const plaintext = await decryptPayload(encryptedPayload, walletSecretKeyBase58, cacheTtlMs);
+    const plaintext = await decryptPayload(encryptedPayload, walletSecretKeyBase58, cacheTtlMs, options);
     
     // Parse based on format (TOON or JSON)
     let doc;
@@ -30,6 +47,19 @@ export async function verifyCid(encryptedPayload, walletSecretKeyBase58, expecte
       return { valid: false, errors };
     }
     
+    // The bound context must describe the document it encrypts
+    if (encryptedPayload.version === CONTEXT_PAYLOAD_VERSION) {
+      const actual = bindingContext(doc);
+      for (const [field, value] of Object.entries(encryptedPayload.context || {})) {
+        if (actual[field] !== value) {
+          errors.push(`Tampering detected: bound ${field}=${value}, document has ${actual[field]}`);
+        }
+      }
+      if (errors.length > 0) {
+        return { valid: false, errors, tampered: true };
+      }
+    }
+    
     // Verify plaintext_sha256
     // For TOON format, we trust the embedded SHA256 (it was calculated from original JSON)
     // For JSON format, we can recalculate and verify
@@ -42,8 +72,8 @@ export async function verifyCid(encryptedPayload, walletSecretKeyBase58, expecte
         errors.push('TOON format missing plaintext_sha256 field');
       }
     } else {
-      // JSON format - recalculate and verify
-      const canonical = canonicalStringify(doc);
+      // JSON format - recalculate and verify (hash was taken with plaintext_sha256 unset)
+      const canonical = canonicalStringify(hashableDocument(doc));
       actualSha256 = sha256(canonical);
       
       if (doc.plaintext_sha256 && doc.plaintext_sha256 !== actualSha256) {
@@ -63,14 +93,49 @@ export async function verifyCid(encryptedPayload, walletSecretKeyBase58, expecte
     };
   } catch (error) {
     errors.push(`Decryption failed: ${error.message}`);
-    return { valid: false, errors };
+    return { valid: false, errors, tampered: error.message.startsWith('Tampering detected') };
+  }
+}
+
+/**
+ * Verify tombstone hash and wallet signature
+ */
+export function verifyTombstone(tombstone) {
+  const errors = [];
+  
+  const expected = sha256(canonicalStringify(hashableDocument(tombstone)));
+  if (tombstone.plaintext_sha256 !== expected) {
+    errors.push(`plaintext_sha256 mismatch: expected ${expected}, got ${tombstone.plaintext_sha256}`);
+  }
+  
+  if (!tombstone.signature || !verifyWalletSignature(tombstone.plaintext_sha256, tombstone.signature, tombstone.wallet)) {
+    errors.push('Invalid tombstone signature');
   }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
 }
 
 /**
  * Verify chain continuity
+ * @param {Object|Object[]} previousDoc - Previous document, or the parents of a merge document
  */
 export function verifyChainContinuity(currentDoc, previousDoc) {
+  if (Array.isArray(previousDoc)) {
+    const links = parentLinks(currentDoc);
+    const errors = previousDoc.flatMap(parent => {
+      const link = links.find(l => l.cid === parent.cid);
+      return link ? validateLink(currentDoc, link, parent) : [`${parent.cid} is not a parent of ${currentDoc.cid}`];
+    });
+    
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+  
   const validation = validateChain(currentDoc, previousDoc);
   
   return {
@@ -81,12 +146,39 @@ export function verifyChainContinuity(currentDoc, previousDoc) {
 
 /**
  * Verify on-chain anchor
+ * With a batch inclusion proof (AegisAnchor.getProof), the memory is checked
+ * against the Merkle root anchored for its batch instead of its own memo.
+ * A memo anchor's signature comes from its receipt (AegisAnchor.getReceipt),
+ * or from the document itself for memories that carry one.
  */
-export async function verifyOnChainAnchor(doc, anchorModule) {
-  if (!doc.anchor || !doc.anchor.signature) {
+export async function verifyOnChainAnchor(doc, anchorModule, anchorProof = null, anchorReceipt = null) {
+  if (anchorProof) {
+    if (anchorProof.sha256 && anchorProof.sha256 !== doc.plaintext_sha256) {
+      return {
+        valid: false,
+        errors: [`Proof is for ${anchorProof.sha256}, document hash is ${doc.plaintext_sha256}`],
+        signature: anchorProof.signature
+      };
+    }
+    
+    const result = await anchorModule.verifyBatchAnchor(doc.plaintext_sha256, anchorProof);
+    
+    return {
+      valid: result.valid,
+      errors: result.error ? [result.error] : [],
+      signature: anchorProof.signature,
+      slot: result.slot,
+      blockTime: result.blockTime,
+      payload: result.payload,
+      root: anchorProof.root
+    };
+  }
+  
+  const signature = anchorReceipt?.signature || doc.anchor?.signature;
+  if (!signature) {
     return {
       valid: false,
-      errors: ['No anchor signature in document']
+      errors: ['No anchor signature in document or anchor receipts']
     };
   }
   
@@ -99,12 +191,12 @@ export async function verifyOnChainAnchor(doc, anchorModule) {
   );
   
   // Verify on-chain
-  const result = await anchorModule.verifyAnchor(doc.anchor.signature, expectedPayload);
+  const result = await anchorModule.verifyAnchor(signature, expectedPayload);
   
   return {
     valid: result.valid,
     errors: result.error ? [result.error] : [],
-    signature: doc.anchor.signature,
+    signature,
     slot: result.slot,
     blockTime: result.blockTime,
     payload: result.payload
@@ -114,7 +206,7 @@ export async function verifyOnChainAnchor(doc, anchorModule) {
 /**
  * Full verification of a memory document
  */
-export async function verifyMemoryDocument(cid, encryptedPayload, walletSecretKeyBase58, previousDoc, anchorModule, cacheTtlMs) {
+export async function verifyMemoryDocument(cid, encryptedPayload, walletSecretKeyBase58, previousDoc, anchorModule, cacheTtlMs, options = {}) {
   const results = {
     cid,
     decryption: null,
@@ -124,11 +216,16 @@ export async function verifyMemoryDocument(cid, encryptedPayload, walletSecretKe
     overall: false
   };
   
-  // 1. Verify decryption and hash
-  const decryptResult = await verifyCid(encryptedPayload, walletSecretKeyBase58, null, cacheTtlMs);
+  // 1. Verify decryption and hash (bound to the chain position after a single given parent)
+  const context = { ...options.context };
+  if (context.prev_plaintext_sha256 === undefined && previousDoc && !Array.isArray(previousDoc)) {
+    context.prev_plaintext_sha256 = previousDoc.plaintext_sha256;
+  }
+  const decryptResult = await verifyCid(encryptedPayload, walletSecretKeyBase58, null, cacheTtlMs, { ...options, context });
   results.decryption = {
     valid: decryptResult.valid,
-    errors: decryptResult.errors
+    errors: decryptResult.errors,
+    tampered: Boolean(decryptResult.tampered)
   };
   
   if (!decryptResult.valid) {
@@ -143,8 +240,19 @@ export async function verifyMemoryDocument(cid, encryptedPayload, walletSecretKe
     sha256: decryptResult.actualSha256
   };
   
-  // 2. Verify chain continuity
-  if (previousDoc) {
+  // Tombstones carry a wallet signature over their hash
+  if (isTombstone(doc)) {
+    const tombstoneResult = verifyTombstone(doc);
+    results.hash = {
+      valid: tombstoneResult.valid,
+      errors: tombstoneResult.errors,
+      sha256: doc.plaintext_sha256,
+      note: `Tombstone for forgotten memory ${doc.forgotten.cid}`
+    };
+  }
+  
+  // 2. Verify chain continuity (every parent of a merge document)
+  if (Array.isArray(previousDoc) ? previousDoc.length > 0 : previousDoc) {
     const chainResult = verifyChainContinuity(doc, previousDoc);
     results.chain = {
       valid: chainResult.valid,
@@ -158,9 +266,9 @@ export async function verifyMemoryDocument(cid, encryptedPayload, walletSecretKe
     };
   }
   
-  // 3. Verify on-chain anchor
-  if (doc.anchor && doc.anchor.signature && anchorModule) {
-    const anchorResult = await verifyOnChainAnchor(doc, anchorModule);
+  // 3. Verify on-chain anchor (own memo via options.anchorReceipt, or batch root via options.anchorProof)
+  if (anchorModule && (doc.anchor?.signature || options.anchorReceipt || options.anchorProof)) {
+    const anchorResult = await verifyOnChainAnchor(doc, anchorModule, options.anchorProof, options.anchorReceipt);
     results.anchor = anchorResult;
   } else {
     results.anchor = {
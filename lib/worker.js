@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Queue worker pool
+ * Runs queued jobs through the handlers registered on the Queue, up to
+ * workerConcurrency at a time. Each job type has its own concurrency limit
+ * and priority: the handler's registration defaults, overridable with
+ * jobConcurrency/jobPriority in config. A job whose type has no handler is
+ * failed, so it ends up in the dead-letter queue instead of blocking others.
+ * Jobs are claimed with a queue lease, so a CLI replay and the plugin can
+ * run workers on the same queue without picking up the same job.
+ */
+
+export const RETRY_BACKOFF_MS = 5000;
+
+export class QueueWorker {
+  constructor(config, logger, metrics, queue) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.queue = queue;
+
+    this.running = new Map(); // jobId -> Promise
+    this.active = new Map(); // type -> running jobs
+    this.hooks = {};
+    this.timer = null;
+    this.stopping = false;
+  }
+
+  /**
+   * Run tick() every workerIntervalMs, starting now
+   * @param {Object} hooks - { onTick(), onComplete(job, result), onFail(job, error) }
+   */
+  start(hooks = {}) {
+    if (this.timer) {
+      return;
+    }
+
+    const intervalMs = this.config.workerIntervalMs || 2000;
+    this.hooks = hooks;
+    this.stopping = false;
+    this.timer = setInterval(() => this.tick(), intervalMs);
+
+    this.logger.info('Queue worker started', { intervalMs, concurrency: this.concurrency() });
+    this.tick();
+  }
+
+  /**
+   * Stop taking jobs and wait for running ones to settle
+   * Jobs still running at the deadline keep their queue lease, so no other
+   * process starts them while this one may yet finish them.
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Stop waiting after this long (default: no limit)
+   * @returns {Promise<Object>} { finished, abandoned } job IDs
+   */
+  async stop(options = {}) {
+    const { timeoutMs = Infinity } = options;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true;
+
+    const running = [...this.running.keys()];
+    let deadline;
+    await Promise.race([
+      Promise.allSettled(this.running.values()),
+      new Promise(resolve => {
+        if (Number.isFinite(timeoutMs)) {
+          deadline = setTimeout(resolve, timeoutMs);
+        }
+      })
+    ]);
+    clearTimeout(deadline);
+
+    const abandoned = [...this.running.keys()];
+    return { finished: running.filter(id => !abandoned.includes(id)), abandoned };
+  }
+
+  /**
+   * Process jobs until none is ready (retries waiting on backoff are left queued)
+   * @param {Object} hooks - { onComplete(job, result), onFail(job, error) }
+   */
+  async drain(hooks = {}) {
+    this.hooks = hooks;
+    this.stopping = false;
+
+    for (;;) {
+      // After stop(), only wait for the jobs already running
+      if (!this.stopping) {
+        this.tick();
+      }
+      if (this.running.size === 0) {
+        return;
+      }
+      await Promise.race(this.running.values());
+    }
+  }
+
+  /**
+   * Start ready jobs until the pool or every ready job type is at its limit
+   * @returns {Promise[]} Started jobs
+   */
+  tick() {
+    try {
+      this.hooks.onTick?.();
+    } catch (error) {
+      this.logger.error('Queue worker tick hook failed', { error: error.message });
+    }
+
+    const started = [];
+
+    while (this.running.size < this.concurrency()) {
+      let job;
+      try {
+        job = this.queue.claimNext({
+          exclude: this._busyTypes(),
+          priority: type => this.priorityFor(type)
+        });
+      } catch (error) {
+        // Queue lock held too long by another process; try again next tick
+        this.logger.warn('Failed to claim queue job', { error: error.message });
+        break;
+      }
+      if (!job) break;
+
+      started.push(this._run(job));
+    }
+
+    return started;
+  }
+
+  /**
+   * Total jobs run at once
+   */
+  concurrency() {
+    return this.config.workerConcurrency || 1;
+  }
+
+  /**
+   * Jobs of one type run at once (config override, handler default, else 1)
+   */
+  limitFor(type) {
+    return this.config.jobConcurrency?.[type] ?? this.queue.getHandler(type)?.concurrency ?? 1;
+  }
+
+  /**
+   * Priority of a job type, higher first (config override, handler default, else 0)
+   */
+  priorityFor(type) {
+    return this.config.jobPriority?.[type] ?? this.queue.getHandler(type)?.priority ?? 0;
+  }
+
+  /**
+   * Job types at their concurrency limit
+   * @private
+   */
+  _busyTypes() {
+    const busy = new Set();
+
+    for (const [type, count] of this.active) {
+      if (count >= this.limitFor(type)) {
+        busy.add(type);
+      }
+    }
+
+    return busy;
+  }
+
+  /**
+   * Track a claimed job while its handler runs
+   * @private
+   */
+  _run(job) {
+    this.active.set(job.type, (this.active.get(job.type) || 0) + 1);
+
+    const run = this._execute(job).finally(() => {
+      this.running.delete(job.id);
+      this.active.set(job.type, this.active.get(job.type) - 1);
+    });
+
+    this.running.set(job.id, run);
+    return run;
+  }
+
+  /**
+   * Run the job's handler, then complete or fail the job (never throws)
+   * @private
+   */
+  async _execute(job) {
+    const registration = this.queue.getHandler(job.type);
+    const startTime = Date.now();
+
+    this.logger.info('Processing job', { id: job.id, type: job.type, attempt: job.attempts + 1 });
+
+    try {
+      if (!registration) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      const result = await registration.handler(job);
+      this.queue.complete(job.id);
+
+      this.metrics.inc('queue.job.success');
+      this.metrics.recordTime('queue.job.duration', Date.now() - startTime);
+      this.logger.info('Job completed', { id: job.id, type: job.type, durationMs: Date.now() - startTime });
+      this.hooks.onComplete?.(job, result);
+    } catch (error) {
+      this.metrics.inc('queue.job.error');
+      this.logger.error('Job failed', { id: job.id, type: job.type, error: error.message });
+      this.queue.fail(job.id, error, RETRY_BACKOFF_MS);
+      this.hooks.onFail?.(job, error);
+    }
+  }
+}
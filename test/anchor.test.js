@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { Keypair, ComputeBudgetInstruction, ComputeBudgetProgram } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { AegisAnchor } from '../lib/anchor.js';
+import { State } from '../lib/state.js';
+import { verifyOnChainAnchor } from '../lib/verify.js';
+import { logger, tempDir } from './helpers.js';
+
+function setup(overrides = {}, fees = async () => []) {
+  const { dir, cleanup } = tempDir('anchor');
+  const counters = {};
+  const metrics = {
+    inc(name, value = 1) { counters[name] = (counters[name] || 0) + value; },
+    recordTime() {}
+  };
+  const config = {
+    anchorEnabled: true,
+    anchorFrequency: 'every_save',
+    anchorRpcUrl: 'http://rpc.invalid',
+    walletSecretKeyBase58: bs58.encode(Keypair.generate().secretKey),
+    computeUnitLimit: 50000,
+    maxPriorityFeeMicrolamports: 100000,
+    ...overrides
+  };
+  const anchor = new AegisAnchor(config, logger, metrics, new State(join(dir, 'state.json'), logger));
+
+  // RPC stand-in: records the transaction instead of sending it
+  const sent = [];
+  anchor.rpcClient.getRecentBlockhash = async () => ({ blockhash: bs58.encode(Buffer.alloc(32, 1)) });
+  anchor.rpcClient.getRecentPrioritizationFees = fees;
+  anchor.rpcClient.sendAndConfirmTransaction = async (transaction) => {
+    sent.push(transaction);
+    return 'sig';
+  };
+  anchor.rpcClient.getTransaction = async () => ({
+    slot: 7,
+    blockTime: 8,
+    meta: { fee: 7500, computeUnitsConsumed: 12000 },
+    transaction: { message: sent[sent.length - 1].compileMessage() }
+  });
+
+  return { anchor, sent, counters, cleanup };
+}
+
+function budget(transaction) {
+  const ixs = transaction.instructions.filter(ix => ix.programId.equals(ComputeBudgetProgram.programId));
+  const result = {};
+  for (const ix of ixs) {
+    const type = ComputeBudgetInstruction.decodeInstructionType(ix);
+    if (type === 'SetComputeUnitLimit') result.units = ComputeBudgetInstruction.decodeSetComputeUnitLimit(ix).units;
+    if (type === 'SetComputeUnitPrice') result.microLamports = Number(ComputeBudgetInstruction.decodeSetComputeUnitPrice(ix).microLamports);
+  }
+  return result;
+}
+
+test('estimated priority fee is capped and recorded with the actual fee paid', async () => {
+  const samples = [0, 0, 10, 20, 500000].map(prioritizationFee => ({ slot: 1, prioritizationFee }));
+  const { anchor, sent, counters, cleanup } = setup({}, async () => samples);
+
+  const result = await anchor.anchor('Qm1', 'sha', null, '2026-03-01', 'wallet', 'theo');
+
+  // Compute budget instructions precede the memo
+  assert.ok(sent[0].instructions[0].programId.equals(ComputeBudgetProgram.programId));
+  assert.deepStrictEqual(budget(sent[0]), { units: 50000, microLamports: 20 });
+
+  assert.strictEqual(result.fee, 7500);
+  assert.strictEqual(result.priorityFeeMicrolamports, 20);
+  assert.strictEqual(result.computeUnitsConsumed, 12000);
+  assert.strictEqual(counters['anchor.fee_lamports'], 7500);
+  assert.strictEqual(counters['anchor.priority_fee_lamports'], 1);
+
+  const capped = setup({ maxPriorityFeeMicrolamports: 5 }, async () => samples);
+  await capped.anchor.anchor('Qm1', 'sha', null, '2026-03-01', 'wallet', 'theo');
+  assert.strictEqual(budget(capped.sent[0]).microLamports, 5);
+
+  cleanup();
+  capped.cleanup();
+});
+
+test('fixed priority fee skips estimation, failed estimation sends without one', async () => {
+  const fixed = setup({ priorityFeeMicrolamports: 1234 }, async () => { throw new Error('should not estimate'); });
+  await fixed.anchor.anchor('Qm1', 'sha', null, '2026-03-01', 'wallet', 'theo');
+  assert.strictEqual(budget(fixed.sent[0]).microLamports, 1234);
+
+  const failing = setup({}, async () => { throw new Error('method not found'); });
+  const result = await failing.anchor.anchor('Qm1', 'sha', null, '2026-03-01', 'wallet', 'theo');
+  assert.deepStrictEqual(budget(failing.sent[0]), { units: 50000 });
+  assert.strictEqual(result.priorityFeeMicrolamports, 0);
+
+  fixed.cleanup();
+  failing.cleanup();
+});
+
+test('anchor receipt is recorded in State and verifies the memory on-chain', async () => {
+  const { anchor, cleanup } = setup();
+  const doc = { cid: 'Qm1', plaintext_sha256: 'a'.repeat(64), prev_plaintext_sha256: null, date: '2026-03-01', anchor: { signature: null } };
+
+  await anchor.anchor(doc.cid, doc.plaintext_sha256, null, doc.date, 'wallet', 'theo');
+
+  const receipt = anchor.getReceipt('wallet', 'theo', 'Qm1');
+  assert.strictEqual(receipt.signature, 'sig');
+  assert.strictEqual(receipt.payload, `AegisMemory|v1|2026-03-01|Qm1|${doc.plaintext_sha256}|null`);
+  assert.strictEqual(anchor.state.getLastAnchoredDate('wallet', 'theo'), '2026-03-01');
+
+  const verified = await verifyOnChainAnchor(doc, anchor, null, receipt);
+  assert.ok(verified.valid, verified.errors.join('; '));
+  assert.strictEqual(verified.slot, 7);
+
+  const tampered = await verifyOnChainAnchor({ ...doc, plaintext_sha256: 'b'.repeat(64) }, anchor, null, receipt);
+  assert.deepStrictEqual(tampered.errors, ['Payload mismatch']);
+
+  assert.ok(!(await verifyOnChainAnchor(doc, anchor)).valid, 'No receipt, no signature in the document');
+  assert.strictEqual(anchor.getReceipt('wallet', 'theo', 'Qm2'), null);
+
+  cleanup();
+});
+
+test('low balance degrades every_save anchoring, a used-up budget pauses it', async () => {
+  const { anchor, cleanup } = setup({ minAnchorBalanceLamports: 10000000, anchorDailyBudgetLamports: 10000 });
+  let lamports = 20000000;
+  anchor.rpcClient.getBalance = async () => lamports;
+
+  assert.strictEqual(await anchor.refreshBalance(), 20000000);
+  assert.deepStrictEqual(anchor.anchorPolicy().warnings, []);
+  assert.ok(anchor.shouldAnchor('wallet', 'theo', '2026-03-01'));
+
+  lamports = 5000000;
+  assert.strictEqual(await anchor.refreshBalance(), 20000000, 'Balance is cached');
+  await anchor.refreshBalance(true);
+
+  const degraded = anchor.anchorPolicy();
+  assert.strictEqual(degraded.frequency, 'batch');
+  assert.ok(degraded.degraded);
+  assert.match(degraded.warnings[0], /below 0\.0100 XNT, anchoring batch instead of every save/);
+
+  // Degraded to once a day
+  await anchor.anchor('Qm1', 'sha', null, '2026-03-01', 'wallet', 'theo');
+  assert.ok(!anchor.shouldAnchor('wallet', 'theo', '2026-03-01'));
+  assert.ok(anchor.shouldAnchor('wallet', 'theo', '2026-03-02'));
+  assert.strictEqual(anchor.balance.lamports, 5000000 - 7500);
+
+  // Second anchor uses up the daily budget
+  await anchor.anchor('Qm2', 'sha', null, '2026-03-02', 'wallet', 'theo');
+  const paused = anchor.anchorPolicy();
+  assert.strictEqual(paused.spend.today, 15000);
+  assert.ok(paused.paused);
+  assert.ok(!anchor.shouldAnchor('wallet', 'theo', '2026-03-03'));
+
+  assert.ok(!anchor.anchorPolicy(new Date(Date.now() + 86400000)).paused, 'Budget resets the next day');
+
+  cleanup();
+});
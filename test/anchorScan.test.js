@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { AegisAnchor, parseAnchorMemo } from '../lib/anchor.js';
+import { logger, metrics, setup, remember } from './helpers.js';
+
+/**
+ * Local JSON-RPC stand-in serving getSignaturesForAddress from a fixed list
+ * (newest first), honouring before/limit like a real node
+ */
+async function mockRpc(signatures) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params });
+
+      const [, { before, limit = 1000 } = {}] = params;
+      const start = before ? signatures.findIndex(s => s.signature === before) + 1 : 0;
+      const result = signatures.slice(start, start + limit);
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.unref(); // a failed assertion must not leave the test process hanging
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+function memoEntry(signature, payload, err = null) {
+  return { signature, slot: 100, err, memo: `[${payload.length}] ${payload}`, blockTime: 1700000000, confirmationStatus: 'finalized' };
+}
+
+test('scan pages through the wallet and reports anchored, missing and foreign anchors', async () => {
+  const signatures = [];
+  const rpc = await mockRpc(signatures);
+  const ctx = setup('scan', { anchorRpcUrl: rpc.url });
+  const { config, aegis, queue } = ctx;
+  const wallet = config.walletPubkey;
+
+  const m0 = await remember(ctx, 'first memory');
+  const m1 = await remember(ctx, 'second memory');
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  const e0 = await remember(ctx, 'experiment memory', { branch: 'experiment' });
+  const m2 = await remember(ctx, 'third memory');
+
+  const payload = (m, sha = m.doc.plaintext_sha256) => `AegisMemory|v1|${m.doc.date}|${m.cid}|${sha}|${m.doc.prev_plaintext_sha256 || 'null'}`;
+  signatures.push(
+    memoEntry('sigFailed', payload(m2), { InstructionError: [0, 'Custom'] }),
+    memoEntry('sigOther', 'hello from another app'),
+    memoEntry('sigAnchored', payload(m1)),
+    memoEntry('sigUnknown', `AegisMemory|v1|2026-01-01|QmElsewhere|${'a'.repeat(64)}|null`),
+    memoEntry('sigMismatch', payload(m0, 'b'.repeat(64)))
+  );
+
+  const result = await aegis.scanAnchors({ pageSize: 2 });
+
+  // Three pages of two, the last one short
+  assert.deepStrictEqual(rpc.requests.map(r => r.params[1].before), [undefined, 'sigOther', 'sigUnknown']);
+  assert.strictEqual(result.scanned, 5);
+  assert.strictEqual(result.anchors.length, 3, 'Failed and non-AegisMemory transactions are skipped');
+
+  assert.deepStrictEqual(result.foreign.map(a => [a.signature, a.reason]), [
+    ['sigUnknown', 'Unknown CID'],
+    ['sigMismatch', 'plaintext_sha256 does not match the local chain']
+  ]);
+
+  const [theo] = result.agents;
+  assert.strictEqual(theo.anchored, 1);
+  assert.strictEqual(theo.covered, 1, 'm0 is covered through the chain by the m1 anchor');
+  assert.deepStrictEqual(theo.missing.sort(), [m2.cid, e0.cid].sort());
+  assert.deepStrictEqual(theo.gaps, [{ branch: 'main', cid: m2.cid }, { branch: 'experiment', cid: e0.cid }]);
+  assert.deepStrictEqual(result.enqueued, []);
+
+  // No anchor jobs while anchoring is disabled: nothing could run them
+  await assert.rejects(aegis.scanAnchors({ enqueue: true }), /Anchoring is disabled/);
+  assert.strictEqual(queue.size(), 0);
+  await assert.rejects(aegis.processAnchorJob({ type: 'ANCHOR_MEMORY', payload: { cid: m2.cid } }), /Anchoring is disabled/);
+  aegis.anchor = new AegisAnchor({ ...config, anchorEnabled: true }, logger, metrics, ctx.state);
+
+  // Enqueue one anchor per unanchored head, once
+  await aegis.scanAnchors({ enqueue: true });
+  await aegis.scanAnchors({ enqueue: true });
+  const jobs = queue.jobs.filter(j => j.type === 'ANCHOR_MEMORY');
+  assert.deepStrictEqual(jobs.map(j => j.payload.cid), [m2.cid, e0.cid]);
+  assert.strictEqual(jobs[0].payload.prevPlaintextSha256, m1.doc.plaintext_sha256);
+  assert.strictEqual(jobs[0].payload.agentId, 'theo');
+
+  await rpc.close();
+  ctx.cleanup();
+});
+
+test('batch roots mark every proven memory anchored, unknown formats are foreign', async () => {
+  assert.deepStrictEqual(parseAnchorMemo('[5] hello; [34] AegisMemory|v2|2026-03-01|abc|2; [14] AegisMemory|v9'), [
+    { version: 2, date: '2026-03-01', root: 'abc', leafCount: 2, payload: 'AegisMemory|v2|2026-03-01|abc|2' },
+    { version: null, payload: 'AegisMemory|v9' }
+  ]);
+  assert.deepStrictEqual(parseAnchorMemo(null), []);
+
+  const signatures = [];
+  const rpc = await mockRpc(signatures);
+  const ctx = setup('scan', { anchorRpcUrl: rpc.url });
+  const { config, aegis, state } = ctx;
+  const wallet = config.walletPubkey;
+
+  await remember(ctx, 'first memory');
+  await remember(ctx, 'second memory');
+
+  // Batch-anchor the first two memories through the mock RPC
+  const anchor = new AegisAnchor({ ...config, anchorEnabled: true, anchorFrequency: 'batch' }, logger, metrics, state);
+  anchor._submitMemo = async (payload) => {
+    signatures.unshift(memoEntry('sigBatch', payload));
+    return { signature: 'sigBatch', slot: 100, blockTime: 1700000000 };
+  };
+  const batch = await anchor.anchorBatch(wallet, 'theo', '2026-03-01');
+  const m2 = await remember(ctx, 'third memory');
+  signatures.push(memoEntry('sigFuture', 'AegisMemory|v3|whatever'));
+
+  const result = await aegis.scanAnchors();
+  assert.strictEqual(result.anchors[0].root, batch.root);
+  assert.strictEqual(result.anchors[0].status, 'anchored');
+  assert.deepStrictEqual(result.foreign.map(a => a.reason), ['Unrecognized payload']);
+
+  const [theo] = result.agents;
+  assert.strictEqual(theo.anchored, 2);
+  assert.deepStrictEqual(theo.missing, [m2.cid]);
+
+  await rpc.close();
+  ctx.cleanup();
+});
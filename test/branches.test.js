@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { decryptPayload, sha256 } from '../lib/cryptoBox.js';
+import { verifyChainIntegrity } from '../lib/chain.js';
+import { canonicalStringify } from '../lib/util.js';
+import { Queue } from '../lib/queue.js';
+import { logger, setup, remember } from './helpers.js';
+
+async function recalledCids(aegis, ctx = {}) {
+  const result = await aegis.recall(ctx);
+  return result.memories.map(m => m.cid).sort();
+}
+
+test('branches fork the chain and scope recall to their lineage', async () => {
+  const ctx = setup('branch');
+  const { config, state, aegis } = ctx;
+  const wallet = config.walletPubkey;
+
+  const base = await remember(ctx, 'shared history');
+  assert.strictEqual(base.doc.branch, 'main');
+
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  await aegis.branches.switch(wallet, 'theo', 'experiment');
+
+  const fork = await remember(ctx, 'trying something new');
+  assert.strictEqual(fork.doc.prev_cid, base.cid, 'Branch should fork from the main head');
+  assert.strictEqual(fork.doc.branch, 'experiment');
+  assert.strictEqual(state.getLastCid(wallet, 'theo'), base.cid, 'Main head should not move');
+
+  // Per-session override saves to main while experiment stays current
+  const onMain = await remember(ctx, 'main work', { branch: 'main' });
+  assert.strictEqual(onMain.doc.prev_cid, base.cid);
+  assert.strictEqual(state.getLastCid(wallet, 'theo'), onMain.cid);
+  assert.strictEqual(aegis.branches.getCurrent(wallet, 'theo'), 'experiment');
+
+  assert.deepStrictEqual(await recalledCids(aegis), [base.cid, fork.cid].sort());
+  assert.deepStrictEqual(await recalledCids(aegis, { branch: 'main' }), [base.cid, onMain.cid].sort());
+
+  const { data } = aegis.branches.getBranch(wallet, 'theo', 'experiment');
+  assert.deepStrictEqual(data.cids.map(c => c.cid), [base.cid, fork.cid]);
+
+  ctx.cleanup();
+});
+
+test('memories saved before the previous upload ran chain onto it when they upload', async () => {
+  const ctx = setup('queued');
+  const { dir, config, state, queue, aegis } = ctx;
+
+  await aegis.save({ messages: [{ role: 'user', content: 'first' }] });
+  await aegis.save({ messages: [{ role: 'user', content: 'second' }] });
+  const [first, second] = queue.jobs;
+  assert.strictEqual(second.payload.doc.prev_cid, null, 'Both were built on the empty head');
+
+  const { cid } = await aegis.processUploadJob(first);
+  queue.complete(first.id);
+  const { cid: secondCid } = await aegis.processUploadJob(second);
+
+  const doc = second.payload.doc;
+  assert.strictEqual(doc.prev_cid, cid);
+  assert.strictEqual(doc.prev_plaintext_sha256, first.payload.doc.plaintext_sha256);
+  assert.strictEqual(doc.plaintext_sha256, sha256(canonicalStringify({ ...doc, plaintext_sha256: null })));
+  assert.strictEqual(new Queue(join(dir, 'queue.jsonl'), logger).jobs[0].payload.doc.prev_cid, cid, 'A retry uploads the same document');
+  assert.strictEqual(state.getLastCid(config.walletPubkey, 'theo'), secondCid);
+
+  ctx.cleanup();
+});
+
+test('merging uploads a two-parent merge document and keeps the DAG verifiable', async () => {
+  const ctx = setup('branch');
+  const { config, state, aegis, files } = ctx;
+  const wallet = config.walletPubkey;
+
+  const base = await remember(ctx, 'shared history');
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  const fork = await remember(ctx, 'experiment result', { branch: 'experiment' });
+  const onMain = await remember(ctx, 'main moved on');
+
+  const merge = await aegis.mergeBranch('experiment', 'main');
+  assert.strictEqual(state.getLastCid(wallet, 'theo'), merge.mergeCid);
+
+  const mergeDoc = JSON.parse(await decryptPayload(JSON.parse(files.find(f => f.cid === merge.mergeCid).payload), config.walletSecretKeyBase58));
+  assert.deepStrictEqual(mergeDoc.prev_cids, [onMain.cid, fork.cid]);
+  assert.deepStrictEqual(mergeDoc.prev_plaintext_sha256s, [onMain.doc.plaintext_sha256, fork.doc.plaintext_sha256]);
+
+  // Main recall now covers both lineages, without the structural merge document
+  assert.deepStrictEqual(await recalledCids(aegis), [base.cid, fork.cid, onMain.cid].sort());
+
+  const docs = await Promise.all(files.map(async f => ({
+    ...JSON.parse(await decryptPayload(JSON.parse(f.payload), config.walletSecretKeyBase58)),
+    cid: f.cid
+  })));
+  const integrity = verifyChainIntegrity(docs);
+  assert.ok(integrity.valid, JSON.stringify(integrity.breakDetails));
+  assert.strictEqual(integrity.merges, 1);
+  assert.deepStrictEqual(integrity.heads, [merge.mergeCid]);
+
+  await assert.rejects(() => aegis.mergeBranch('experiment', 'main'), /already up to date/);
+
+  ctx.cleanup();
+});
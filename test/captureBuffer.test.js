@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { CaptureBuffer } from '../lib/captureBuffer.js';
+import { logger, metrics, setup } from './helpers.js';
+
+const BATCHING = { uploadBatchWindowMs: 60000, uploadBatchMaxTurns: 3 };
+
+function turn(text, sessionId = 'session-1') {
+  return { sessionId, messages: [{ role: 'user', content: text }, { role: 'assistant', content: `ok: ${text}` }] };
+}
+
+const uploads = queue => queue.jobs.filter(j => j.type === 'UPLOAD_MEMORY');
+
+test('turns of a session are saved as one memory per batch', async () => {
+  const { queue, aegis, cleanup } = setup('batch', BATCHING);
+
+  await aegis.save(turn('first'));
+  await aegis.save(turn('second'));
+  await aegis.save(turn('elsewhere', 'session-2'));
+  assert.strictEqual(uploads(queue).length, 0, 'Turns wait in the buffer');
+  assert.strictEqual(aegis.captureBuffer.stats().turns, 3);
+
+  // The third turn of session-1 reaches uploadBatchMaxTurns
+  await aegis.save(turn('third'));
+  const [batch] = uploads(queue);
+  assert.strictEqual(uploads(queue).length, 1);
+  assert.strictEqual(batch.payload.doc.session_id, 'session-1');
+  assert.strictEqual(batch.payload.doc.content.metadata.turnCount, 3);
+  assert.deepStrictEqual(
+    batch.payload.doc.content.messages.filter(m => m.role === 'user').map(m => m.content),
+    ['first', 'second', 'third']
+  );
+
+  // Shutdown flushes what is left
+  assert.deepStrictEqual(await aegis.captureBuffer.flushAll(), { flushed: 1, failed: 0 });
+  assert.strictEqual(uploads(queue).length, 2);
+  assert.strictEqual(uploads(queue)[1].payload.doc.session_id, 'session-2');
+  assert.strictEqual(aegis.captureBuffer.stats().turns, 0);
+  cleanup();
+});
+
+test('a batch is flushed when its window ends and kept when the flush fails', async () => {
+  const batches = [];
+  let failNext = true;
+  const buffer = new CaptureBuffer({ uploadBatchWindowMs: 20 }, logger, metrics, async batch => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('queue locked');
+    }
+    batches.push(batch.captures.map(c => c.messages[0].content));
+  });
+  const target = { agentId: 'theo', sessionId: 's', branch: 'main' };
+
+  await buffer.add(target, { messages: [{ role: 'user', content: 'one' }] });
+  await assert.rejects(buffer.flush(JSON.stringify(['theo', 's', 'main'])), /queue locked/);
+  assert.strictEqual(buffer.stats().turns, 1, 'Failed batch goes back into the buffer');
+
+  await buffer.add(target, { messages: [{ role: 'user', content: 'two' }] });
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  assert.deepStrictEqual(batches, [['one', 'two']]);
+  assert.deepStrictEqual(buffer.stats(), { batches: 0, turns: 0, bytes: 0 });
+});
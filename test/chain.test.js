@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { validateChain, buildChain, verifyChainIntegrity } from '../lib/chain.js';
+import { validateChain, buildChain, verifyChainIntegrity, TOMBSTONE_SCHEMA, MERGE_SCHEMA } from '../lib/chain.js';
 
 test('validateChain accepts valid chain', () => {
   const prevDoc = {
@@ -120,3 +120,80 @@ test('verifyChainIntegrity detects breaks', () => {
   assert.ok(!result.valid, 'Chain with breaks should be invalid');
   assert.strictEqual(result.breaks, 1, 'Should detect one break');
 });
+
+test('verifyChainIntegrity treats tombstoned links as forgotten, not broken', () => {
+  const docs = [
+    { timestamp: '2026-02-16T10:00:00Z', cid: 'Qm1', prev_cid: null, plaintext_sha256: 'a', prev_plaintext_sha256: null, wallet: 'w1', agent_id: 'theo' },
+    // Qm2 was shredded and can no longer be read
+    { timestamp: '2026-02-16T12:00:00Z', cid: 'Qm3', prev_cid: 'Qm2', plaintext_sha256: 'c', prev_plaintext_sha256: 'b', wallet: 'w1', agent_id: 'theo' },
+    {
+      schema: TOMBSTONE_SCHEMA,
+      timestamp: '2026-02-16T13:00:00Z',
+      cid: 'Qm4',
+      prev_cid: 'Qm3',
+      plaintext_sha256: 'd',
+      prev_plaintext_sha256: 'c',
+      wallet: 'w1',
+      agent_id: 'theo',
+      forgotten: { cid: 'Qm2', timestamp: '2026-02-16T11:00:00Z', prev_cid: 'Qm1', plaintext_sha256: 'b', prev_plaintext_sha256: 'a' }
+    }
+  ];
+  
+  const result = verifyChainIntegrity(docs);
+  
+  assert.ok(result.valid, 'Tombstoned link should not break the chain');
+  assert.strictEqual(result.chainLength, 4);
+  assert.strictEqual(result.forgotten, 1);
+  assert.ok(result.chain[1].forgotten, 'Forgotten document should be marked');
+  assert.ok(result.chain[3].tombstone, 'Tombstone should be marked');
+  
+  // Without the tombstone the missing link is a break
+  assert.ok(!verifyChainIntegrity(docs.slice(0, 2)).valid);
+});
+
+test('verifyChainIntegrity validates merges as a DAG', () => {
+  const doc = (cid, time, prev_cid, sha, prev_sha) => ({
+    timestamp: `2026-02-16T${time}:00:00Z`, cid, prev_cid, plaintext_sha256: sha, prev_plaintext_sha256: prev_sha, wallet: 'w1', agent_id: 'theo'
+  });
+  const merge = {
+    ...doc('Qm5', '14', 'Qm3', 'e', 'c'),
+    schema: MERGE_SCHEMA,
+    prev_cids: ['Qm3', 'Qm4'],
+    prev_plaintext_sha256s: ['c', 'd']
+  };
+  const docs = [
+    doc('Qm1', '10', null, 'a', null),
+    doc('Qm2', '11', 'Qm1', 'b', 'a'),
+    doc('Qm3', '12', 'Qm2', 'c', 'b'),
+    doc('Qm4', '13', 'Qm1', 'd', 'a'), // Branch forked from Qm1
+    merge
+  ];
+  
+  const result = verifyChainIntegrity(docs);
+  
+  assert.ok(result.valid, 'Forked branch and merge should be valid');
+  assert.strictEqual(result.merges, 1);
+  assert.deepStrictEqual(result.heads, ['Qm5']);
+  assert.deepStrictEqual(result.chain[4].prev_cids, ['Qm3', 'Qm4']);
+  
+  // A wrong hash for the merged branch head is a break
+  const tampered = verifyChainIntegrity([...docs.slice(0, 4), { ...merge, prev_plaintext_sha256s: ['c', 'WRONG'] }]);
+  assert.strictEqual(tampered.breaks, 1);
+  assert.ok(tampered.breakDetails[0].errors[0].includes('prev_plaintext_sha256'));
+});
+
+test('verifyChainIntegrity reports a second root as a chain reset', () => {
+  const docs = [
+    { timestamp: '2026-02-16T10:00:00Z', cid: 'Qm1', prev_cid: null, plaintext_sha256: 'a', prev_plaintext_sha256: null, wallet: 'w1', agent_id: 'theo' },
+    { timestamp: '2026-02-16T11:00:00Z', cid: 'Qm2', prev_cid: 'Qm1', plaintext_sha256: 'b', prev_plaintext_sha256: 'a', wallet: 'w1', agent_id: 'theo' },
+    // Saved after local state was lost: starts over instead of linking to Qm2
+    { timestamp: '2026-02-16T12:00:00Z', cid: 'Qm3', prev_cid: null, plaintext_sha256: 'c', prev_plaintext_sha256: null, wallet: 'w1', agent_id: 'theo' }
+  ];
+  
+  const result = verifyChainIntegrity(docs);
+  
+  assert.ok(!result.valid, 'A root after the oldest document should be invalid');
+  assert.strictEqual(result.breaks, 1);
+  assert.strictEqual(result.breakDetails[0].cid, 'Qm3');
+  assert.ok(result.breakDetails[0].errors[0].includes('unexpected root'));
+});
@@ -1,7 +1,29 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { encrypt, decrypt, sha256, md5 } from '../lib/cryptoBox.js';
+import {
+  encrypt,
+  decrypt,
+  sha256,
+  md5,
+  deriveKey,
+  createEncryptedPayload,
+  decryptPayload,
+  decryptWithKey,
+  unwrapDataKey,
+  getShredKeyId,
+  signWithWallet,
+  verifyWalletSignature,
+  bindingContext
+} from '../lib/cryptoBox.js';
+import { loadConfig } from '../lib/config.js';
 import { createHash, randomBytes } from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+function testWallet() {
+  const keypair = Keypair.generate();
+  return { pubkey: keypair.publicKey.toBase58(), secret: bs58.encode(keypair.secretKey) };
+}
 
 test('encrypt/decrypt roundtrip', () => {
   const plaintext = 'Hello, AegisMemory!';
@@ -61,3 +83,129 @@ test('md5 produces correct hash', () => {
   
   assert.strictEqual(result, expected, 'MD5 hash should match');
 });
+
+test('v2 payload roundtrip with per-document data key', async () => {
+  const { pubkey, secret } = testWallet();
+  
+  const payload = await createEncryptedPayload('memory one', pubkey, secret, 'TEST_KEY_V1');
+  
+  assert.strictEqual(payload.version, 2);
+  assert.strictEqual(payload.keys[0].type, 'wallet');
+  assert.strictEqual(await decryptPayload(payload, secret), 'memory one');
+});
+
+test('v2 payloads use a different data key per document', async () => {
+  const { pubkey, secret } = testWallet();
+  
+  const payload1 = await createEncryptedPayload('memory one', pubkey, secret, 'TEST_KEY_V1');
+  const payload2 = await createEncryptedPayload('memory two', pubkey, secret, 'TEST_KEY_V1');
+  const dataKey1 = await unwrapDataKey(payload1, secret);
+  
+  assert.strictEqual(decryptWithKey(payload1, dataKey1), 'memory one');
+  assert.throws(() => decryptWithKey(payload2, dataKey1), 'Data key must not open other documents');
+});
+
+test('v2 payload data key is wrapped for recipients', async () => {
+  const owner = testWallet();
+  const recipient = testWallet();
+  const teamKey = randomBytes(32);
+  
+  const payload = await createEncryptedPayload('team memory', owner.pubkey, owner.secret, 'TEST_KEY_V1', undefined, {
+    recipients: [{ wallet: recipient.pubkey }, { id: 'team', key: teamKey }]
+  });
+  
+  assert.strictEqual(payload.keys.length, 3);
+  assert.strictEqual(await decryptPayload(payload, recipient.secret), 'team memory');
+  assert.strictEqual(decryptWithKey(payload, teamKey), 'team memory');
+  await assert.rejects(() => decryptPayload(payload, testWallet().secret), /not wrapped/);
+});
+
+test('v1 payloads still decrypt', async () => {
+  const { pubkey, secret } = testWallet();
+  const key = await deriveKey(secret, 'TEST_KEY_V1');
+  
+  const payload = {
+    version: 1,
+    algorithm: 'AES-256-GCM',
+    wallet: pubkey,
+    derivationMsg: 'TEST_KEY_V1',
+    data: encrypt('legacy memory', key)
+  };
+  
+  assert.strictEqual(await decryptPayload(payload, secret), 'legacy memory');
+});
+
+test('shreddable payload is unreadable once its shred key is destroyed', async () => {
+  const { pubkey, secret } = testWallet();
+  const keys = new Map([['mem1', randomBytes(32)]]);
+  const keyStore = {
+    get: (id) => keys.get(id) || null,
+    isDestroyed: (id) => !keys.has(id)
+  };
+  
+  const payload = await createEncryptedPayload('forget me', pubkey, secret, 'TEST_KEY_V1', undefined, {
+    shredKey: { id: 'mem1', key: keys.get('mem1') }
+  });
+  
+  assert.ok(!payload.keys.some(k => k.type === 'wallet'), 'Wallet key alone must not open a shreddable payload');
+  assert.strictEqual(getShredKeyId(payload), 'mem1');
+  assert.strictEqual(await decryptPayload(payload, secret, undefined, { keyStore }), 'forget me');
+  
+  keys.delete('mem1');
+  await assert.rejects(() => decryptPayload(payload, secret, undefined, { keyStore }), /destroyed/);
+});
+
+test('wallet signatures verify against the signing wallet only', async () => {
+  const { pubkey, secret } = testWallet();
+  
+  const signature = await signWithWallet('tombstone-hash', secret);
+  
+  assert.ok(verifyWalletSignature('tombstone-hash', signature, pubkey));
+  assert.ok(!verifyWalletSignature('other-hash', signature, pubkey));
+  assert.ok(!verifyWalletSignature('tombstone-hash', signature, testWallet().pubkey));
+});
+
+test('context-bound payload detects edited context and swapped slots', async () => {
+  const { pubkey, secret } = testWallet();
+  const doc = { schema: 'aegismemory.v1', wallet: pubkey, agent_id: 'theo', prev_plaintext_sha256: 'abc' };
+  
+  const payload = await createEncryptedPayload('bound memory', pubkey, secret, 'TEST_KEY_V1', undefined, { context: doc });
+  
+  assert.strictEqual(payload.version, 3);
+  assert.deepStrictEqual(payload.context, bindingContext(doc));
+  assert.strictEqual(await decryptPayload(payload, secret, undefined, { context: { wallet: pubkey, agent_id: 'theo' } }), 'bound memory');
+  
+  // Relabelled context no longer authenticates
+  const edited = { ...payload, context: { ...payload.context, agent_id: 'other' } };
+  await assert.rejects(() => decryptPayload(edited, secret), /Tampering detected/);
+  
+  // Untouched object replayed into another agent's slot
+  await assert.rejects(() => decryptPayload(payload, secret, undefined, { context: { agent_id: 'other' } }), /Tampering detected/);
+});
+
+test('compressed payloads decompress transparently', async () => {
+  const { pubkey, secret } = testWallet();
+  const plaintext = JSON.stringify({ messages: Array(200).fill({ role: 'user', content: 'full session message' }) });
+  const teamKey = randomBytes(32);
+  
+  for (const compression of ['gzip', 'brotli']) {
+    const payload = await createEncryptedPayload(plaintext, pubkey, secret, 'TEST_KEY_V1', undefined, {
+      compression,
+      recipients: [{ id: 'team', key: teamKey }]
+    });
+    const uncompressed = await createEncryptedPayload(plaintext, pubkey, secret, 'TEST_KEY_V1');
+    
+    assert.strictEqual(payload.compression, compression);
+    assert.ok(payload.data.length < uncompressed.data.length / 5, `${compression} should shrink repetitive text`);
+    assert.strictEqual(await decryptPayload(payload, secret), plaintext);
+    assert.strictEqual(decryptWithKey(payload, teamKey), plaintext);
+  }
+});
+
+test('unknown compression codecs are rejected when the config loads', () => {
+  const { pubkey, secret } = testWallet();
+  const wallet = { walletPubkey: pubkey, walletSecretKeyBase58: secret };
+  
+  assert.strictEqual(loadConfig({ ...wallet, compression: 'brotli' }).compression, 'brotli');
+  assert.throws(() => loadConfig({ ...wallet, compression: 'zstd' }), /Unknown compression codec: zstd/);
+});
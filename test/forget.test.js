@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { statSync } from 'fs';
+import { join } from 'path';
+import { Keypair } from '@solana/web3.js';
+import { decryptPayload } from '../lib/cryptoBox.js';
+import { verifyTombstone } from '../lib/verify.js';
+import { KeyStore } from '../lib/keyStore.js';
+import { logger, setup, remember, tempDir } from './helpers.js';
+
+test('forget shreds the memory and appends a signed tombstone', async () => {
+  const ctx = setup('forget', { shreddable: true });
+  const { config, state, aegis, files } = ctx;
+
+  const { cid: first } = await remember(ctx, 'my address is 1 Main St');
+  const { cid: second } = await remember(ctx, 'I like tea');
+
+  const result = await aegis.forget(first, { reason: 'user request' });
+  assert.ok(result.shredded, 'Shreddable memory should be shredded');
+  assert.strictEqual(state.getLastCid(config.walletPubkey, 'theo'), result.cid);
+
+  await assert.rejects(
+    () => decryptPayload(JSON.parse(files[0].payload), config.walletSecretKeyBase58, undefined, { keyStore: aegis.keyStore }),
+    /destroyed/
+  );
+
+  const tombstone = JSON.parse(await decryptPayload(JSON.parse(files[2].payload), config.walletSecretKeyBase58));
+  assert.strictEqual(tombstone.forgotten.cid, first);
+  assert.strictEqual(tombstone.prev_cid, second);
+  assert.ok(verifyTombstone(tombstone).valid, 'Tombstone signature should verify');
+
+  const recalled = await aegis.recall({});
+  assert.deepStrictEqual(recalled.memories.map(m => m.cid), [second]);
+
+  await assert.rejects(() => aegis.forget(first), /already forgotten/);
+
+  ctx.cleanup();
+});
+
+test('forget hides non-shreddable memories from recall', async () => {
+  const ctx = setup('forget', { shreddable: false });
+  const { aegis } = ctx;
+
+  const { cid: first } = await remember(ctx, 'old memory');
+  await remember(ctx, 'new memory');
+
+  const result = await aegis.forget(first);
+  assert.strictEqual(result.shredded, false);
+  assert.strictEqual(result.readable, true, 'Unshredded memories are reported as still readable');
+
+  const recalled = await aegis.recall({});
+  assert.ok(!recalled.memories.some(m => m.cid === first), 'Forgotten memory should not be recalled');
+
+  ctx.cleanup();
+});
+
+test('forgetting a memory on a branch appends the tombstone to that branch', async () => {
+  const ctx = setup('forget', { shreddable: true });
+  const { config, state, aegis } = ctx;
+  const wallet = config.walletPubkey;
+
+  const { cid: base } = await remember(ctx, 'shared history');
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  const { cid: secret } = await remember(ctx, 'experiment secret', { branch: 'experiment' });
+  const { cid: after } = await remember(ctx, 'experiment notes', { branch: 'experiment' });
+
+  const result = await aegis.forget(secret);
+
+  const { data } = aegis.branches.getBranch(wallet, 'theo', 'experiment');
+  assert.strictEqual(data.lastCid, result.cid, 'The branch head moves to the tombstone');
+  assert.deepStrictEqual(data.cids.map(c => c.cid), [base, secret, after, result.cid]);
+  assert.strictEqual(state.getLastCid(wallet, 'theo'), base, 'Main is untouched');
+
+  const { entries } = await aegis.log({ branch: 'experiment' });
+  assert.strictEqual(entries[0].cid, result.cid);
+  assert.ok(entries[0].tombstone);
+  assert.deepStrictEqual(entries[0].prev_cids, [after], 'The tombstone links onto the branch head');
+  assert.strictEqual(entries[0].branch, 'experiment');
+
+  ctx.cleanup();
+});
+
+test('tampered tombstone fails verification', () => {
+  const tombstone = {
+    schema: 'aegismemory.tombstone.v1',
+    wallet: Keypair.generate().publicKey.toBase58(),
+    plaintext_sha256: 'abc',
+    signature: null,
+    forgotten: { cid: 'Qm1' }
+  };
+
+  assert.ok(!verifyTombstone(tombstone).valid);
+});
+
+test('a key destroyed by another process stays destroyed', () => {
+  const { dir, cleanup } = tempDir('keys');
+  const keyStorePath = join(dir, 'keys.json');
+
+  // Plugin and CLI each hold their own copy of keys.json
+  const plugin = new KeyStore(keyStorePath, logger);
+  const cli = new KeyStore(keyStorePath, logger);
+  plugin.getOrCreate('forgotten');
+  cli.getOrCreate('kept');
+  assert.ok(cli.destroy('forgotten'));
+
+  assert.ok(plugin.isDestroyed('forgotten'));
+  plugin.getOrCreate('new');
+  assert.throws(() => plugin.getOrCreate('forgotten'), /has been destroyed/);
+
+  const reloaded = new KeyStore(keyStorePath, logger);
+  assert.ok(reloaded.isDestroyed('forgotten'));
+  assert.strictEqual(reloaded.get('forgotten'), null);
+  assert.ok(reloaded.get('kept') && reloaded.get('new'), 'Keys created by either process are kept');
+  assert.strictEqual(statSync(keyStorePath).mode & 0o777, 0o600);
+
+  cleanup();
+});
@@ -0,0 +1,108 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { AegisMemory } from '../lib/aegisMemory.js';
+import { State } from '../lib/state.js';
+import { Queue } from '../lib/queue.js';
+
+/**
+ * Shared test fixtures
+ */
+
+export const logger = { debug() {}, info() {}, warn() {}, error() {} };
+export const metrics = { inc() {}, recordTime() {} };
+
+/**
+ * Temporary directory, removed by cleanup()
+ */
+export function tempDir(name) {
+  const dir = mkdtempSync(join(tmpdir(), `aegis-${name}-`));
+  return { dir, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Plugin config for a fresh wallet, with its files under dir
+ * @param {Object} overrides - Config fields to add or replace
+ */
+export function testConfig(dir, overrides = {}) {
+  const keypair = Keypair.generate();
+  return {
+    walletPubkey: keypair.publicKey.toBase58(),
+    walletSecretKeyBase58: bs58.encode(keypair.secretKey),
+    agentId: 'theo',
+    derivationMsg: 'TEST_KEY_V1',
+    cacheKeyTtlMs: 600000,
+    memoryPrefix: 'aegismemory/',
+    memoryFormat: 'json',
+    memoryLimitNumber: 10,
+    fetchConcurrency: 2,
+    maxPrependChars: 20000,
+    captureStrategy: 'last_turn',
+    maxMessageChars: 1000,
+    maxRetries: 1,
+    recallEnabled: true,
+    addEnabled: true,
+    anchorEnabled: false,
+    anchorProgram: 'memo',
+    recallRelevanceWeight: 0.7,
+    recallHalfLifeDays: 7,
+    statePath: join(dir, 'state.json'),
+    keyStorePath: join(dir, 'keys.json'),
+    baseUrl: 'http://vault.invalid',
+    ipfsGatewayUrls: [],
+    ...overrides
+  };
+}
+
+/**
+ * In-memory vault standing in for VaultApi and IpfsFetcher
+ * Uploads get CIDs Qm0, Qm1, ... and increasing timestamps.
+ */
+export function memoryVault() {
+  const files = [];
+  const vaultApi = {
+    add: async (payload, filename) => {
+      const cid = `Qm${files.length}`;
+      files.push({ cid, filename, payload: JSON.stringify(payload), timestamp: new Date(Date.now() + files.length).toISOString() });
+      return { cid };
+    },
+    listFiles: async () => files.map(({ cid, filename, timestamp }) => ({ cid, filename, timestamp }))
+  };
+  const ipfsFetcher = { fetch: async (cid) => files.find(f => f.cid === cid).payload };
+
+  return { files, vaultApi, ipfsFetcher };
+}
+
+/**
+ * AegisMemory with its own State, Queue and in-memory vault
+ * @param {string} name - Temporary directory name
+ * @param {Object} overrides - Config fields to add or replace
+ */
+export function setup(name, overrides = {}) {
+  const { dir, cleanup } = tempDir(name);
+  const config = testConfig(dir, overrides);
+  const state = new State(config.statePath, logger);
+  const queue = new Queue(join(dir, 'queue.jsonl'), logger);
+  const aegis = new AegisMemory(config, logger, metrics, state, queue);
+
+  const { files, vaultApi, ipfsFetcher } = memoryVault();
+  aegis.vaultApi = vaultApi;
+  aegis.ipfsFetcher = ipfsFetcher;
+
+  return { dir, config, state, queue, aegis, files, cleanup };
+}
+
+/**
+ * Save a turn and upload it right away
+ * @param {Object} ctx - Hook context fields (agentId, branch, ...)
+ * @returns {Object} { cid, doc }
+ */
+export async function remember({ aegis, queue }, text, ctx = {}) {
+  await aegis.save({ ...ctx, messages: [{ role: 'user', content: text }] });
+  const job = queue.jobs.find(j => j.type === 'UPLOAD_MEMORY');
+  const { cid } = await aegis.processUploadJob(job);
+  queue.complete(job.id);
+  return { cid, doc: job.payload.doc };
+}
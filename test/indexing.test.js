@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { VectorDB } from '../lib/vectorDB.js';
+import { SemanticSearch } from '../lib/search.js';
+import { logger, setup, remember } from './helpers.js';
+
+// Stands in for EmbeddingGenerator (no model download in tests)
+const embeddings = {
+  extractText: (memory) => JSON.stringify(memory.content),
+  embed: async (text) => [text.length, 1]
+};
+
+function setupIndexed() {
+  const ctx = setup('index', { indexEnabled: true });
+  const vectorDB = new VectorDB(ctx.config, logger);
+  ctx.aegis.semanticSearch = new SemanticSearch(ctx.config, embeddings, vectorDB, ctx.aegis.ipfsFetcher, logger);
+
+  return { ...ctx, vectorDB };
+}
+
+test('upload enqueues an index job that stores the embedding with metadata', async () => {
+  const ctx = setupIndexed();
+  const { queue, aegis, vectorDB } = ctx;
+
+  const { cid } = await remember(ctx, 'validator setup on X1');
+
+  const job = queue.getNext();
+  assert.strictEqual(job.type, 'INDEX_MEMORY');
+  assert.strictEqual(job.payload.cid, cid);
+  assert.strictEqual(job.payload.doc, undefined, 'Index jobs do not carry the plaintext document');
+
+  await aegis.processIndexJob(job);
+  queue.complete(job.id);
+
+  const entry = await vectorDB.get(cid);
+  assert.ok(entry, 'Memory should be indexed');
+  assert.strictEqual(entry.metadata.agent_id, 'theo');
+  assert.strictEqual(entry.metadata.branch, 'main');
+  assert.match(entry.metadata.date, /^\d{4}-\d{2}-\d{2}$/);
+  assert.deepStrictEqual(entry.metadata.tags, []);
+
+  ctx.cleanup();
+});
+
+test('reindex backfills the chain and drops forgotten memories', async () => {
+  const ctx = setupIndexed();
+  const { queue, aegis, vectorDB } = ctx;
+
+  const { cid: first } = await remember(ctx, 'first memory');
+  const { cid: second } = await remember(ctx, 'second memory');
+  const { cid: third } = await remember(ctx, 'third memory');
+
+  // Only the last upload gets indexed by the worker
+  const thirdJob = queue.jobs.find(j => j.type === 'INDEX_MEMORY' && j.payload.cid === third);
+  await aegis.processIndexJob(thirdJob);
+  await vectorDB.add(first, [1, 1], { agent_id: 'theo' });
+
+  await aegis.forget(first);
+  assert.strictEqual(await vectorDB.get(first), null, 'Forget should drop the embedding');
+  await vectorDB.add(first, [1, 1], { agent_id: 'theo' });
+
+  const [result] = await aegis.reindex();
+  assert.deepStrictEqual(result, { agentId: 'theo', indexed: 1, skipped: 1, removed: 1, failed: 0 });
+  assert.ok(await vectorDB.get(second));
+  assert.strictEqual(await vectorDB.get(first), null);
+
+  const [forced] = await aegis.reindex({ agentId: 'theo', force: true });
+  assert.strictEqual(forced.indexed, 2);
+
+  ctx.cleanup();
+});
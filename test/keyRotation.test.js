@@ -0,0 +1,211 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { KeyRotation, ROTATE_JOB_TYPE } from '../lib/keyRotation.js';
+import { State } from '../lib/state.js';
+import { Queue } from '../lib/queue.js';
+import { createEncryptedPayload, decryptPayload, sha256 } from '../lib/cryptoBox.js';
+import { canonicalStringify } from '../lib/util.js';
+import { verifyChainIntegrity } from '../lib/chain.js';
+import { logger, metrics, tempDir, testConfig, memoryVault } from './helpers.js';
+
+function setup() {
+  const { dir, cleanup } = tempDir('rotate');
+  const config = testConfig(dir, { derivationMsg: 'OLD_MSG' });
+  const state = new State(config.statePath, logger);
+  const queue = new Queue(join(dir, 'queue.jsonl'), logger);
+  const rotation = new KeyRotation(config, logger, metrics, state, queue);
+
+  const { files, vaultApi, ipfsFetcher } = memoryVault();
+  rotation.vaultApi = vaultApi;
+  rotation.ipfsFetcher = ipfsFetcher;
+
+  return { config, state, queue, rotation, files, cleanup };
+}
+
+async function seedChain({ config, state, rotation }, count) {
+  let prev = null;
+  for (let i = 0; i < count; i++) {
+    const doc = {
+      schema: 'aegismemory.v1',
+      agent_id: 'theo',
+      wallet: config.walletPubkey,
+      date: '2026-02-16',
+      prev_cid: prev?.cid || null,
+      prev_plaintext_sha256: prev?.sha || null,
+      plaintext_sha256: null,
+      content: { summary: `memory ${i}` }
+    };
+    doc.plaintext_sha256 = sha256(canonicalStringify(doc));
+    const payload = await createEncryptedPayload(canonicalStringify(doc), config.walletPubkey, config.walletSecretKeyBase58, config.derivationMsg, config.cacheKeyTtlMs);
+    const { cid } = await rotation.vaultApi.add(payload);
+    prev = { cid, sha: doc.plaintext_sha256 };
+  }
+  state.setLastCid(config.walletPubkey, 'theo', prev.cid, prev.sha);
+  return prev.cid;
+}
+
+test('rotation re-encrypts and relinks the whole chain', async () => {
+  const ctx = setup();
+  const { config, state, queue, rotation } = ctx;
+  const oldHead = await seedChain(ctx, 3);
+
+  const [job] = rotation.plan('NEW_MSG');
+  assert.strictEqual(job.type, ROTATE_JOB_TYPE);
+
+  const result = await rotation.processRotateJob(job);
+  queue.complete(job.id);
+
+  assert.strictEqual(result.documents, 3);
+  assert.notStrictEqual(result.head, oldHead);
+  assert.strictEqual(state.getLastCid(config.walletPubkey, 'theo'), result.head);
+
+  // Walk the new chain: every link points at a rotated CID under the new key
+  let cid = result.head;
+  let count = 0;
+  while (cid) {
+    const payload = JSON.parse(await rotation.ipfsFetcher.fetch(cid));
+    assert.strictEqual(payload.derivationMsg, 'NEW_MSG');
+    const doc = JSON.parse(await decryptPayload(payload, config.walletSecretKeyBase58));
+    const check = { ...doc, plaintext_sha256: null };
+    assert.strictEqual(doc.plaintext_sha256, sha256(canonicalStringify(check)));
+    cid = doc.prev_cid;
+    count++;
+  }
+  assert.strictEqual(count, 3);
+
+  ctx.cleanup();
+});
+
+test('rotation resumes from saved progress', async () => {
+  const ctx = setup();
+  const { queue, rotation } = ctx;
+  await seedChain(ctx, 3);
+
+  const [job] = rotation.plan('NEW_MSG');
+
+  // Fail on the second upload
+  const add = rotation.vaultApi.add;
+  let uploads = 0;
+  rotation.vaultApi.add = async (...args) => {
+    if (++uploads === 2) throw new Error('vault down');
+    return add(...args);
+  };
+  await assert.rejects(rotation.processRotateJob(job), /vault down/);
+  assert.strictEqual(job.payload.rotated.length, 1);
+
+  // Re-planning returns the same job and picks up where it stopped
+  rotation.vaultApi.add = add;
+  const [resumed] = rotation.plan('NEW_MSG');
+  assert.strictEqual(resumed.id, job.id);
+
+  const result = await rotation.processRotateJob(resumed);
+  assert.strictEqual(result.documents, 3);
+  assert.strictEqual(queue.jobs[0].payload.rotated[0].newCid, job.payload.rotated[0].newCid);
+
+  ctx.cleanup();
+});
+
+test('rotation fails if the chain head moves', async () => {
+  const ctx = setup();
+  const { config, state, rotation } = ctx;
+  await seedChain(ctx, 2);
+
+  const [job] = rotation.plan('NEW_MSG');
+  Object.assign(job.payload, {
+    oldCids: ['Qm0', 'Qm1'],
+    parents: { Qm0: [], Qm1: ['Qm0'] },
+    heads: { Qm1: 'Qm1' },
+    forgotten: [],
+    oldHead: 'Qm1',
+    oldHeads: ['Qm1']
+  });
+
+  // A writer appends a memory after the rotation was planned
+  state.setLastCid(config.walletPubkey, 'theo', 'QmNEW', 'sha');
+
+  await assert.rejects(rotation.processRotateJob(job), /moved during rotation/);
+
+  ctx.cleanup();
+});
+
+test('rotation relinks every parent of merges and history only other branches reach', async () => {
+  const ctx = setup();
+  const { config, state, queue, rotation } = ctx;
+  const wallet = config.walletPubkey;
+
+  const upload = async (hour, branch, parents, extra = {}) => {
+    const doc = {
+      schema: 'aegismemory.v1',
+      agent_id: 'theo',
+      wallet,
+      timestamp: `2026-02-16T${hour}:00:00.000Z`,
+      date: '2026-02-16',
+      branch,
+      prev_cid: parents[0]?.cid || null,
+      prev_plaintext_sha256: parents[0]?.sha || null,
+      plaintext_sha256: null,
+      content: { summary: `${branch} at ${hour}` },
+      ...extra
+    };
+    doc.plaintext_sha256 = sha256(canonicalStringify(doc));
+    const payload = await createEncryptedPayload(canonicalStringify(doc), wallet, config.walletSecretKeyBase58, config.derivationMsg, config.cacheKeyTtlMs);
+    const { cid } = await rotation.vaultApi.add(payload);
+    return { cid, sha: doc.plaintext_sha256 };
+  };
+
+  const root = await upload('10', 'main', []);
+  const main = await upload('11', 'main', [root]);
+  const experiment = await upload('12', 'experiment', [root]);
+  const merge = await upload('13', 'main', [main, experiment], {
+    schema: 'aegismemory.merge.v1',
+    prev_cids: [main.cid, experiment.cid],
+    prev_plaintext_sha256s: [main.sha, experiment.sha]
+  });
+  const side = await upload('14', 'side', [root]); // Only the side branch reaches it
+
+  const branch = (head, cids) => ({ lastCid: head.cid, lastPlaintextSha256: head.sha, cids: cids.map(c => ({ cid: c.cid, sha256: c.sha })) });
+  state.setAgent(wallet, 'theo', {
+    lastCid: merge.cid,
+    lastPlaintextSha256: merge.sha,
+    branches: {
+      main: branch(merge, [root, main, merge]),
+      experiment: branch(experiment, [root, experiment]),
+      side: branch(side, [root, side])
+    }
+  });
+
+  const [job] = rotation.plan('NEW_MSG');
+  const result = await rotation.processRotateJob(job);
+  queue.complete(job.id);
+  assert.strictEqual(result.documents, 5);
+
+  const oldCids = new Set([root, main, experiment, merge, side].map(d => d.cid));
+  const read = async (cid) => {
+    const payload = JSON.parse(await rotation.ipfsFetcher.fetch(cid));
+    assert.strictEqual(payload.derivationMsg, 'NEW_MSG', `${cid} should be under the new derivation`);
+    return { ...JSON.parse(await decryptPayload(payload, config.walletSecretKeyBase58)), cid };
+  };
+
+  // Walk the rotated DAG from every branch head
+  const { branches } = state.getAgent(wallet, 'theo');
+  const docs = new Map();
+  const pending = Object.values(branches).map(b => b.lastCid);
+  while (pending.length > 0) {
+    const cid = pending.pop();
+    if (!cid || docs.has(cid)) continue;
+    assert.ok(!oldCids.has(cid), `${cid} should be a rotated CID`);
+    const doc = await read(cid);
+    docs.set(cid, doc);
+    pending.push(...(doc.prev_cids || [doc.prev_cid]));
+  }
+  assert.strictEqual(docs.size, 5);
+
+  const rotatedMerge = docs.get(result.head);
+  assert.strictEqual(rotatedMerge.prev_cids.length, 2);
+  assert.strictEqual(rotatedMerge.prev_cids[1], branches.experiment.lastCid);
+  assert.ok(verifyChainIntegrity([...docs.values()]).valid);
+  assert.ok(branches.side.cids.every(c => !oldCids.has(c.cid)));
+
+  ctx.cleanup();
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { setup, remember } from './helpers.js';
+
+test('log walks a branch from its head, newest first, through merges', async () => {
+  const ctx = setup('log');
+  const { config, aegis } = ctx;
+  const wallet = config.walletPubkey;
+
+  const base = await remember(ctx, 'shared history');
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  const fork = await remember(ctx, 'experiment result', { branch: 'experiment' });
+  const onMain = await remember(ctx, 'main moved on');
+
+  const experiment = await aegis.log({ branch: 'experiment' });
+  assert.strictEqual(experiment.head, fork.cid);
+  assert.deepStrictEqual(experiment.entries.map(e => e.cid), [fork.cid, base.cid]);
+  assert.strictEqual(experiment.entries[0].summary, 'User: experiment result');
+  assert.strictEqual(experiment.entries[0].anchor, 'off');
+
+  const merge = await aegis.mergeBranch('experiment', 'main');
+  const main = await aegis.log();
+  assert.deepStrictEqual(main.entries.map(e => e.cid), [merge.mergeCid, onMain.cid, fork.cid, base.cid]);
+  assert.ok(main.entries[0].merge);
+  assert.deepStrictEqual(main.entries[0].prev_cids, [onMain.cid, fork.cid]);
+
+  const limited = await aegis.log({ limit: 2 });
+  assert.strictEqual(limited.entries.length, 2);
+
+  ctx.cleanup();
+});
+
+test('diff lists memories unique to each branch since the fork point', async () => {
+  const ctx = setup('log');
+  const { config, aegis } = ctx;
+  const wallet = config.walletPubkey;
+
+  const base = await remember(ctx, 'shared history');
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  const first = await remember(ctx, 'experiment one', { branch: 'experiment' });
+  const second = await remember(ctx, 'experiment two', { branch: 'experiment' });
+  const onMain = await remember(ctx, 'main moved on');
+
+  const result = await aegis.diff('main', 'experiment');
+  assert.strictEqual(result.forkCid, base.cid);
+  assert.deepStrictEqual(result.left.entries.map(e => e.cid), [onMain.cid]);
+  assert.deepStrictEqual(result.right.entries.map(e => e.cid), [second.cid, first.cid]);
+
+  await assert.rejects(() => aegis.diff('main', 'missing'), /not found/);
+
+  ctx.cleanup();
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { buildMerkleTree, verifyMerkleProof } from '../lib/merkle.js';
+import { AegisAnchor } from '../lib/anchor.js';
+import { State } from '../lib/state.js';
+import { sha256 } from '../lib/cryptoBox.js';
+import { verifyOnChainAnchor } from '../lib/verify.js';
+import { logger, metrics, tempDir, setup, remember } from './helpers.js';
+
+const hashes = n => Array.from({ length: n }, (_, i) => sha256(`memory ${i}`));
+
+test('every leaf proves into the root, for any tree size', () => {
+  for (let n = 1; n <= 9; n++) {
+    const leaves = hashes(n);
+    const { root, proofs } = buildMerkleTree(leaves);
+
+    leaves.forEach((leaf, i) => {
+      assert.ok(verifyMerkleProof(leaf, proofs[i], root), `leaf ${i} of ${n}`);
+    });
+    if (n > 1) {
+      assert.ok(!verifyMerkleProof(sha256('other'), proofs[0], root), 'Foreign leaf should not verify');
+      assert.ok(!verifyMerkleProof(leaves[1], proofs[0], root), 'Proof should be bound to its position');
+    }
+  }
+
+  assert.throws(() => buildMerkleTree([]), /without leaves/);
+});
+
+test('batch anchor covers every unanchored memory with one memo', async () => {
+  const { dir, cleanup } = tempDir('merkle');
+  const state = new State(join(dir, 'state.json'), logger);
+  const anchor = new AegisAnchor({ anchorEnabled: true, anchorFrequency: 'batch', anchorRpcUrl: 'http://rpc.invalid' }, logger, metrics, state);
+
+  // Memo transactions recorded instead of sent
+  const memos = new Map();
+  anchor._submitMemo = async (payload) => {
+    const signature = `sig${memos.size}`;
+    memos.set(signature, payload);
+    return { signature, slot: 1, blockTime: 2 };
+  };
+  anchor.verifyAnchor = async (signature, expected) => ({ valid: memos.get(signature) === expected, slot: 1 });
+
+  const docs = hashes(5).map((sha, i) => ({ cid: `Qm${i}`, plaintext_sha256: sha }));
+  const cids = docs.map((doc, i) => ({ cid: doc.cid, timestamp: i, sha256: doc.plaintext_sha256 }));
+  state.setAgent('wallet', 'theo', {
+    branches: { main: { cids: cids.slice(0, 3) }, experiment: { cids: [...cids.slice(0, 2), ...cids.slice(3)] } }
+  });
+
+  assert.ok(anchor.shouldAnchor('wallet', 'theo', '2026-03-01'));
+  const result = await anchor.anchorBatch('wallet', 'theo', '2026-03-01');
+  assert.strictEqual(result.leafCount, 5);
+  assert.strictEqual(memos.get(result.signature), `AegisMemory|v2|2026-03-01|${result.root}|5`);
+  assert.ok(!anchor.shouldAnchor('wallet', 'theo', '2026-03-01'));
+
+  for (const doc of docs) {
+    const verified = await verifyOnChainAnchor(doc, anchor, anchor.getProof('wallet', 'theo', doc.cid));
+    assert.ok(verified.valid, `${doc.cid}: ${verified.errors}`);
+  }
+
+  const tampered = { ...docs[2], plaintext_sha256: sha256('tampered') };
+  assert.ok(!(await verifyOnChainAnchor(tampered, anchor, anchor.getProof('wallet', 'theo', 'Qm2'))).valid);
+
+  // Nothing new to anchor
+  assert.strictEqual((await anchor.anchorBatch('wallet', 'theo', '2026-03-02')).skipped, true);
+
+  cleanup();
+});
+
+test('batch mode anchors the day once it is over, with every memory of the day', async () => {
+  const ctx = setup('batch', { anchorEnabled: true, anchorFrequency: 'batch', anchorRpcUrl: 'http://rpc.invalid' });
+  const { aegis, queue } = ctx;
+  aegis.anchor.refreshBalance = async () => null;
+  aegis.anchor._submitMemo = async () => ({ signature: 'sig0', slot: 1, blockTime: 2 });
+
+  const m0 = await remember(ctx, 'morning memory');
+  await remember(ctx, 'evening memory');
+
+  const batches = queue.jobs.filter(j => j.type === 'ANCHOR_BATCH');
+  assert.strictEqual(batches.length, 1, 'One batch job per day');
+  assert.strictEqual(batches[0].runAt, new Date(Date.parse(m0.doc.date) + 86400000).toISOString());
+  assert.strictEqual(queue.claimNext(), null, 'Not before the day is over');
+  assert.strictEqual(queue.scheduledCount(), 1);
+  assert.strictEqual(queue.list()[0].status, 'waiting');
+
+  const result = await aegis.processAnchorBatchJob(batches[0]);
+  assert.strictEqual(result.leafCount, 2);
+
+  ctx.cleanup();
+});
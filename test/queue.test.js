@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { hostname } from 'os';
+import { join } from 'path';
+import { Queue } from '../lib/queue.js';
+import { logger, tempDir } from './helpers.js';
+
+function setup() {
+  const { dir, cleanup } = tempDir('queue');
+  return { dir, queuePath: join(dir, 'queue.jsonl'), cleanup };
+}
+
+const lines = path => readFileSync(path, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+
+test('jobs that use up their retries are dead-lettered with their error history', () => {
+  const { dir, queuePath, cleanup } = setup();
+  const queue = new Queue(queuePath, logger);
+
+  const upload = queue.enqueue('UPLOAD_MEMORY', { agentId: 'theo', doc: { agent_id: 'theo', content: 'secret' } }, { key: 'u1', maxRetries: 2 });
+  queue.enqueue('ANCHOR_MEMORY', { agentId: 'ada', cid: 'Qm1' }, { maxRetries: 2 });
+
+  queue.fail(upload.id, new Error('vault timeout'), 0);
+  assert.strictEqual(queue.list({ status: 'pending' }).length, 2);
+  queue.fail(upload.id, new Error('vault 503'), 0);
+
+  // Gone from the queue, kept in the dead-letter file
+  assert.deepStrictEqual(new Queue(queuePath, logger).jobs.map(j => j.type), ['ANCHOR_MEMORY']);
+  const [dead] = lines(join(dir, 'queue.dead.jsonl'));
+  assert.strictEqual(dead.id, upload.id);
+  assert.deepStrictEqual(dead.errors.map(e => e.error), ['vault timeout', 'vault 503']);
+  assert.strictEqual(queue.getStats().failed, 1);
+  assert.strictEqual(queue.getNext().type, 'ANCHOR_MEMORY');
+
+  // Filters, and no plaintext in listings
+  const reloaded = new Queue(queuePath, logger);
+  assert.deepStrictEqual(reloaded.list({ status: 'dead' }).map(j => j.id), [upload.id]);
+  assert.strictEqual(reloaded.list({ error: 'TIMEOUT' }).length, 1);
+  assert.strictEqual(reloaded.list({ agentId: 'ada' })[0].type, 'ANCHOR_MEMORY');
+  assert.strictEqual(reloaded.list({ type: 'UPLOAD_MEMORY', error: 'nope' }).length, 0);
+  const shown = reloaded.show(upload.id.slice(0, 16));
+  assert.strictEqual(shown.status, 'dead');
+  assert.ok(!JSON.stringify(shown).includes('secret'));
+
+  // The memory document never reaches the dead-letter file, nor stays in the log
+  assert.ok(!readFileSync(join(dir, 'queue.dead.jsonl'), 'utf8').includes('secret'));
+  assert.ok(!readFileSync(queuePath, 'utf8').includes('secret'));
+  assert.strictEqual(dead.payload.documentDropped, true);
+  assert.deepStrictEqual(reloaded.retryDead([upload.id]), [], 'An upload without its document cannot run again');
+  assert.strictEqual(reloaded.listDead().length, 1);
+
+  // Retry keeps the history and gives fresh attempts
+  const anchor = reloaded.jobs[0];
+  reloaded.fail(anchor.id, new Error('rpc timeout'), 0);
+  reloaded.fail(anchor.id, new Error('rpc 429'), 0);
+  const [requeued] = reloaded.retryDead([anchor.id]);
+  assert.strictEqual(requeued.attempts, 0);
+  assert.strictEqual(requeued.errors.length, 2);
+  assert.deepStrictEqual(reloaded.listDead().map(j => j.id), [upload.id]);
+  assert.strictEqual(new Queue(queuePath, logger).list({ type: 'ANCHOR_MEMORY' })[0].status, 'pending');
+
+  cleanup();
+});
+
+test('a completed upload leaves no memory document in the queue log', () => {
+  const { dir, queuePath, cleanup } = setup();
+  const queue = new Queue(queuePath, logger);
+  const doc = { agent_id: 'theo', content: 'secret' };
+
+  const upload = queue.enqueue('UPLOAD_MEMORY', { agentId: 'theo', doc }, { key: 'u1' });
+  queue.enqueue('ANCHOR_MEMORY', { agentId: 'theo', cid: 'Qm1' });
+  assert.strictEqual(queue.claimNext().id, upload.id);
+  queue.fail(upload.id, new Error('vault 503'), 0);
+  assert.ok(readFileSync(queuePath, 'utf8').includes('secret'), 'Still queued');
+
+  assert.strictEqual(queue.claimNext().id, upload.id);
+  queue.complete(upload.id);
+  assert.ok(!readFileSync(queuePath, 'utf8').includes('secret'));
+  assert.deepStrictEqual(new Queue(queuePath, logger).jobs.map(j => j.type), ['ANCHOR_MEMORY']);
+
+  // Dead letters written by older versions lose their documents on load
+  const old = { id: '1-a', type: 'UPLOAD_MEMORY', payload: { key: 'u2', doc }, attempts: 6, maxRetries: 6, errors: [] };
+  writeFileSync(join(dir, 'queue.dead.jsonl'), JSON.stringify(old) + '\n');
+  assert.strictEqual(new Queue(queuePath, logger).listDead()[0].payload.documentDropped, true);
+  assert.ok(!readFileSync(join(dir, 'queue.dead.jsonl'), 'utf8').includes('secret'));
+
+  cleanup();
+});
+
+test('exhausted jobs from older queue files are moved aside, drop and purge delete dead letters', () => {
+  const { dir, queuePath, cleanup } = setup();
+  const stale = (id, type) => ({ id, type, payload: { agentId: 'theo' }, createdAt: '2026-01-01T00:00:00.000Z', attempts: 6, maxRetries: 6, nextRetryAt: null, lastError: `${type} failed` });
+  writeFileSync(queuePath, [stale('1-a', 'UPLOAD_MEMORY'), stale('2-b', 'INDEX_MEMORY'), stale('3-c', 'INDEX_MEMORY')].map(j => JSON.stringify(j)).join('\n') + '\n');
+
+  const queue = new Queue(queuePath, logger);
+  assert.strictEqual(queue.size(), 0);
+  assert.strictEqual(lines(join(dir, 'queue.dead.jsonl')).length, 3);
+
+  assert.strictEqual(queue.dropDead(['1-a']), 1);
+  assert.strictEqual(queue.dropDead(queue.listDead({ type: 'INDEX_MEMORY' }).map(j => j.id)), 2);
+  assert.deepStrictEqual(new Queue(queuePath, logger).listDead(), []);
+  assert.strictEqual(queue.find('1-a'), null);
+
+  cleanup();
+});
+
+test('processes sharing a queue file lease jobs instead of both running them', () => {
+  const { queuePath, cleanup } = setup();
+  const plugin = new Queue(queuePath, logger);
+  const cli = new Queue(queuePath, logger);
+
+  const first = plugin.enqueue('UPLOAD_MEMORY', { agentId: 'theo' }, { key: 'u1' });
+  const second = cli.enqueue('UPLOAD_MEMORY', { agentId: 'theo' }, { key: 'u2' });
+  assert.strictEqual(cli.enqueue('UPLOAD_MEMORY', { agentId: 'theo' }, { key: 'u1' }).id, first.id, 'Dedupe sees the other process');
+
+  assert.strictEqual(plugin.claimNext().id, first.id);
+  assert.strictEqual(cli.claimNext().id, second.id, 'The leased job is skipped');
+  assert.strictEqual(cli.claimNext(), null);
+  assert.strictEqual(cli.markProcessing(first.id), false);
+  assert.deepStrictEqual(cli.getStats(), { total: 2, pending: 0, processing: 2, failed: 0, waiting: 0 });
+
+  plugin.complete(first.id);
+  cli.fail(second.id, new Error('vault 503'), 0);
+  assert.strictEqual(plugin.size(), 1);
+  assert.strictEqual(plugin.claimNext().id, second.id);
+
+  // Leases of crashed holders: a dead pid on this host, an expired lease elsewhere
+  const crashed = (id, lease) => JSON.stringify({ id, type: 'INDEX_MEMORY', payload: {}, createdAt: '2026-01-01T00:00:00.000Z', attempts: 0, maxRetries: 2, nextRetryAt: null, lastError: null, lease }) + '\n';
+  appendFileSync(queuePath, crashed('dead-pid', { owner: 'gone', host: hostname(), pid: 2147483646, expiresAt: '2999-01-01T00:00:00.000Z' }));
+  appendFileSync(queuePath, crashed('expired', { owner: 'vps-2', host: 'vps-2', pid: 1, expiresAt: '2026-01-01T00:00:00.000Z' }));
+  appendFileSync(queuePath, crashed('held', { owner: 'vps-2', host: 'vps-2', pid: 1, expiresAt: '2999-01-01T00:00:00.000Z' }));
+
+  const reclaimed = [cli.claimNext(), cli.claimNext()];
+  assert.deepStrictEqual(reclaimed.map(j => j.id), ['dead-pid', 'expired']);
+  assert.strictEqual(reclaimed[0].attempts, 1, 'The crashed run counts as an attempt');
+  assert.match(reclaimed[1].lastError, /Lease held by vps-2 expired/);
+  assert.strictEqual(cli.claimNext(), null, 'A live lease on another host is respected');
+
+  plugin.renewLeases();
+  assert.strictEqual(plugin.show(second.id).lease.owner, plugin.owner);
+  cleanup();
+});
+
+test('a process that lost its lease cannot complete or fail the job it lost', async () => {
+  const { queuePath, cleanup } = setup();
+  const plugin = new Queue(queuePath, logger, { leaseMs: 30 });
+  const cli = new Queue(queuePath, logger, { leaseMs: 30 });
+
+  const job = plugin.enqueue('UPLOAD_MEMORY', { agentId: 'theo' }, { maxRetries: 3 });
+  assert.strictEqual(plugin.claimNext().id, job.id);
+
+  // The plugin stalls past its lease without renewing, the CLI takes the job over
+  clearInterval(plugin.renewTimer);
+  plugin.renewTimer = null;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(cli.claimNext().id, job.id);
+
+  assert.strictEqual(plugin.complete(job.id), false, 'A late completion is ignored');
+  assert.strictEqual(plugin.fail(job.id, new Error('timeout')), false, 'A late failure is ignored');
+  assert.strictEqual(cli.show(job.id).attempts, 1, 'Only the reclaim counts as an attempt');
+  assert.strictEqual(cli.show(job.id).lease.owner, cli.owner);
+
+  assert.strictEqual(cli.complete(job.id), true);
+  assert.strictEqual(plugin.size(), 0);
+
+  // Jobs processed without a lease are still completed directly
+  const direct = plugin.enqueue('INDEX_MEMORY', { cid: 'Qm1' });
+  assert.strictEqual(plugin.complete(direct.id), true);
+  plugin.close();
+  cli.close();
+  cleanup();
+});
+
+test('the queue log is compacted once stale records dominate, torn lines are skipped', () => {
+  const { queuePath, cleanup } = setup();
+  const plugin = new Queue(queuePath, logger);
+  const cli = new Queue(queuePath, logger);
+
+  const kept = plugin.enqueue('INDEX_MEMORY', { cid: 'QmKeep' });
+  for (let i = 0; i < 260; i++) {
+    plugin.complete(plugin.enqueue('INDEX_MEMORY', { cid: `Qm${i}` }).id);
+  }
+  assert.ok(lines(queuePath).length < 50, 'Log should have been compacted');
+
+  // A crashed writer left half a record; the next append starts a fresh line
+  appendFileSync(queuePath, '{"id":"torn","ty');
+  cli.updatePayload(kept.id, { attempt: 2 });
+  const upload = cli.enqueue('UPLOAD_MEMORY', { agentId: 'theo' });
+
+  const reloaded = new Queue(queuePath, logger);
+  assert.deepStrictEqual(reloaded.jobs.map(j => j.id), [kept.id, upload.id]);
+  assert.strictEqual(plugin.find(kept.id).job.payload.attempt, 2);
+  assert.strictEqual(plugin.find(kept.id).job, kept, 'Replayed records update job objects in place');
+  cleanup();
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createEncryptedPayload } from '../lib/cryptoBox.js';
+import { setup } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Memories saved directly into the vault, aged by days
+async function seeded(memories) {
+  const ctx = setup('recall', { memoryLimitNumber: 2, recallMinScore: 0.3 });
+  const { config, files } = ctx;
+
+  for (const [i, { summary, ageDays, tags = [] }] of memories.entries()) {
+    const timestamp = new Date(Date.now() - ageDays * DAY).toISOString();
+    const doc = { schema: 'aegismemory.v1', agent_id: 'theo', wallet: config.walletPubkey, timestamp, date: timestamp.slice(0, 10), content: { summary, tags } };
+    const payload = await createEncryptedPayload(JSON.stringify(doc), config.walletPubkey, config.walletSecretKeyBase58, config.derivationMsg, config.cacheKeyTtlMs);
+    files.push({ cid: `Qm${i}`, filename: `aegismemory/${i}.json`, timestamp, payload: JSON.stringify(payload) });
+  }
+
+  return ctx;
+}
+
+const MEMORIES = [
+  { summary: 'validator setup on X1', ageDays: 10, tags: ['x1'] },
+  { summary: 'small talk about weather', ageDays: 1 },
+  { summary: 'lunch plans', ageDays: 0 }
+];
+
+test('recall without query returns the newest memories', async () => {
+  const { aegis, cleanup } = await seeded(MEMORIES);
+
+  const result = await aegis.recall({});
+  assert.deepStrictEqual(result.memories.map(m => m.content.summary), ['lunch plans', 'small talk about weather']);
+
+  cleanup();
+});
+
+test('recall with query ranks relevant older memories first', async () => {
+  const { aegis, cleanup } = await seeded(MEMORIES);
+
+  let searched = null;
+  aegis.semanticSearch = {
+    vectorDB: { count: async () => 3 },
+    search: async (query, options) => {
+      searched = { query, options };
+      return [{ cid: 'Qm0', relevance_score: 0.9 }];
+    }
+  };
+
+  const result = await aegis.recall({ query: 'how do I set up my validator?' });
+  assert.strictEqual(searched.options.decrypt, false);
+  assert.strictEqual(result.memories[0].cid, 'Qm0', 'Relevant memory outside the recency window should be recalled first');
+  assert.strictEqual(result.memories.length, 2);
+  assert.ok(result.prependContext.indexOf('validator setup') < result.prependContext.indexOf('lunch plans'));
+
+  cleanup();
+});
+
+test('recall falls back to recency when search fails and honours since/tags', async () => {
+  const { aegis, cleanup } = await seeded(MEMORIES);
+
+  aegis.semanticSearch = {
+    vectorDB: { count: async () => 3 },
+    search: async () => { throw new Error('model unavailable'); }
+  };
+
+  const recent = await aegis.recall({ query: 'anything', limit: 3 });
+  assert.strictEqual(recent.memories[0].content.summary, 'lunch plans');
+
+  const tagged = await aegis.recall({ tags: ['X1'] });
+  assert.deepStrictEqual(tagged.memories.map(m => m.cid), ['Qm0']);
+
+  const since = new Date(Date.now() - 2 * DAY).toISOString();
+  const latest = await aegis.recall({ since, limit: 3 });
+  assert.deepStrictEqual(latest.memories.map(m => m.cid).sort(), ['Qm1', 'Qm2']);
+
+  await assert.rejects(() => aegis.recall({ since: 'not a date' }), /Invalid since date/);
+
+  cleanup();
+});
+
+test('recall rejects a memory object replayed under another CID of the agent', async () => {
+  const { aegis, cleanup } = setup('recall');
+  const { walletPubkey: wallet, walletSecretKeyBase58, derivationMsg, cacheKeyTtlMs } = aegis.config;
+
+  // The vault serves the first memory's object in place of the second one
+  const timestamp = new Date().toISOString();
+  const first = { schema: 'aegismemory.v1', agent_id: 'theo', wallet, timestamp, prev_plaintext_sha256: null, content: { summary: 'first' } };
+  const payload = JSON.stringify(await createEncryptedPayload(JSON.stringify(first), wallet, walletSecretKeyBase58, derivationMsg, cacheKeyTtlMs, { context: first }));
+  aegis.vaultApi = { listFiles: async () => ['Qm0', 'Qm1'].map(cid => ({ cid, filename: `aegismemory/${cid}.json`, timestamp })) };
+  aegis.ipfsFetcher = { fetch: async () => payload };
+
+  const cids = [{ cid: 'Qm0', prevSha256: null }, { cid: 'Qm1', prevSha256: 'a'.repeat(64) }];
+  aegis.state.setAgent(wallet, 'theo', {
+    lastCid: 'Qm1',
+    lastPlaintextSha256: 'b'.repeat(64),
+    currentBranch: 'main',
+    branches: { main: { lastCid: 'Qm1', lastPlaintextSha256: 'b'.repeat(64), cids } }
+  });
+
+  const result = await aegis.recall({});
+  assert.deepStrictEqual(result.memories.map(m => m.cid), ['Qm0']);
+
+  cleanup();
+});
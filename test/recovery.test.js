@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { State } from '../lib/state.js';
+import { StateRecovery } from '../lib/recovery.js';
+import { logger, metrics, setup, remember } from './helpers.js';
+
+function recoverInto(ctx, statePath) {
+  const state = new State(statePath, logger);
+  const recovery = new StateRecovery({ ...ctx.config, statePath }, logger, metrics, state);
+  recovery.vaultApi = ctx.aegis.vaultApi;
+  recovery.ipfsFetcher = ctx.aegis.ipfsFetcher;
+  return { state, recovery };
+}
+
+test('recover rebuilds chain heads and branches from the vault', async () => {
+  const ctx = setup('recover');
+  const { config, state, aegis } = ctx;
+  const wallet = config.walletPubkey;
+
+  const base = await remember(ctx, 'shared history');
+  await aegis.branches.create(wallet, 'theo', 'experiment');
+  const fork = await remember(ctx, 'experiment result', { branch: 'experiment' });
+  await remember(ctx, 'main moved on');
+  const merge = await aegis.mergeBranch('experiment', 'main');
+  const after = await remember(ctx, 'after the merge');
+
+  const { state: recovered, recovery } = recoverInto(ctx, `${config.statePath}.recovered`);
+  const result = await recovery.scan();
+
+  const [agent] = result.agents;
+  assert.strictEqual(agent.agentId, 'theo');
+  assert.deepStrictEqual(agent.forks, []);
+  assert.deepStrictEqual(agent.orphans, []);
+
+  recovery.apply(result);
+  assert.strictEqual(recovered.getLastCid(wallet, 'theo'), after.cid);
+  assert.strictEqual(recovered.getLastCid(wallet, 'theo'), state.getLastCid(wallet, 'theo'));
+
+  const branches = recovered.getAgent(wallet, 'theo').branches;
+  assert.strictEqual(branches.experiment.lastCid, fork.cid);
+  assert.strictEqual(branches.experiment.forkCid, base.cid);
+  assert.strictEqual(branches.experiment.createdFrom, 'main');
+  assert.ok(branches.main.cids.some(c => c.cid === merge.mergeCid));
+  assert.strictEqual(branches.main.cids.length, 5);
+
+  assert.throws(() => recovery.apply(result), /already has heads/);
+
+  ctx.cleanup();
+});
+
+test('recover reports forked heads and lets the caller pick one', async () => {
+  const ctx = setup('recover');
+  const { config, state } = ctx;
+  const wallet = config.walletPubkey;
+
+  const original = await remember(ctx, 'original chain');
+
+  // State lost: the next save starts a second root
+  state.setAgent(wallet, 'theo', { lastCid: null, lastPlaintextSha256: null, branches: undefined });
+  const restarted = await remember(ctx, 'fresh start');
+  assert.strictEqual(restarted.doc.prev_cid, null);
+
+  const { recovery } = recoverInto(ctx, `${config.statePath}.recovered`);
+
+  const [agent] = (await recovery.scan()).agents;
+  assert.deepStrictEqual(agent.forks, [{ branch: 'main', heads: [restarted.cid, original.cid], chosen: restarted.cid }]);
+
+  const [picked] = (await recovery.scan({ heads: [original.cid] })).agents;
+  assert.strictEqual(picked.state.lastCid, original.cid);
+
+  ctx.cleanup();
+});
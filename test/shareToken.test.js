@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { randomBytes } from 'crypto';
+import { deriveSharedKey, createContentKeyPayload, decryptWithKey, createEncryptedPayload, deriveKey } from '../lib/cryptoBox.js';
+import {
+  generateShareToken,
+  parseShareToken,
+  decryptShareToken,
+  getShareTokenType
+} from '../lib/shareToken.js';
+import { PermissionRegistry } from '../lib/permissions.js';
+import { CrossAgentMemory } from '../lib/crossAgentMemory.js';
+import { join } from 'path';
+import { logger, tempDir } from './helpers.js';
+
+function wallet() {
+  const keypair = Keypair.generate();
+  return {
+    pubkey: keypair.publicKey.toBase58(),
+    secret: bs58.encode(keypair.secretKey)
+  };
+}
+
+test('deriveSharedKey is symmetric between two wallets', () => {
+  const alice = wallet();
+  const bob = wallet();
+  
+  const ab = deriveSharedKey(alice.secret, bob.pubkey, 'info');
+  const ba = deriveSharedKey(bob.secret, alice.pubkey, 'info');
+  
+  assert.strictEqual(ab.length, 32);
+  assert.deepStrictEqual(ab, ba, 'Both sides should derive the same key');
+});
+
+test('share token roundtrip unwraps content key for recipient', async () => {
+  const alice = wallet();
+  const bob = wallet();
+  const { payload, contentKey } = createContentKeyPayload('shared memory', alice.pubkey);
+  
+  const token = await generateShareToken('QmShared', alice.pubkey, alice.secret, bob.pubkey, contentKey);
+  const result = await decryptShareToken(token, bob.secret, bob.pubkey);
+  
+  assert.strictEqual(getShareTokenType(token), 'v2');
+  assert.strictEqual(result.cid, 'QmShared');
+  assert.strictEqual(result.wallet, alice.pubkey);
+  assert.strictEqual(decryptWithKey(payload, result.contentKey), 'shared memory');
+});
+
+test('share token never embeds the sender wallet secret', async () => {
+  const alice = wallet();
+  const bob = wallet();
+  
+  const token = await generateShareToken('QmShared', alice.pubkey, alice.secret, bob.pubkey, randomBytes(32));
+  const parsed = parseShareToken(token);
+  
+  assert.ok(!token.includes(alice.secret), 'Token must not contain the secret key');
+  assert.strictEqual(Buffer.from(parsed.wrappedKey, 'base64').length, 12 + 44 + 16, 'Only a wrapped 32-byte key');
+});
+
+test('share token cannot be unwrapped by another wallet', async () => {
+  const alice = wallet();
+  const bob = wallet();
+  const eve = wallet();
+  
+  const token = await generateShareToken('QmShared', alice.pubkey, alice.secret, bob.pubkey, randomBytes(32));
+  
+  await assert.rejects(() => decryptShareToken(token, eve.secret, eve.pubkey), /addressed to/);
+  await assert.rejects(() => decryptShareToken(token, eve.secret), /unwrap/);
+});
+
+test('legacy v1 share tokens are rejected', async () => {
+  const alice = wallet();
+  
+  await assert.rejects(
+    () => decryptShareToken('aegis://QmOld/WALLET/eyJ2ZXJzaW9uIjoxfQ', alice.secret),
+    /no longer accepted/
+  );
+});
+
+test('permissions decrypt with the key type they were stored with', async () => {
+  const alice = wallet();
+  const bob = wallet();
+  const { dir, cleanup } = tempDir('permissions');
+  const config = { walletPubkey: bob.pubkey, walletSecretKeyBase58: bob.secret, statePath: join(dir, 'state.json'), ipfsGatewayUrls: [] };
+
+  const memory = JSON.stringify({ schema: 'aegismemory.v1', content: { summary: 'shared' } });
+  const payload = JSON.stringify(await createEncryptedPayload(memory, alice.pubkey, alice.secret, 'TEST_KEY_V1'));
+  const permissions = new PermissionRegistry(config, logger);
+  const crossAgent = new CrossAgentMemory(config, permissions, null, null, logger);
+  crossAgent.ipfsFetch = { fetch: async () => payload };
+
+  const vaultKey = await deriveKey(alice.secret, 'TEST_KEY_V1');
+  await permissions.importPermission(alice.pubkey, vaultKey.toString('base64'), 'vault');
+  assert.strictEqual(await permissions.getKeyType(alice.pubkey), 'vault');
+  assert.strictEqual((await crossAgent.fetchMemory(alice.pubkey, 'Qm0')).content.summary, 'shared');
+
+  // Grants stored before key types were recorded hold the wallet secret
+  await permissions.importPermission(alice.pubkey, alice.secret);
+  assert.strictEqual(await permissions.getKeyType(alice.pubkey), 'secret');
+  assert.strictEqual((await crossAgent.fetchMemory(alice.pubkey, 'Qm0')).content.summary, 'shared');
+
+  cleanup();
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { StateSnapshots, SNAPSHOT_JOB_TYPE } from '../lib/snapshots.js';
+import { State } from '../lib/state.js';
+import { Queue } from '../lib/queue.js';
+import { decryptPayload } from '../lib/cryptoBox.js';
+import { logger, metrics, tempDir, testConfig, memoryVault } from './helpers.js';
+
+function setup() {
+  const { dir, cleanup } = tempDir('snapshot');
+  const config = testConfig(dir, { snapshotIntervalMs: 60000 });
+  const state = new State(config.statePath, logger);
+  const queue = new Queue(join(dir, 'queue.jsonl'), logger);
+  const snapshots = new StateSnapshots(config, logger, metrics, state, queue);
+
+  const { files, vaultApi, ipfsFetcher } = memoryVault();
+  snapshots.vaultApi = vaultApi;
+  snapshots.ipfsFetcher = ipfsFetcher;
+
+  return { dir, config, state, queue, snapshots, files, cleanup };
+}
+
+test('snapshots are encrypted, chained and skipped when state is unchanged', async () => {
+  const { config, state, snapshots, files, cleanup } = setup();
+  const wallet = config.walletPubkey;
+
+  state.setLastCid(wallet, 'theo', 'QmMemory1', 'sha1');
+  const first = await snapshots.snapshot();
+  assert.strictEqual(first.skipped, false);
+  assert.ok(files[0].filename.startsWith('state/'));
+  assert.ok(!files[0].payload.includes('QmMemory1'), 'Snapshot should be encrypted');
+
+  assert.strictEqual((await snapshots.snapshot()).skipped, true);
+
+  state.setLastCid(wallet, 'theo', 'QmMemory2', 'sha2');
+  const second = await snapshots.snapshot();
+  const doc = JSON.parse(await decryptPayload(JSON.parse(files[1].payload), config.walletSecretKeyBase58));
+  assert.strictEqual(doc.prev_cid, first.cid);
+  assert.strictEqual(state.getSnapshot().lastCid, second.cid);
+
+  cleanup();
+});
+
+test('restore rolls state and permissions back to a snapshot', async () => {
+  const { dir, config, state, snapshots, cleanup } = setup();
+  const wallet = config.walletPubkey;
+  const permissionsPath = join(dir, 'permissions.json');
+
+  writeFileSync(permissionsPath, JSON.stringify({ agentB: { grantee: 'agentB', grantedAt: 1 } }));
+  state.setLastCid(wallet, 'theo', 'QmMemory1', 'sha1');
+  const first = await snapshots.snapshot();
+
+  state.setLastCid(wallet, 'theo', 'QmMemory2', 'sha2');
+  state.setAgent(wallet, 'ada', { lastCid: 'QmAda' });
+  await snapshots.permissions.revoke('agentB');
+  const second = await snapshots.snapshot();
+
+  const result = await snapshots.restore(first.cid);
+  assert.strictEqual(result.agents, 1);
+  assert.strictEqual(state.getLastCid(wallet, 'theo'), 'QmMemory1');
+  assert.deepStrictEqual(state.getAllAgents(), [`${wallet}:theo`]);
+  assert.ok(JSON.parse(readFileSync(permissionsPath, 'utf8')).agentB, 'Permissions should be restored');
+
+  // Restored state differs from the chain head, so the rollback gets its own snapshot
+  const after = await snapshots.snapshot();
+  assert.strictEqual(after.skipped, false);
+  assert.notStrictEqual(after.cid, second.cid);
+
+  cleanup();
+});
+
+test('schedule enqueues one snapshot job per interval', async () => {
+  const { state, queue, snapshots, cleanup } = setup();
+  const now = Date.now();
+
+  const job = snapshots.schedule(now);
+  assert.strictEqual(job.type, SNAPSHOT_JOB_TYPE);
+  assert.strictEqual(snapshots.schedule(now + 1), job, 'Same period should reuse the job');
+
+  await snapshots.processSnapshotJob(job);
+  queue.complete(job.id);
+  assert.strictEqual(snapshots.schedule(Date.now() + 1000), null, 'Fresh snapshot should not be due');
+
+  // An idle bot: the due check finds nothing changed and is not repeated every tick
+  state.setSnapshot({ ...state.getSnapshot(), createdAt: new Date(now - 120000).toISOString() });
+  const check = snapshots.schedule();
+  assert.strictEqual((await snapshots.processSnapshotJob(check)).skipped, true);
+  queue.complete(check.id);
+  assert.strictEqual(snapshots.schedule(), null, 'Unchanged state should not be checked again until the next interval');
+
+  cleanup();
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { State } from '../lib/state.js';
+import { logger, tempDir } from './helpers.js';
+
+function setup() {
+  const { dir, cleanup } = tempDir('state');
+  return { statePath: join(dir, 'state.json'), cleanup };
+}
+
+test('writers sharing a state file do not lose each other\'s heads', () => {
+  const { statePath, cleanup } = setup();
+  const plugin = new State(statePath, logger);
+  const cli = new State(statePath, logger);
+
+  plugin.setLastCid('wallet', 'theo', 'QmA', 'shaA');
+  cli.setLastCid('wallet', 'ada', 'QmB', 'shaB');
+
+  assert.strictEqual(plugin.getLastCid('wallet', 'ada'), 'QmB', 'Reads should pick up the other writer');
+
+  const onDisk = JSON.parse(readFileSync(statePath, 'utf8'));
+  assert.deepStrictEqual(Object.keys(onDisk.agents).sort(), ['wallet:ada', 'wallet:theo']);
+  assert.ok(!existsSync(`${statePath}.lock`), 'Lock should be released');
+  assert.ok(!existsSync(`${statePath}.journal`), 'Journal should be cleared after commit');
+
+  cleanup();
+});
+
+test('corrupted state refuses to load instead of starting empty', () => {
+  const { statePath, cleanup } = setup();
+  writeFileSync(statePath, '{"version":1,"agents":{"wallet:theo":{"lastCid":"Qm');
+
+  assert.throws(() => new State(statePath, logger), /corrupted/);
+  assert.ok(readFileSync(statePath, 'utf8').endsWith('"Qm'), 'Corrupted file should be left for inspection');
+
+  cleanup();
+});
+
+test('interrupted writes are replayed from the journal, torn journals discarded', () => {
+  const { statePath, cleanup } = setup();
+  new State(statePath, logger).setLastCid('wallet', 'theo', 'QmOld', 'old');
+
+  const content = JSON.stringify({ version: 1, agents: { 'wallet:theo': { lastCid: 'QmNew' } } });
+  const sha256 = createHash('sha256').update(content).digest('hex');
+  writeFileSync(`${statePath}.journal`, JSON.stringify({ sha256, state: content }));
+  assert.strictEqual(new State(statePath, logger).getLastCid('wallet', 'theo'), 'QmNew');
+  assert.ok(!existsSync(`${statePath}.journal`));
+
+  writeFileSync(`${statePath}.journal`, JSON.stringify({ sha256, state: content }).slice(0, 40));
+  assert.strictEqual(new State(statePath, logger).getLastCid('wallet', 'theo'), 'QmNew');
+  assert.ok(!existsSync(`${statePath}.journal`));
+
+  cleanup();
+});
+
+test('live locks block writers, stale locks are broken', () => {
+  const { statePath, cleanup } = setup();
+  const state = new State(statePath, logger, { lockTimeoutMs: 100 });
+
+  writeFileSync(`${statePath}.lock`, JSON.stringify({ pid: process.pid }));
+  assert.throws(() => state.setLastCid('wallet', 'theo', 'QmA', 'shaA'), /Timed out waiting for state lock/);
+
+  // Holder exited without releasing
+  writeFileSync(`${statePath}.lock`, JSON.stringify({ pid: 2147483646 }));
+  state.setLastCid('wallet', 'theo', 'QmA', 'shaA');
+  assert.strictEqual(new State(statePath, logger).getLastCid('wallet', 'theo'), 'QmA');
+
+  cleanup();
+});
+
+test('a lock replaced after it was found stale is not broken', () => {
+  const { statePath, cleanup } = setup();
+  const state = new State(statePath, logger, { lockTimeoutMs: 100 });
+  const lockPath = `${statePath}.lock`;
+
+  writeFileSync(lockPath, JSON.stringify({ pid: 2147483646 }));
+  const stale = state.lock._staleLock(lockPath);
+  assert.ok(stale);
+
+  // Another process breaks the stale lock and takes the lock in the meantime
+  rmSync(lockPath);
+  writeFileSync(lockPath, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+  state.lock._staleLock = () => stale;
+
+  assert.strictEqual(state.lock._breakStale(), false);
+  assert.strictEqual(JSON.parse(readFileSync(lockPath, 'utf8')).pid, process.pid, 'The fresh lock must stay in place');
+
+  cleanup();
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { setup } from './helpers.js';
+
+const CONFIG = {
+  walletPubkey: 'WALLET',
+  anchorEnabled: true,
+  anchorRpcUrl: 'http://rpc.invalid',
+  anchorTimeoutMs: 1000,
+  maxRetries: 3
+};
+
+test('getStatus reports chain heads, queue and local indexes', async () => {
+  const { state, queue, aegis, cleanup } = setup('status', CONFIG);
+
+  state.setLastCid('WALLET', 'theo', 'QmHead', 'sha');
+  state.setLastAnchoredDate('WALLET', 'theo', '2026-02-15');
+  state.setLastCid('WALLET', 'ops', 'QmOps', 'sha2');
+  queue.enqueue('UPLOAD', {});
+
+  const status = await aegis.getStatus({ checkHealth: false });
+
+  assert.deepStrictEqual(status.agents.map(a => [a.agentId, a.lastCid]), [['theo', 'QmHead'], ['ops', 'QmOps']]);
+  assert.strictEqual(status.anchor.lastAnchoredDate, '2026-02-15');
+  assert.strictEqual(status.queue.total, 1);
+  assert.strictEqual(status.queue.pending, 1);
+  assert.strictEqual(status.vectorIndex.size, 0);
+  assert.strictEqual(status.ephemeral.active, 0);
+  assert.strictEqual(status.health, null);
+
+  cleanup();
+});
+
+test('getStatus health requires a reachable gateway and RPC', async () => {
+  const { aegis, cleanup } = setup('status', CONFIG);
+
+  aegis.ipfsFetcher = { checkHealth: async () => [{ url: 'gw', ok: true, latencyMs: 5 }] };
+  aegis.anchor.rpcClient.checkHealth = async () => [{ url: 'rpc', ok: false, error: 'timeout' }];
+  aegis.anchor.rpcClient.getBalance = async () => { throw new Error('timeout'); };
+
+  const status = await aegis.getStatus();
+  assert.strictEqual(status.health.gateways[0].ok, true);
+  assert.strictEqual(status.health.ok, false, 'Anchoring needs a healthy RPC');
+  assert.deepStrictEqual(status.warnings, ['Anchor wallet balance unavailable (RPC unreachable)']);
+
+  cleanup();
+});
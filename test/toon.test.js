@@ -140,3 +140,29 @@ anchor: memo@sig123/12345/1234567890`;
   assert.strictEqual(memory.anchor.slot, 12345);
   assert.strictEqual(memory.anchor.blockTime, 1234567890);
 });
+
+test('TOON round-trips branch and merge parents', () => {
+  const merge = {
+    schema: 'aegismemory.merge.v1',
+    agent_id: 'theo',
+    wallet: 'ABC123',
+    timestamp: '2026-02-16T10:00:00Z',
+    date: '2026-02-16',
+    branch: 'main',
+    prev_cid: 'Qm3',
+    prev_plaintext_sha256: 'c',
+    prev_cids: ['Qm3', 'Qm4'],
+    prev_plaintext_sha256s: ['c', 'd'],
+    plaintext_sha256: 'e',
+    merge: { source_branch: 'experiment', target_branch: 'main' },
+    content: { summary: "Merge branch 'experiment' into 'main'" }
+  };
+  
+  const parsed = fromTOON(toTOON(merge));
+  
+  assert.strictEqual(parsed.schema, 'aegismemory.merge.v1');
+  assert.strictEqual(parsed.branch, 'main');
+  assert.deepStrictEqual(parsed.prev_cids, ['Qm3', 'Qm4']);
+  assert.deepStrictEqual(parsed.prev_plaintext_sha256s, ['c', 'd']);
+  assert.deepStrictEqual(parsed.merge, merge.merge);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { createEncryptedPayload, sha256 } from '../lib/cryptoBox.js';
+import { canonicalStringify } from '../lib/util.js';
+import { verifyCid, verifyChainContinuity } from '../lib/verify.js';
+
+function testDoc(wallet) {
+  const doc = {
+    schema: 'aegismemory.v1',
+    agent_id: 'theo',
+    wallet,
+    timestamp: '2026-02-16T10:00:00Z',
+    prev_cid: null,
+    prev_plaintext_sha256: null,
+    plaintext_sha256: null,
+    content: { summary: 'hello' }
+  };
+  doc.plaintext_sha256 = sha256(canonicalStringify(doc));
+  return doc;
+}
+
+test('verifyCid accepts a context-bound JSON memory', async () => {
+  const keypair = Keypair.generate();
+  const wallet = keypair.publicKey.toBase58();
+  const secret = bs58.encode(keypair.secretKey);
+  const doc = testDoc(wallet);
+  
+  const payload = await createEncryptedPayload(canonicalStringify(doc), wallet, secret, 'TEST_KEY_V1', undefined, { context: doc });
+  const result = await verifyCid(payload, secret, doc.plaintext_sha256, undefined, { context: { wallet, agent_id: 'theo' } });
+  
+  assert.ok(result.valid, result.errors.join(', '));
+  assert.strictEqual(result.actualSha256, doc.plaintext_sha256);
+});
+
+test('verifyCid reports tampering for a payload from another slot', async () => {
+  const keypair = Keypair.generate();
+  const wallet = keypair.publicKey.toBase58();
+  const secret = bs58.encode(keypair.secretKey);
+  const doc = testDoc(wallet);
+  
+  const payload = await createEncryptedPayload(canonicalStringify(doc), wallet, secret, 'TEST_KEY_V1', undefined, { context: doc });
+  const result = await verifyCid(payload, secret, null, undefined, { context: { agent_id: 'other' } });
+  
+  assert.ok(!result.valid);
+  assert.ok(result.tampered, 'Swapped payload should be flagged as tampered');
+  
+  // Context that does not describe the encrypted document
+  const mislabelled = await createEncryptedPayload(canonicalStringify(doc), wallet, secret, 'TEST_KEY_V1', undefined, {
+    context: { ...doc, agent_id: 'other' }
+  });
+  const mismatch = await verifyCid(mislabelled, secret);
+  
+  assert.ok(mismatch.tampered);
+  assert.ok(mismatch.errors[0].includes('agent_id'));
+});
+
+test('verifyChainContinuity checks every parent of a merge document', () => {
+  const base = { wallet: 'w1', agent_id: 'theo', timestamp: '2026-02-16T10:00:00Z' };
+  const parents = [
+    { ...base, cid: 'Qm3', plaintext_sha256: 'c' },
+    { ...base, cid: 'Qm4', plaintext_sha256: 'd' }
+  ];
+  const merge = {
+    ...base,
+    cid: 'Qm5',
+    timestamp: '2026-02-16T11:00:00Z',
+    prev_cid: 'Qm3',
+    prev_plaintext_sha256: 'c',
+    prev_cids: ['Qm3', 'Qm4'],
+    prev_plaintext_sha256s: ['c', 'd']
+  };
+
+  assert.ok(verifyChainContinuity(merge, parents).valid);
+
+  const tampered = verifyChainContinuity(merge, [parents[0], { ...parents[1], plaintext_sha256: 'x' }]);
+  assert.ok(!tampered.valid);
+  assert.ok(tampered.errors[0].includes('prev_plaintext_sha256'));
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { Queue } from '../lib/queue.js';
+import { QueueWorker } from '../lib/worker.js';
+import { logger, metrics, tempDir } from './helpers.js';
+
+function setup(config = {}) {
+  const { dir, cleanup } = tempDir('worker');
+  const queue = new Queue(join(dir, 'queue.jsonl'), logger);
+  const worker = new QueueWorker({ workerConcurrency: 3, ...config }, logger, metrics, queue);
+  return { queue, worker, cleanup };
+}
+
+/**
+ * Handler that records the jobs it was given and finishes them on release()
+ */
+function gated(started) {
+  const pending = [];
+  const handler = job => new Promise(resolve => {
+    started.push(job.payload.name);
+    pending.push(resolve);
+  });
+  handler.release = () => pending.splice(0).forEach(resolve => resolve());
+  return handler;
+}
+
+test('workers run the highest priority ready jobs within per-type limits', async () => {
+  const { queue, worker, cleanup } = setup();
+  const started = [];
+  const upload = gated(started);
+  const index = gated(started);
+  queue.registerHandler('UPLOAD_MEMORY', upload, { priority: 30 });
+  queue.registerHandler('INDEX_MEMORY', index, { priority: 10 });
+
+  queue.enqueue('INDEX_MEMORY', { name: 'index-1' });
+  queue.enqueue('INDEX_MEMORY', { name: 'index-2' });
+  queue.enqueue('UPLOAD_MEMORY', { name: 'upload-1' });
+  queue.enqueue('UPLOAD_MEMORY', { name: 'upload-2' });
+  queue.enqueue('PROFILE_UPDATE', { name: 'unhandled' }, { maxRetries: 1 });
+
+  // One upload, one index (both at their limit of 1), then the unknown type
+  const first = worker.tick();
+  assert.deepStrictEqual(started, ['upload-1', 'index-1']);
+  assert.strictEqual(first.length, 3);
+  assert.strictEqual(worker.tick().length, 0, 'Nothing else may start while both types are busy');
+
+  // The job without a handler fails instead of staying in processing
+  await first[2];
+  assert.deepStrictEqual(queue.listDead().map(j => j.lastError), ['No handler registered for job type PROFILE_UPDATE']);
+
+  upload.release();
+  await first[0];
+  worker.tick();
+  assert.deepStrictEqual(started, ['upload-1', 'index-1', 'upload-2']);
+
+  upload.release();
+  index.release();
+  await worker.stop();
+  worker.tick();
+  index.release();
+  await worker.stop();
+
+  assert.deepStrictEqual(started, ['upload-1', 'index-1', 'upload-2', 'index-2']);
+  assert.strictEqual(queue.size(), 0);
+  cleanup();
+});
+
+test('config overrides handler concurrency and priority, drain reports every outcome', async () => {
+  const { queue, worker, cleanup } = setup({
+    workerConcurrency: 2,
+    jobConcurrency: { INDEX_MEMORY: 2 },
+    jobPriority: { INDEX_MEMORY: 50 }
+  });
+  const order = [];
+  let running = 0;
+  let maxRunning = 0;
+  queue.registerHandler('UPLOAD_MEMORY', async job => { order.push(job.payload.name); }, { priority: 30 });
+  queue.registerHandler('INDEX_MEMORY', async job => {
+    order.push(job.payload.name);
+    maxRunning = Math.max(maxRunning, ++running);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+    if (job.payload.name === 'index-3') throw new Error('embedding model unavailable');
+  });
+
+  queue.enqueue('UPLOAD_MEMORY', { name: 'upload-1' });
+  ['index-1', 'index-2', 'index-3'].forEach(name => queue.enqueue('INDEX_MEMORY', { name }));
+
+  const completed = [];
+  const failed = [];
+  await worker.drain({
+    onComplete: job => completed.push(job.payload.name),
+    onFail: (job, error) => failed.push([job.payload.name, error.message])
+  });
+
+  assert.deepStrictEqual(order.slice(0, 2), ['index-1', 'index-2']);
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(completed.sort(), ['index-1', 'index-2', 'upload-1']);
+  assert.deepStrictEqual(failed, [['index-3', 'embedding model unavailable']]);
+  assert.strictEqual(queue.getStats().waiting, 1, 'The failed job waits for its retry');
+  cleanup();
+});
+
+test('stop waits for running jobs up to a deadline and takes no new ones', async () => {
+  const { queue, worker, cleanup } = setup({ workerIntervalMs: 60000 });
+  const started = [];
+  const upload = gated(started);
+  queue.registerHandler('UPLOAD_MEMORY', upload);
+  queue.registerHandler('ANCHOR_MEMORY', gated(started));
+
+  const stuck = queue.enqueue('ANCHOR_MEMORY', { name: 'anchor' });
+  const done = queue.enqueue('UPLOAD_MEMORY', { name: 'upload-1' });
+  queue.enqueue('UPLOAD_MEMORY', { name: 'upload-2' });
+  worker.start();
+  assert.deepStrictEqual(started, ['anchor', 'upload-1']);
+
+  const stopping = worker.stop({ timeoutMs: 50 });
+  upload.release();
+  const { finished, abandoned } = await stopping;
+
+  assert.deepStrictEqual(finished, [done.id]);
+  assert.deepStrictEqual(abandoned, [stuck.id]);
+  assert.deepStrictEqual(started, ['anchor', 'upload-1'], 'upload-2 must not start after stop');
+
+  // The unfinished anchor stays leased; nothing else may pick it up meanwhile
+  queue.close();
+  const other = new Queue(queue.queuePath, logger);
+  assert.strictEqual(other.show(stuck.id).status, 'processing');
+  assert.strictEqual(other.claimNext().payload.name, 'upload-2');
+  assert.strictEqual(queue.renewTimer, null);
+  cleanup();
+});